@@ -61,11 +61,15 @@ try {
     const adminRoutes = require('../src/routes/admin.routes');
     const calendarRoutes = require('../src/routes/calendar.routes');
     const anumodanaRoutes = require('../src/routes/anumodana.routes');
+    const formRoutes = require('../src/routes/form.routes');
+    const shalaRoutes = require('../src/routes/shala.routes');
 
     app.use('/api/submissions', submissionRoutes);
     app.use('/api/admin', adminRoutes);
     app.use('/api/calendar', calendarRoutes);
     app.use('/api/anumodana', anumodanaRoutes);
+    app.use('/api/form', formRoutes);
+    app.use('/api/shalas', shalaRoutes);
     console.log('Full routes loaded successfully');
 } catch (error) {
     console.error('Could not load full routes:', error.message);
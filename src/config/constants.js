@@ -30,19 +30,114 @@ module.exports = {
   BOOKING: {
     DEFAULT_MAX_PER_DAY: 3,
     DEFAULT_MAX_PER_MONTH: 1000,
-    MAX_DATE_RANGE_DAYS: 365 // Maximum date range for queries
+    MAX_DATE_RANGE_DAYS: 365, // Maximum date range for queries
+    MAX_BULK_ITEMS: 500, // Maximum submissions per bulk action
+    MAX_SERIES_DATES: 31, // Maximum dates in one series booking
+    MAX_GROUP_SIZE: 10, // Maximum participants in one group booking
+    MAX_NOTE_LENGTH: 2000, // Maximum admin note length
+    MAX_TAG_LENGTH: 50 // Maximum tag length
   },
 
+  // Submission status labels shown to devotees
+  SUBMISSION_STATUS_LABELS: {
+    pending: { en: 'Pending review', gu: 'સમીક્ષા બાકી' },
+    reviewed: { en: 'Reviewed', gu: 'સમીક્ષા થઈ ગઈ' },
+    confirmed: { en: 'Confirmed', gu: 'કન્ફર્મ' },
+    rejected: { en: 'Rejected', gu: 'નામંજૂર' },
+    cancelled: { en: 'Cancelled', gu: 'રદ' },
+    archived: { en: 'Archived', gu: 'આર્કાઇવ' }
+  },
+
+  // Allowed submission status changes (from -> to)
+  STATUS_TRANSITIONS: {
+    pending: ['reviewed', 'confirmed', 'rejected', 'cancelled', 'archived'],
+    reviewed: ['pending', 'confirmed', 'rejected', 'cancelled', 'archived'],
+    confirmed: ['reviewed', 'cancelled', 'archived'],
+    rejected: ['archived'],
+    cancelled: ['archived'],
+    archived: []
+  },
+
+  // Status changes that are only allowed with a reason
+  STATUS_TRANSITIONS_WITH_REASON: {
+    confirmed: ['rejected'],
+    rejected: ['pending', 'reviewed', 'confirmed'],
+    cancelled: ['pending', 'reviewed', 'confirmed'],
+    archived: ['pending', 'reviewed', 'confirmed']
+  },
+
+  // Admin-defined extra form fields
+  FORM_FIELD_TYPES: ['text', 'textarea', 'number', 'select', 'checkbox', 'date'],
+  FORM_FIELD_DEFAULT_MAX_LENGTH: { text: 200, textarea: 1000 },
+
+  // What to do with a second active booking on one date by the same UPI / WhatsApp number
+  DUPLICATE_BOOKING_POLICIES: ['reject', 'flag', 'allow'],
+  DUPLICATE_TAG: 'possible-duplicate',
+
+  // Booking rules (booking_rules setting); null turns a rule off.
+  // The monthly cap per person is the max_bookings_per_month setting.
+  BOOKING_RULE_DEFAULTS: {
+    minDaysInAdvance: 0,
+    maxDaysInAdvance: null,
+    sameDayCutoff: null, // HH:mm IST after which today can no longer be booked
+    minGapDays: null, // days between two bookings of one person
+    maxPerWeek: null, // per person, Monday to Sunday
+    maxPerYear: null, // per person, calendar year
+    maxPerShalaPerDay: null // for shalas without their own daily limit
+  },
+
+  // Scheduled date releases: a rolling window N days ahead, or a whole month at a set time
+  RELEASE_TYPES: ['rolling', 'month'],
+
+  // What to do with active bookings on a date that is being closed
+  DATE_CLOSE_POLICIES: ['block', 'move', 'cancel'],
+
   // Rate Limiting
   RATE_LIMIT: {
     LOGIN_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
     LOGIN_MAX_ATTEMPTS: 5,
     SUBMISSION_WINDOW_MS: 60 * 60 * 1000, // 1 hour
     SUBMISSION_MAX_ATTEMPTS: 10,
+    LOOKUP_WINDOW_MS: 60 * 60 * 1000, // 1 hour
+    LOOKUP_MAX_ATTEMPTS: 20, // also applies to self-service cancel / reschedule
+    HOLD_WINDOW_MS: 60 * 60 * 1000, // 1 hour
+    HOLD_MAX_ATTEMPTS: 30,
+    STREAM_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+    STREAM_MAX_ATTEMPTS: 60, // live availability connections (reconnects included)
     API_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
     API_MAX_REQUESTS: 100
   },
 
+  // Idempotent submission creation
+  IDEMPOTENCY: {
+    HEADER: 'Idempotency-Key',
+    MAX_KEY_LENGTH: 255,
+    KEY_TTL_MS: 24 * 60 * 60 * 1000, // 24 hours for client supplied keys
+    FINGERPRINT_TTL_MS: 10 * 60 * 1000, // 10 minutes for phone + date + shala
+    PROCESSING_TTL_MS: 60 * 1000 // in-flight placeholder, in case the process dies mid-request
+  },
+
+  // Seat holds taken while a devotee fills the booking form
+  SEAT_HOLD: {
+    TTL_MS: 10 * 60 * 1000, // 10 minutes
+    MAX_PER_IP: 2 // unexpired holds one client may have at a time
+  },
+
+  // Lottery allocation of high-demand dates
+  LOTTERY: {
+    SEED_BYTES: 16, // random seed generated by the draw
+    ALGORITHM: 'Entries ranked by SHA-256 of "<seed>:<entryId>" (hex, ascending); seats go in rank order'
+  },
+
+  // Live availability stream (Server-Sent Events)
+  SSE: {
+    HEARTBEAT_MS: 25000, // comment line that keeps proxies from closing an idle stream
+    RETRY_MS: 5000, // reconnect delay suggested to the browser
+    BATCH_MS: 250, // changes within this window go out as one update
+    MAX_CLIENTS: 1000, // open streams per process
+    MAX_PER_IP: 3 // open streams one client may have (a few tabs)
+  },
+
   // Request Limits
   REQUEST: {
     MAX_JSON_SIZE: '1mb',
@@ -64,6 +159,8 @@ module.exports = {
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
+    CONFLICT: 409,
+    UNPROCESSABLE_ENTITY: 422,
     TOO_MANY_REQUESTS: 429,
     INTERNAL_ERROR: 500,
     SERVICE_UNAVAILABLE: 503
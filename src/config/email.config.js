@@ -14,6 +14,22 @@ module.exports = {
     submission: {
       subject: 'વિહાર રક્ષા તપ - Form Submission Confirmation',
       gujaratiSubject: 'વિહાર રક્ષા તપ - ફોર્મ સબમિશન કન્ફર્મેશન'
+    },
+    series: {
+      subject: 'વિહાર રક્ષા તપ - Series Booking Confirmation',
+      gujaratiSubject: 'વિહાર રક્ષા તપ - શ્રેણી બુકિંગ કન્ફર્મેશન'
+    },
+    waitlistPromotion: {
+      subject: 'વિહાર રક્ષા તપ - Waitlist Booking Confirmed',
+      gujaratiSubject: 'વિહાર રક્ષા તપ - પ્રતીક્ષા યાદીમાંથી બુકિંગ થયું'
+    },
+    dateClosed: {
+      subject: 'વિહાર રક્ષા તપ - Booking Date Closed',
+      gujaratiSubject: 'વિહાર રક્ષા તપ - બુકિંગ તારીખ બંધ થઈ'
+    },
+    lotteryResult: {
+      subject: 'વિહાર રક્ષા તપ - Lottery Result',
+      gujaratiSubject: 'વિહાર રક્ષા તપ - લોટરી પરિણામ'
     }
   }
 };
@@ -1,10 +1,16 @@
+const path = require('path');
 const { authenticateAdmin, generateToken } = require('../middleware/auth.middleware');
 const monitorService = require('../services/monitor.service');
 const backupService = require('../services/backup.service');
 const dbService = require('../services/db.service');
+const waitlistService = require('../services/waitlist.service');
+const auditService = require('../services/audit.service');
+const liveAvailability = require('../services/liveAvailability.service');
+const bookingRules = require('../services/bookingRules.service');
 const logger = require('../utils/logger');
-const { sendSuccess, sendError, sendBadRequest, sendUnauthorized } = require('../utils/response');
-const { HTTP } = require('../config/constants');
+const { sendSuccess, sendError, sendBadRequest, sendUnauthorized, sendPaginated, sendHttpError } = require('../utils/response');
+const { isValidDateFormat } = require('../utils/helpers');
+const { HTTP, DUPLICATE_BOOKING_POLICIES, BOOKING_RULE_DEFAULTS } = require('../config/constants');
 
 /**
  * Admin login
@@ -83,6 +89,11 @@ const createBackup = async (req, res) => {
     const backupPath = await backupService.createBackup();
 
     logger.info('Manual backup created', { backupPath, requestId: req.id });
+    await auditService.record(req, {
+      action: 'backup.create',
+      entityType: 'backup',
+      entityId: backupPath ? path.basename(backupPath) : null
+    });
     return sendSuccess(res, { backupPath }, 'Backup created successfully');
   } catch (error) {
     logger.error('Create backup error', { error: error.message, requestId: req.id });
@@ -104,6 +115,14 @@ const restoreBackup = async (req, res) => {
     const result = await backupService.restoreFromBackup(backupFileName);
 
     logger.info('Backup restored', { backupFileName, requestId: req.id });
+    liveAvailability.notify();
+
+    // Written after the restore, following the entries carried over from before it
+    await auditService.record(req, {
+      action: 'backup.restore',
+      entityType: 'backup',
+      entityId: backupFileName
+    });
     return sendSuccess(res, result, result.message);
   } catch (error) {
     logger.error('Restore backup error', { error: error.message, requestId: req.id });
@@ -126,6 +145,11 @@ const archiveRecords = async (req, res) => {
       archivedCount: result.archivedCount,
       requestId: req.id 
     });
+    await auditService.record(req, {
+      action: 'submission.archive',
+      entityType: 'submission',
+      after: { monthsOld: months, archivedCount: result.archivedCount, archivePath: result.archivePath || null }
+    });
     return sendSuccess(res, result, result.message);
   } catch (error) {
     logger.error('Archive records error', { error: error.message, requestId: req.id });
@@ -140,10 +164,12 @@ const getSettings = async (req, res) => {
   try {
     const maxBookingsPerDay = await dbService.getSetting('max_bookings_per_day', '3');
     const maxBookingsPerMonth = await dbService.getSetting('max_bookings_per_month', '1000');
+    const duplicateBookingPolicy = await dbService.getSetting('duplicate_booking_policy', 'reject');
 
     return sendSuccess(res, {
       maxBookingsPerDay: parseInt(maxBookingsPerDay, 10),
-      maxBookingsPerMonth: parseInt(maxBookingsPerMonth, 10)
+      maxBookingsPerMonth: parseInt(maxBookingsPerMonth, 10),
+      duplicateBookingPolicy
     }, 'Settings retrieved');
   } catch (error) {
     logger.error('Get settings error', { error: error.message, requestId: req.id });
@@ -156,19 +182,66 @@ const getSettings = async (req, res) => {
  */
 const updateSettings = async (req, res) => {
   try {
-    const { maxBookingsPerDay, maxBookingsPerMonth } = req.body;
+    const { maxBookingsPerDay, maxBookingsPerMonth, duplicateBookingPolicy } = req.body;
+    let dailyLimitRaised = false;
+
+    if (duplicateBookingPolicy !== undefined && !DUPLICATE_BOOKING_POLICIES.includes(duplicateBookingPolicy)) {
+      return sendBadRequest(res, `duplicateBookingPolicy must be one of: ${DUPLICATE_BOOKING_POLICIES.join(', ')}`);
+    }
 
     if (maxBookingsPerDay !== undefined) {
+      const previous = parseInt(await dbService.getSetting('max_bookings_per_day', '3'), 10);
       const value = Math.max(1, Math.min(100, parseInt(maxBookingsPerDay) || 3));
       await dbService.setSetting('max_bookings_per_day', value);
+      liveAvailability.notify();
+      dailyLimitRaised = value > previous;
+      await auditService.record(req, {
+        action: 'setting.update',
+        entityType: 'setting',
+        entityId: 'max_bookings_per_day',
+        before: { value: previous },
+        after: { value }
+      });
     }
 
     if (maxBookingsPerMonth !== undefined) {
+      const previous = parseInt(await dbService.getSetting('max_bookings_per_month', '1000'), 10);
       const value = Math.max(1, Math.min(10000, parseInt(maxBookingsPerMonth) || 1000));
       await dbService.setSetting('max_bookings_per_month', value);
+      await auditService.record(req, {
+        action: 'setting.update',
+        entityType: 'setting',
+        entityId: 'max_bookings_per_month',
+        before: { value: previous },
+        after: { value }
+      });
+    }
+
+    if (duplicateBookingPolicy !== undefined) {
+      const previous = await dbService.getSetting('duplicate_booking_policy', 'reject');
+      await dbService.setSetting('duplicate_booking_policy', duplicateBookingPolicy);
+      await auditService.record(req, {
+        action: 'setting.update',
+        entityType: 'setting',
+        entityId: 'duplicate_booking_policy',
+        before: { value: previous },
+        after: { value: duplicateBookingPolicy }
+      });
+    }
+
+    logger.info('Settings updated', { maxBookingsPerDay, maxBookingsPerMonth, duplicateBookingPolicy, requestId: req.id });
+
+    // New slots opened on every date - let waitlisted devotees take them
+    if (dailyLimitRaised) {
+      waitlistService.promoteAll()
+        .then(promoted => {
+          logger.info('Waitlist promoted after limit change', { count: promoted.length, requestId: req.id });
+        })
+        .catch(err => {
+          logger.error('Waitlist promotion error', { error: err.message, requestId: req.id });
+        });
     }
 
-    logger.info('Settings updated', { maxBookingsPerDay, maxBookingsPerMonth, requestId: req.id });
     return sendSuccess(res, null, 'Settings updated successfully');
   } catch (error) {
     logger.error('Update settings error', { error: error.message, requestId: req.id });
@@ -176,6 +249,101 @@ const updateSettings = async (req, res) => {
   }
 };
 
+/**
+ * Get audit log entries (filter by actor, entity, action and date range)
+ */
+const getAuditLog = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actor, entityType, entityId, action, startDate, endDate } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    if ((startDate && !isValidDateFormat(startDate)) || (endDate && !isValidDateFormat(endDate))) {
+      return sendBadRequest(res, 'Dates must be in YYYY-MM-DD format');
+    }
+
+    const filters = {};
+    if (actor) filters.actor = actor;
+    if (entityType) filters.entityType = entityType;
+    if (entityId) filters.entityId = entityId;
+    if (action) filters.action = action;
+    if (startDate) filters.startDate = startDate;
+    if (endDate) filters.endDate = endDate;
+
+    const result = await auditService.getEntries(filters, pageNum, limitNum);
+
+    return sendPaginated(res, result.data, result.pagination, 'Audit log retrieved');
+  } catch (error) {
+    logger.error('Get audit log error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch audit log');
+  }
+};
+
+/**
+ * Get the booking rules
+ */
+const getBookingRules = async (req, res) => {
+  try {
+    const rules = await bookingRules.getRules();
+    return sendSuccess(res, rules, 'Booking rules retrieved');
+  } catch (error) {
+    logger.error('Get booking rules error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to get booking rules');
+  }
+};
+
+/**
+ * Update the booking rules (only the given rules change; null turns a rule off)
+ */
+const updateBookingRules = async (req, res) => {
+  try {
+    const changes = {};
+    [...Object.keys(BOOKING_RULE_DEFAULTS), 'maxPerMonth'].forEach(key => {
+      if (req.body[key] !== undefined) changes[key] = req.body[key];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return sendBadRequest(res, 'No booking rules to update');
+    }
+
+    const { before, after } = await bookingRules.updateRules(changes);
+
+    await auditService.record(req, {
+      action: 'setting.update',
+      entityType: 'setting',
+      entityId: 'booking_rules',
+      before,
+      after
+    });
+
+    logger.info('Booking rules updated', { changes, requestId: req.id });
+
+    // A higher (or removed) default shala limit frees places for waitlisted devotees
+    const shalaLimitRaised = before.maxPerShalaPerDay !== null &&
+      (after.maxPerShalaPerDay === null || after.maxPerShalaPerDay > before.maxPerShalaPerDay);
+    if (shalaLimitRaised) {
+      liveAvailability.notify();
+      waitlistService.promoteAll()
+        .then(promoted => {
+          logger.info('Waitlist promoted after booking rules change', { count: promoted.length, requestId: req.id });
+        })
+        .catch(err => {
+          logger.error('Waitlist promotion error', { error: err.message, requestId: req.id });
+        });
+    }
+
+    return sendSuccess(res, after, 'Booking rules updated successfully');
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    logger.error('Update booking rules error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to update booking rules');
+  }
+};
+
 module.exports = {
   login,
   getHealth,
@@ -184,5 +352,8 @@ module.exports = {
   restoreBackup,
   archiveRecords,
   getSettings,
-  updateSettings
+  updateSettings,
+  getBookingRules,
+  updateBookingRules,
+  getAuditLog
 };
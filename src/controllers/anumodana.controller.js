@@ -1,4 +1,5 @@
 const dbService = require('../services/db.service');
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
 const { sendSuccess, sendError, sendBadRequest, sendNotFound, sendCreated } = require('../utils/response');
 const { isValidDateFormat } = require('../utils/helpers');
@@ -58,6 +59,12 @@ const uploadImage = async (req, res) => {
     const result = await dbService.addAnumodanaImage(imageData);
 
     logger.info('Image uploaded', { imageId: result.id, date, requestId: req.id });
+    await auditService.record(req, {
+      action: 'anumodana.upload',
+      entityType: 'anumodana_image',
+      entityId: result.id,
+      after: result
+    });
     return sendCreated(res, result, 'Image uploaded successfully');
   } catch (error) {
     logger.error('Upload image error', { error: error.message, requestId: req.id });
@@ -102,6 +109,12 @@ const deleteImage = async (req, res) => {
     await dbService.deleteAnumodanaImage(id);
 
     logger.info('Image deleted', { imageId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'anumodana.delete',
+      entityType: 'anumodana_image',
+      entityId: id,
+      before: image
+    });
     return sendSuccess(res, null, 'Image deleted successfully');
   } catch (error) {
     logger.error('Delete image error', { error: error.message, requestId: req.id });
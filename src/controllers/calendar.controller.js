@@ -1,11 +1,168 @@
+const crypto = require('crypto');
 const dbService = require('../services/db.service');
+const auditService = require('../services/audit.service');
+const waitlistService = require('../services/waitlist.service');
+const calendarRuleService = require('../services/calendarRule.service');
+const releaseService = require('../services/release.service');
+const lotteryService = require('../services/lottery.service');
+const backupService = require('../services/backup.service');
+const liveAvailability = require('../services/liveAvailability.service');
+const emailService = require('../services/email.service');
 const logger = require('../utils/logger');
-const { isValidDateFormat, validateDateRange } = require('../utils/helpers');
-const { sendSuccess, sendError, sendBadRequest } = require('../utils/response');
-const { BOOKING } = require('../config/constants');
+const { isValidDateFormat, validateDateRange, sanitizeInput, getClientIp } = require('../utils/helpers');
+const { sendSuccess, sendError, sendBadRequest, sendNotFound, sendCreated, sendHttpError } = require('../utils/response');
+const { BOOKING, HTTP, SSE, DATE_CLOSE_POLICIES } = require('../config/constants');
 
-// Valid status values (M11 fix)
-const VALID_STATUSES = ['open', 'closed'];
+// Valid status values (M11 fix) - 'full' is derived from bookings, never stored
+const VALID_STATUSES = ['open', 'closed', 'coming_soon'];
+
+const MAX_DATE_CAPACITY = 1000;
+const MAX_LABEL_LENGTH = 100;
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Read the optional per-date capacity / label / public notes of an update
+ * (undefined = keep current value, null = clear it)
+ * @returns {{ options?: Object, error?: string }}
+ */
+const parseDateOptions = ({ capacity, label, noteGu, noteEn }) => {
+  const options = {};
+
+  if (capacity !== undefined) {
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_DATE_CAPACITY)) {
+      return { error: `Capacity must be a whole number between 1 and ${MAX_DATE_CAPACITY}, or null` };
+    }
+    options.capacity = capacity;
+  }
+
+  if (label !== undefined) {
+    if (label !== null && (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH)) {
+      return { error: `Label must be text of at most ${MAX_LABEL_LENGTH} characters, or null` };
+    }
+    options.label = label && label.trim() ? sanitizeInput(label.trim()) : null;
+  }
+
+  for (const [key, note] of Object.entries({ noteGu, noteEn })) {
+    if (note === undefined) continue;
+    if (note !== null && (typeof note !== 'string' || note.trim().length > MAX_NOTE_LENGTH)) {
+      return { error: `${key} must be text of at most ${MAX_NOTE_LENGTH} characters, or null` };
+    }
+    options[key] = note && note.trim() ? sanitizeInput(note.trim()) : null;
+  }
+
+  return { options };
+};
+
+/**
+ * Read what to do with active bookings when a date is closed
+ * ({ onBookings: 'block' | 'move' | 'cancel', moveTo, reason })
+ * @returns {{ options?: Object, error?: string }}
+ */
+const parseClosePolicy = ({ onBookings = 'block', moveTo, reason }) => {
+  if (!DATE_CLOSE_POLICIES.includes(onBookings)) {
+    return { error: `onBookings must be one of: ${DATE_CLOSE_POLICIES.join(', ')}` };
+  }
+
+  if (onBookings === 'move' && (!moveTo || !isValidDateFormat(moveTo))) {
+    return { error: 'moveTo (YYYY-MM-DD) is required when moving bookings' };
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    return { error: 'Reason must be text of at most 500 characters' };
+  }
+
+  return {
+    options: {
+      policy: onBookings,
+      moveTo: onBookings === 'move' ? moveTo : null,
+      reason: reason ? sanitizeInput(reason) : null
+    }
+  };
+};
+
+// Booking fields shown in close previews / results
+const summarizeBooking = (row) => ({
+  id: row.id,
+  name: row.name,
+  whatsappNumber: row.whatsappNumber,
+  bookingDate: row.bookingDate,
+  seats: row.seats,
+  status: row.status
+});
+
+const summarizeClose = (result) => ({
+  date: result.date,
+  status: result.status,
+  policy: result.policy,
+  target: result.target,
+  affected: result.affected.map(summarizeBooking),
+  moved: result.moved ? result.moved.map(item => item.id) : undefined,
+  cancelled: result.cancelled ? result.cancelled.map(item => item.id) : undefined
+});
+
+/**
+ * Audit a date close and tell devotees whose bookings were moved or cancelled
+ */
+const recordDateClosed = async (req, action, before, result, reason) => {
+  await auditService.record(req, {
+    action,
+    entityType: 'calendar_date',
+    entityId: result.date,
+    before: before || { status: 'coming_soon' },
+    after: {
+      status: result.status,
+      policy: result.policy,
+      moved: result.moved.map(item => item.id),
+      cancelled: result.cancelled.map(item => item.id)
+    }
+  });
+
+  for (const item of [...result.moved, ...result.cancelled]) {
+    await auditService.record(req, {
+      action: `submission.date_closed_${result.policy}`,
+      entityType: 'submission',
+      entityId: item.id,
+      before: item.before,
+      after: item.after
+    });
+
+    if (!item.before.email) continue;
+
+    emailService.sendDateClosedNotice({
+      ...item.before,
+      newBookingDate: result.policy === 'move' ? item.after.bookingDate : null,
+      reason
+    }).catch(err => {
+      logger.error('Date closed email error', { submissionId: item.id, error: err.message, requestId: req.id });
+    });
+  }
+};
+
+/**
+ * Effective daily capacity of a calendar row (0 when the date is closed)
+ */
+const effectiveCapacity = (row, defaultCapacity) => {
+  if (!row || row.status !== 'open') return 0;
+  return row.capacity !== null ? row.capacity : defaultCapacity;
+};
+
+/**
+ * Let waitlisted devotees take new places on a date (runs in the background)
+ */
+const promoteIfCapacityRaised = async (req, date, before, after) => {
+  const defaultCapacity = parseInt(await dbService.getSetting('max_bookings_per_day', '3'), 10);
+  if (effectiveCapacity(after, defaultCapacity) <= effectiveCapacity(before, defaultCapacity)) return;
+
+  waitlistService.promote(date)
+    .then(promoted => {
+      if (promoted.length > 0) {
+        logger.info('Waitlist promoted after date capacity change', { date, count: promoted.length, requestId: req.id });
+      }
+    })
+    .catch(err => {
+      logger.error('Waitlist promotion error', { date, error: err.message, requestId: req.id });
+    });
+};
 
 /**
  * Get calendar settings / availability (Admin + Public)
@@ -33,8 +190,106 @@ const getCalendarSettings = async (req, res) => {
   }
 };
 
+/**
+ * Availability per date for painting the booking calendar (Public)
+ * Sends an ETag of the dates so an unchanged month comes back as 304 Not Modified.
+ * No Last-Modified: bookable flips at midnight IST without a write, which only the ETag sees.
+ */
+const getAvailability = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return sendBadRequest(res, 'startDate and endDate are required');
+    }
+
+    const rangeValidation = validateDateRange(startDate, endDate, BOOKING.MAX_DATE_RANGE_DAYS);
+    if (!rangeValidation.valid) {
+      return sendBadRequest(res, rangeValidation.error);
+    }
+
+    const dates = await dbService.getAvailabilityRange(startDate, endDate);
+
+    const etag = crypto.createHash('sha1').update(JSON.stringify(dates)).digest('base64url');
+    res.set({
+      'Cache-Control': 'public, no-cache',
+      'ETag': `"${etag}"`
+    });
+
+    // Express answers 304 itself when If-None-Match still matches
+    return sendSuccess(res, { startDate, endDate, dates }, 'Availability retrieved');
+  } catch (error) {
+    logger.error('Get availability error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch availability');
+  }
+};
+
+/**
+ * Live availability of one month as Server-Sent Events (Public)
+ * Sends the whole month first, then an 'availability' event with the changed dates
+ * whenever a booking or the calendar changes. Browsers reconnect on their own.
+ */
+const streamAvailability = async (req, res) => {
+  try {
+    const { month } = req.query;
+
+    if (!liveAvailability.isValidMonth(month)) {
+      return sendBadRequest(res, 'month is required. Use YYYY-MM');
+    }
+
+    if (liveAvailability.clientCount >= SSE.MAX_CLIENTS) {
+      res.set('Retry-After', String(Math.ceil(SSE.RETRY_MS / 1000)));
+      return sendError(res, 'Too many live connections, please try again shortly', HTTP.SERVICE_UNAVAILABLE);
+    }
+
+    const ip = getClientIp(req);
+    if (!liveAvailability.connect(ip)) {
+      res.set('Retry-After', String(Math.ceil(SSE.RETRY_MS / 1000)));
+      return sendError(res, 'Too many live connections from this device. Close another tab and try again', HTTP.TOO_MANY_REQUESTS);
+    }
+    req.on('close', () => liveAvailability.disconnect(ip));
+
+    const { startDate, endDate } = liveAvailability.monthRange(month);
+    const dates = await dbService.getAvailabilityRange(startDate, endDate);
+
+    // The stream stays open, so the request timeout does not apply
+    req.setTimeout(0);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // nginx: do not buffer the stream
+    });
+    res.flushHeaders();
+
+    const send = (payload) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: availability\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    res.write(`retry: ${SSE.RETRY_MS}\n\n`);
+    send({ month, dates });
+
+    const unsubscribe = liveAvailability.subscribe(month, changed => send({ month, dates: changed }));
+    const heartbeat = setInterval(() => {
+      if (!res.writableEnded && !res.destroyed) res.write(': heartbeat\n\n');
+    }, SSE.HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    logger.error('Availability stream error', { error: error.message, requestId: req.id });
+    if (res.headersSent) return res.end();
+    return sendError(res, 'Failed to open availability stream');
+  }
+};
+
 /**
  * Set date status (Admin only)
+ * Closing a date with active bookings needs onBookings: 'move' (with moveTo) or 'cancel';
+ * ?dryRun=true previews the bookings a close would affect.
  */
 const setDateStatus = async (req, res) => {
   try {
@@ -54,12 +309,72 @@ const setDateStatus = async (req, res) => {
       return sendBadRequest(res, `Status must be one of: ${VALID_STATUSES.join(', ')}`);
     }
 
-    const result = await dbService.setCalendarDateStatus(date, status);
+    const { options, error } = parseDateOptions(req.body);
+    if (error) {
+      return sendBadRequest(res, error);
+    }
+
+    const before = await dbService.getCalendarDate(date);
+
+    if (status !== 'open') {
+      const closePolicy = parseClosePolicy(req.body);
+      if (closePolicy.error) {
+        return sendBadRequest(res, closePolicy.error);
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      const closed = await dbService.closeCalendarDate(
+        date,
+        { ...closePolicy.options, status, noteGu: options.noteGu, noteEn: options.noteEn, actor: req.user.username },
+        { dryRun }
+      );
+
+      if (dryRun) {
+        return sendSuccess(res, { dryRun, ...summarizeClose(closed) }, `Preview: closing ${date} affects ${closed.affected.length} bookings`);
+      }
+
+      logger.info('Date closed', {
+        date,
+        policy: closed.policy,
+        moved: closed.moved.length,
+        cancelled: closed.cancelled.length,
+        requestId: req.id
+      });
+      await recordDateClosed(req, 'calendar.set_status', before, closed, closePolicy.options.reason);
+
+      return sendSuccess(res, summarizeClose(closed), 'Date status updated');
+    }
+
+    const result = await dbService.setCalendarDateStatus(date, status, options);
+    const after = await dbService.getCalendarDate(date);
+
+    logger.info('Date status updated', { date, status, ...options, requestId: req.id });
+    await auditService.record(req, {
+      action: 'calendar.set_status',
+      entityType: 'calendar_date',
+      entityId: date,
+      before: before || { status: 'coming_soon' },
+      after: after || { status }
+    });
+
+    await promoteIfCapacityRaised(req, date, before, after);
 
-    logger.info('Date status updated', { date, status, requestId: req.id });
     return sendSuccess(res, result, 'Date status updated');
   } catch (error) {
     logger.error('Set date status error', { error: error.message, requestId: req.id });
+
+    if (error.affected) {
+      return res.status(HTTP.CONFLICT).json({
+        success: false,
+        message: error.message,
+        affected: error.affected.map(summarizeBooking)
+      });
+    }
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
     return sendError(res, 'Failed to update date status');
   }
 };
@@ -99,8 +414,49 @@ const bulkUpdateDates = async (req, res) => {
         continue;
       }
 
-      await dbService.setCalendarDateStatus(update.date, update.status);
-      results.push(update);
+      const { options, error } = parseDateOptions(update);
+      if (error) {
+        errors.push({ date: update.date, error });
+        continue;
+      }
+
+      const before = await dbService.getCalendarDate(update.date);
+
+      // Closing uses the same booking policy as a single date (blocked by default)
+      if (update.status !== 'open') {
+        const closePolicy = parseClosePolicy(update);
+        if (closePolicy.error) {
+          errors.push({ date: update.date, error: closePolicy.error });
+          continue;
+        }
+
+        try {
+          const closed = await dbService.closeCalendarDate(
+            update.date,
+            { ...closePolicy.options, status: update.status, noteGu: options.noteGu, noteEn: options.noteEn, actor: req.user.username }
+          );
+          results.push(summarizeClose(closed));
+          await recordDateClosed(req, 'calendar.bulk_update', before, closed, closePolicy.options.reason);
+        } catch (closeError) {
+          if (!closeError.status) throw closeError;
+          errors.push({ date: update.date, error: closeError.message });
+        }
+        continue;
+      }
+
+      await dbService.setCalendarDateStatus(update.date, update.status, options);
+      const after = await dbService.getCalendarDate(update.date);
+      results.push(after || { date: update.date, status: update.status });
+
+      await auditService.record(req, {
+        action: 'calendar.bulk_update',
+        entityType: 'calendar_date',
+        entityId: update.date,
+        before: before || { status: 'coming_soon' },
+        after: after || { status: update.status }
+      });
+
+      await promoteIfCapacityRaised(req, update.date, before, after);
     }
 
     logger.info('Bulk dates updated', { 
@@ -119,8 +475,482 @@ const bulkUpdateDates = async (req, res) => {
   }
 };
 
+// Rule fields from the request, with free text sanitized
+const ruleInput = (body) => ({
+  ...body,
+  ...(typeof body.name === 'string' && { name: sanitizeInput(body.name) }),
+  ...(typeof body.label === 'string' && { label: body.label ? sanitizeInput(body.label) : null })
+});
+
+// Short summary of what a rule change does to the calendar
+const describeChanges = (changes) =>
+  `opens ${changes.open.length}, closes ${changes.close.length} dates ` +
+  `(${changes.affectedBookings.length} bookings on closed dates)`;
+
+/**
+ * List recurring calendar rules (Admin only)
+ */
+const getCalendarRules = async (req, res) => {
+  try {
+    const rules = await calendarRuleService.list();
+
+    return sendSuccess(res, rules, `Found ${rules.length} calendar rules`);
+  } catch (error) {
+    logger.error('Get calendar rules error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch calendar rules');
+  }
+};
+
+/**
+ * Create a recurring rule and open its dates (Admin only)
+ * ?dryRun=true previews the dates without saving anything.
+ */
+const createCalendarRule = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const result = await calendarRuleService.create(ruleInput(req.body), req.user.username, { dryRun });
+
+    if (dryRun) {
+      return sendSuccess(res, { dryRun, ...result }, `Preview: rule ${describeChanges(result.changes)}`);
+    }
+
+    logger.info('Calendar rule created', { ruleId: result.rule.id, opened: result.changes.open.length, requestId: req.id });
+    await auditService.record(req, {
+      action: 'calendar_rule.create',
+      entityType: 'calendar_rule',
+      entityId: result.rule.id,
+      after: { ...result.rule, openedDates: result.changes.open }
+    });
+
+    return sendCreated(res, result, `Calendar rule created: ${describeChanges(result.changes)}`);
+  } catch (error) {
+    logger.error('Create calendar rule error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to create calendar rule');
+  }
+};
+
+/**
+ * Change a rule and re-sync its upcoming dates (Admin only)
+ * ?dryRun=true shows the dates and bookings that would be affected.
+ */
+const updateCalendarRule = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const dryRun = req.query.dryRun === 'true';
+    const result = await calendarRuleService.update(id, ruleInput(req.body), { dryRun });
+
+    if (dryRun) {
+      return sendSuccess(res, { dryRun, ...result }, `Preview: update ${describeChanges(result.changes)}`);
+    }
+
+    logger.info('Calendar rule updated', {
+      ruleId: id,
+      opened: result.changes.open.length,
+      closed: result.changes.close.length,
+      requestId: req.id
+    });
+    await auditService.record(req, {
+      action: 'calendar_rule.update',
+      entityType: 'calendar_rule',
+      entityId: id,
+      before: result.before,
+      after: { ...result.rule, openedDates: result.changes.open, closedDates: result.changes.close }
+    });
+
+    return sendSuccess(res, result, `Calendar rule updated: ${describeChanges(result.changes)}`);
+  } catch (error) {
+    logger.error('Update calendar rule error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to update calendar rule');
+  }
+};
+
+/**
+ * Delete a rule and close its upcoming dates (Admin only)
+ * ?dryRun=true shows the dates and bookings that would be affected.
+ */
+const deleteCalendarRule = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const dryRun = req.query.dryRun === 'true';
+    const result = await calendarRuleService.remove(id, { dryRun });
+
+    if (dryRun) {
+      return sendSuccess(res, { dryRun, ...result }, `Preview: delete ${describeChanges(result.changes)}`);
+    }
+
+    logger.info('Calendar rule deleted', { ruleId: id, closed: result.changes.close.length, requestId: req.id });
+    await auditService.record(req, {
+      action: 'calendar_rule.delete',
+      entityType: 'calendar_rule',
+      entityId: id,
+      before: { ...result.rule, closedDates: result.changes.close }
+    });
+
+    return sendSuccess(res, result, `Calendar rule deleted: ${describeChanges(result.changes)}`);
+  } catch (error) {
+    logger.error('Delete calendar rule error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to delete calendar rule');
+  }
+};
+
+/**
+ * Upcoming scheduled releases, so devotees know when booking opens (Public)
+ */
+const getUpcomingReleases = async (req, res) => {
+  try {
+    const releases = await releaseService.getUpcoming();
+
+    return sendSuccess(res, releases, 'Upcoming releases retrieved');
+  } catch (error) {
+    logger.error('Get upcoming releases error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch upcoming releases');
+  }
+};
+
+/**
+ * List release schedules (Admin only)
+ */
+const getReleaseSchedules = async (req, res) => {
+  try {
+    const schedules = await releaseService.list();
+
+    return sendSuccess(res, schedules, `Found ${schedules.length} release schedules`);
+  } catch (error) {
+    logger.error('Get release schedules error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch release schedules');
+  }
+};
+
+/**
+ * Create a release schedule (Admin only)
+ */
+const createReleaseSchedule = async (req, res) => {
+  try {
+    const data = { ...req.body, label: req.body.label ? sanitizeInput(req.body.label) : null };
+    const schedule = await releaseService.create(data, req.user.username);
+
+    logger.info('Release schedule created', { scheduleId: schedule.id, type: schedule.type, requestId: req.id });
+    await auditService.record(req, {
+      action: 'release_schedule.create',
+      entityType: 'release_schedule',
+      entityId: schedule.id,
+      after: schedule
+    });
+
+    return sendCreated(res, schedule, 'Release schedule created');
+  } catch (error) {
+    logger.error('Create release schedule error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to create release schedule');
+  }
+};
+
+/**
+ * Update a release schedule (Admin only)
+ */
+const updateReleaseSchedule = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const updates = { ...req.body };
+    if (typeof updates.label === 'string') updates.label = sanitizeInput(updates.label) || null;
+
+    const { before, after } = await releaseService.update(id, updates);
+
+    logger.info('Release schedule updated', { scheduleId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'release_schedule.update',
+      entityType: 'release_schedule',
+      entityId: id,
+      before,
+      after
+    });
+
+    return sendSuccess(res, after, 'Release schedule updated');
+  } catch (error) {
+    logger.error('Update release schedule error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to update release schedule');
+  }
+};
+
+/**
+ * Delete a release schedule; dates it already opened stay open (Admin only)
+ */
+const deleteReleaseSchedule = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const schedule = await releaseService.remove(id);
+
+    logger.info('Release schedule deleted', { scheduleId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'release_schedule.delete',
+      entityType: 'release_schedule',
+      entityId: id,
+      before: schedule
+    });
+
+    return sendSuccess(res, null, 'Release schedule deleted');
+  } catch (error) {
+    logger.error('Delete release schedule error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to delete release schedule');
+  }
+};
+
+/**
+ * Apply due releases now instead of waiting for the job (Admin only)
+ */
+const runReleases = async (req, res) => {
+  try {
+    const results = await releaseService.runDue();
+    const opened = results.reduce((sum, item) => sum + item.opened.length, 0);
+
+    logger.info('Releases run by admin', { opened, requestId: req.id });
+    await auditService.record(req, {
+      action: 'release_schedule.run',
+      entityType: 'release_schedule',
+      entityId: 'due',
+      after: { results }
+    });
+
+    return sendSuccess(res, results, `Opened ${opened} dates`);
+  } catch (error) {
+    logger.error('Run releases error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to run releases');
+  }
+};
+
+/**
+ * Lotteries devotees can apply for, with their application windows (Public)
+ */
+const getUpcomingLotteries = async (req, res) => {
+  try {
+    const lotteries = await lotteryService.getUpcoming();
+
+    return sendSuccess(res, lotteries, 'Upcoming lotteries retrieved');
+  } catch (error) {
+    logger.error('Get upcoming lotteries error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch upcoming lotteries');
+  }
+};
+
+/**
+ * Seed and ranking of a drawn lottery, so anyone can check the draw (Public)
+ */
+const getLotteryResult = async (req, res) => {
+  try {
+    const result = await lotteryService.getResult(parseInt(req.params.id, 10));
+
+    return sendSuccess(res, result, 'Lottery result retrieved');
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    logger.error('Get lottery result error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch lottery result');
+  }
+};
+
+/**
+ * List lotteries with entry counts (Admin only)
+ */
+const getLotteries = async (req, res) => {
+  try {
+    const lotteries = await lotteryService.list();
+
+    return sendSuccess(res, lotteries, `Found ${lotteries.length} lotteries`);
+  } catch (error) {
+    logger.error('Get lotteries error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch lotteries');
+  }
+};
+
+/**
+ * Allocate a date by lottery (Admin only)
+ */
+const createLottery = async (req, res) => {
+  try {
+    const lottery = await lotteryService.create(req.body, req.user.username);
+
+    logger.info('Lottery created', { lotteryId: lottery.id, bookingDate: lottery.bookingDate, requestId: req.id });
+    await auditService.record(req, {
+      action: 'lottery.create',
+      entityType: 'lottery',
+      entityId: lottery.id,
+      after: lottery
+    });
+
+    return sendCreated(res, lottery, 'Lottery created');
+  } catch (error) {
+    logger.error('Create lottery error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to create lottery');
+  }
+};
+
+/**
+ * Change the application window or draw time of a lottery (Admin only)
+ */
+const updateLottery = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { before, after } = await lotteryService.update(id, req.body);
+
+    logger.info('Lottery updated', { lotteryId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'lottery.update',
+      entityType: 'lottery',
+      entityId: id,
+      before,
+      after
+    });
+
+    return sendSuccess(res, after, 'Lottery updated');
+  } catch (error) {
+    logger.error('Update lottery error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to update lottery');
+  }
+};
+
+/**
+ * Delete a lottery nobody has applied for (Admin only)
+ */
+const deleteLottery = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const lottery = await lotteryService.remove(id);
+
+    logger.info('Lottery deleted', { lotteryId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'lottery.delete',
+      entityType: 'lottery',
+      entityId: id,
+      before: lottery
+    });
+
+    return sendSuccess(res, null, 'Lottery deleted');
+  } catch (error) {
+    logger.error('Delete lottery error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to delete lottery');
+  }
+};
+
+/**
+ * Applications of a lottery with their outcome (Admin only)
+ */
+const getLotteryEntries = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const lottery = await lotteryService.getById(id);
+    if (!lottery) {
+      return sendNotFound(res, 'Lottery not found');
+    }
+
+    const entries = await lotteryService.listEntries(id);
+
+    return sendSuccess(res, { lottery, entries }, `Found ${entries.length} lottery entries`);
+  } catch (error) {
+    logger.error('Get lottery entries error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch lottery entries');
+  }
+};
+
+/**
+ * Draw a lottery now (Admin only); the seed is generated by the draw
+ */
+const drawLottery = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await lotteryService.draw(id, { actor: req.user.username });
+
+    logger.info('Lottery drawn by admin', { lotteryId: id, won: result.won, waitlisted: result.waitlisted, requestId: req.id });
+    await auditService.record(req, {
+      action: 'lottery.draw',
+      entityType: 'lottery',
+      entityId: id,
+      after: {
+        seed: result.lottery.seed,
+        won: result.won,
+        waitlisted: result.waitlisted,
+        ineligible: result.ineligible
+      }
+    });
+
+    return sendSuccess(res, result, `${result.won} won, ${result.waitlisted} waitlisted, ${result.ineligible} ineligible`);
+  } catch (error) {
+    logger.error('Draw lottery error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to draw lottery');
+  }
+};
+
 module.exports = {
   getCalendarSettings,
+  getAvailability,
+  streamAvailability,
   setDateStatus,
-  bulkUpdateDates
+  bulkUpdateDates,
+  getCalendarRules,
+  createCalendarRule,
+  updateCalendarRule,
+  deleteCalendarRule,
+  getUpcomingReleases,
+  getReleaseSchedules,
+  createReleaseSchedule,
+  updateReleaseSchedule,
+  deleteReleaseSchedule,
+  runReleases,
+  getUpcomingLotteries,
+  getLotteryResult,
+  getLotteries,
+  createLottery,
+  updateLottery,
+  deleteLottery,
+  getLotteryEntries,
+  drawLottery
 };
@@ -0,0 +1,162 @@
+const dbService = require('../services/db.service');
+const auditService = require('../services/audit.service');
+const logger = require('../utils/logger');
+const { sendSuccess, sendError, sendBadRequest, sendNotFound, sendCreated } = require('../utils/response');
+
+// Field properties exposed to the public form
+const PUBLIC_FIELD_PROPERTIES = ['key', 'labelGu', 'labelEn', 'type', 'required', 'options', 'maxLength'];
+
+const pick = (obj, keys) => keys.reduce((out, key) => {
+  if (obj[key] !== undefined) out[key] = obj[key];
+  return out;
+}, {});
+
+/**
+ * Get the extra form fields to render (Public)
+ */
+const getFormSchema = async (req, res) => {
+  try {
+    const fields = await dbService.getFormFields();
+
+    return sendSuccess(res, {
+      fields: fields.map(f => pick(f, PUBLIC_FIELD_PROPERTIES))
+    }, 'Form schema retrieved');
+  } catch (error) {
+    logger.error('Get form schema error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch form schema');
+  }
+};
+
+/**
+ * Get all form fields including inactive ones (Admin only)
+ */
+const getFormFields = async (req, res) => {
+  try {
+    const fields = await dbService.getFormFields({ includeInactive: true });
+
+    return sendSuccess(res, fields, `Found ${fields.length} form fields`);
+  } catch (error) {
+    logger.error('Get form fields error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch form fields');
+  }
+};
+
+/**
+ * Create a form field (Admin only)
+ */
+const createFormField = async (req, res) => {
+  try {
+    const field = pick(req.body, ['key', 'labelGu', 'labelEn', 'type', 'required', 'options', 'maxLength', 'position']);
+
+    if (field.type === 'select' && !field.options) {
+      return sendBadRequest(res, 'Select fields need options');
+    }
+    if (field.type !== 'select' && field.options) {
+      return sendBadRequest(res, 'Only select fields can have options');
+    }
+
+    const existing = (await dbService.getFormFields({ includeInactive: true })).find(f => f.key === field.key);
+    if (existing) {
+      return sendBadRequest(res, `A field with key "${field.key}" already exists`);
+    }
+
+    const created = await dbService.addFormField(field);
+
+    logger.info('Form field created', { key: created.key, requestId: req.id });
+    await auditService.record(req, {
+      action: 'form_field.create',
+      entityType: 'form_field',
+      entityId: created.key,
+      after: created
+    });
+
+    return sendCreated(res, created, 'Form field created');
+  } catch (error) {
+    logger.error('Create form field error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to create form field');
+  }
+};
+
+/**
+ * Update a form field (Admin only)
+ * Key and type are fixed once created so stored values keep their meaning.
+ */
+const updateFormField = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const before = await dbService.getFormFieldById(id);
+    if (!before) {
+      return sendNotFound(res, 'Form field not found');
+    }
+
+    if ((req.body.key !== undefined && req.body.key !== before.key) ||
+      (req.body.type !== undefined && req.body.type !== before.type)) {
+      return sendBadRequest(res, 'Key and type cannot be changed');
+    }
+    if (req.body.options !== undefined && before.type !== 'select') {
+      return sendBadRequest(res, 'Only select fields can have options');
+    }
+    if (req.body.options === null && before.type === 'select') {
+      return sendBadRequest(res, 'Select fields need options');
+    }
+
+    const after = await dbService.updateFormField(
+      id,
+      pick(req.body, ['labelGu', 'labelEn', 'required', 'options', 'maxLength', 'position', 'active'])
+    );
+
+    logger.info('Form field updated', { key: after.key, requestId: req.id });
+    await auditService.record(req, {
+      action: 'form_field.update',
+      entityType: 'form_field',
+      entityId: after.key,
+      before,
+      after
+    });
+
+    return sendSuccess(res, after, 'Form field updated');
+  } catch (error) {
+    logger.error('Update form field error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to update form field');
+  }
+};
+
+/**
+ * Deactivate a form field (Admin only)
+ * Stored values are kept; the field is hidden from the form and exports.
+ */
+const deleteFormField = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const before = await dbService.getFormFieldById(id);
+    if (!before) {
+      return sendNotFound(res, 'Form field not found');
+    }
+
+    const after = await dbService.updateFormField(id, { active: false });
+
+    logger.info('Form field deactivated', { key: after.key, requestId: req.id });
+    await auditService.record(req, {
+      action: 'form_field.deactivate',
+      entityType: 'form_field',
+      entityId: after.key,
+      before: { active: before.active },
+      after: { active: after.active }
+    });
+
+    return sendSuccess(res, null, 'Form field deactivated');
+  } catch (error) {
+    logger.error('Delete form field error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to deactivate form field');
+  }
+};
+
+module.exports = {
+  getFormSchema,
+  getFormFields,
+  createFormField,
+  updateFormField,
+  deleteFormField
+};
@@ -0,0 +1,226 @@
+const shalaService = require('../services/shala.service');
+const auditService = require('../services/audit.service');
+const waitlistService = require('../services/waitlist.service');
+const logger = require('../utils/logger');
+const { sanitizeInput } = require('../utils/helpers');
+const { sendSuccess, sendError, sendBadRequest, sendNotFound, sendCreated, sendHttpError } = require('../utils/response');
+
+const TEXT_FIELDS = ['nameGu', 'nameEn', 'city', 'address', 'contactName', 'contactPhone'];
+
+// Copy the editable fields from the body, sanitizing text
+const pickShalaFields = (body) => {
+  const data = {};
+  TEXT_FIELDS.forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key] === null ? null : sanitizeInput(body[key]);
+  });
+  if (body.maxBookingsPerDay !== undefined) data.maxBookingsPerDay = body.maxBookingsPerDay;
+  if (body.active !== undefined) data.active = body.active;
+  return data;
+};
+
+/**
+ * Autocomplete registry shalas by name, alias or city (Public)
+ */
+const autocompleteShalas = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+
+    if (q.length < 2) {
+      return sendBadRequest(res, 'Query must be at least 2 characters');
+    }
+
+    const shalas = await shalaService.autocomplete(q.slice(0, 100));
+
+    return sendSuccess(res, shalas, `Found ${shalas.length} shalas`);
+  } catch (error) {
+    logger.error('Shala autocomplete error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to search shalas');
+  }
+};
+
+/**
+ * List registry shalas with booking counts (Admin only)
+ */
+const getShalas = async (req, res) => {
+  try {
+    const shalas = await shalaService.list({ includeInactive: req.query.includeInactive === 'true' });
+
+    return sendSuccess(res, shalas, `Found ${shalas.length} shalas`);
+  } catch (error) {
+    logger.error('Get shalas error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch shalas');
+  }
+};
+
+/**
+ * Get a shala with its aliases (Admin only)
+ */
+const getShalaById = async (req, res) => {
+  try {
+    const shala = await shalaService.getById(parseInt(req.params.id, 10));
+
+    if (!shala) {
+      return sendNotFound(res, 'Shala not found');
+    }
+
+    return sendSuccess(res, shala, 'Shala retrieved');
+  } catch (error) {
+    logger.error('Get shala error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch shala');
+  }
+};
+
+/**
+ * Free-text shala names not yet linked to the registry (Admin only)
+ */
+const getUnmatchedNames = async (req, res) => {
+  try {
+    const names = await shalaService.getUnmatchedNames();
+
+    return sendSuccess(res, names, `Found ${names.length} unmatched shala names`);
+  } catch (error) {
+    logger.error('Get unmatched shala names error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch unmatched shala names');
+  }
+};
+
+/**
+ * Create a registry shala (Admin only)
+ */
+const createShala = async (req, res) => {
+  try {
+    const shala = await shalaService.create(pickShalaFields(req.body));
+
+    logger.info('Shala created', { shalaId: shala.id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'shala.create',
+      entityType: 'shala',
+      entityId: shala.id,
+      after: shala
+    });
+
+    return sendCreated(res, shala, 'Shala created');
+  } catch (error) {
+    logger.error('Create shala error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to create shala');
+  }
+};
+
+/**
+ * Update a registry shala (Admin only)
+ */
+const updateShala = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const before = await shalaService.getById(id);
+    if (!before) {
+      return sendNotFound(res, 'Shala not found');
+    }
+
+    const after = await shalaService.update(id, pickShalaFields(req.body));
+
+    logger.info('Shala updated', { shalaId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'shala.update',
+      entityType: 'shala',
+      entityId: id,
+      before,
+      after
+    });
+
+    // More parna places at this shala - let waitlisted devotees take them
+    const limitRaised = before.maxBookingsPerDay !== null &&
+      (after.maxBookingsPerDay === null || after.maxBookingsPerDay > before.maxBookingsPerDay);
+    if (limitRaised) {
+      waitlistService.promoteAll()
+        .then(promoted => {
+          logger.info('Waitlist promoted after shala limit change', { shalaId: id, count: promoted.length, requestId: req.id });
+        })
+        .catch(err => {
+          logger.error('Waitlist promotion error', { error: err.message, requestId: req.id });
+        });
+    }
+
+    return sendSuccess(res, after, 'Shala updated');
+  } catch (error) {
+    logger.error('Update shala error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to update shala');
+  }
+};
+
+/**
+ * Deactivate a registry shala (Admin only)
+ * Linked submissions keep their shala ID; it just stops appearing in autocomplete.
+ */
+const deleteShala = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const before = await shalaService.getById(id);
+    if (!before) {
+      return sendNotFound(res, 'Shala not found');
+    }
+
+    await shalaService.update(id, { active: false });
+
+    logger.info('Shala deactivated', { shalaId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'shala.deactivate',
+      entityType: 'shala',
+      entityId: id,
+      before: { active: before.active },
+      after: { active: false }
+    });
+
+    return sendSuccess(res, null, 'Shala deactivated');
+  } catch (error) {
+    logger.error('Delete shala error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to deactivate shala');
+  }
+};
+
+/**
+ * Merge free-text shala names into a registry shala (Admin only)
+ */
+const mergeShalaNames = async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const result = await shalaService.merge(id, req.body.names, req.user.username);
+
+    logger.info('Shala names merged', {
+      shalaId: id,
+      aliases: result.aliases,
+      linkedSubmissions: result.linkedSubmissions,
+      requestId: req.id
+    });
+    await auditService.record(req, {
+      action: 'shala.merge',
+      entityType: 'shala',
+      entityId: id,
+      after: result
+    });
+
+    return sendSuccess(res, result, `Linked ${result.linkedSubmissions} submissions`);
+  } catch (error) {
+    logger.error('Merge shala names error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to merge shala names');
+  }
+};
+
+module.exports = {
+  autocompleteShalas,
+  getShalas,
+  getShalaById,
+  getUnmatchedNames,
+  createShala,
+  updateShala,
+  deleteShala,
+  mergeShalaNames
+};
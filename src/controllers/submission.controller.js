@@ -1,10 +1,36 @@
 const dbService = require('../services/db.service');
 const backupService = require('../services/backup.service');
 const emailService = require('../services/email.service');
+const waitlistService = require('../services/waitlist.service');
+const seatHoldService = require('../services/seatHold.service');
+const lotteryService = require('../services/lottery.service');
+const auditService = require('../services/audit.service');
 const logger = require('../utils/logger');
-const { getClientIp, validateDateRange, isValidDateFormat } = require('../utils/helpers');
-const { sendSuccess, sendError, sendBadRequest, sendNotFound, sendCreated, sendPaginated } = require('../utils/response');
-const { BOOKING, HTTP } = require('../config/constants');
+const { getClientIp, validateDateRange, isValidDateFormat, sanitizeInput, parseTags } = require('../utils/helpers');
+const { sendSuccess, sendError, sendBadRequest, sendNotFound, sendCreated, sendPaginated, sendHttpError } = require('../utils/response');
+const { BOOKING, HTTP, SUBMISSION_STATUS_LABELS } = require('../config/constants');
+
+// Statuses that release a booking's slot back to the date
+const RELEASED_STATUSES = ['archived', 'rejected', 'cancelled'];
+
+// Fields of a purged submission kept in the audit log (no personal details)
+const PURGE_AUDIT_FIELDS = ['id', 'submissionDate', 'bookingDate', 'status', 'seats', 'shalaId', 'seriesId', 'deletedAt', 'deletedBy'];
+
+/**
+ * Promote waitlisted devotees for a date whose slot was freed.
+ * Runs in the background so the admin response is not delayed.
+ */
+const promoteWaitlist = (date, req) => {
+  waitlistService.promote(date)
+    .then(promoted => {
+      if (promoted.length > 0) {
+        logger.info('Waitlist promoted', { date, count: promoted.length, requestId: req.id });
+      }
+    })
+    .catch(err => {
+      logger.error('Waitlist promotion error', { date, error: err.message, requestId: req.id });
+    });
+};
 
 /**
  * Create new submission
@@ -13,14 +39,24 @@ const createSubmission = async (req, res) => {
   try {
     // Validate booking date if provided
     if (req.body.bookingDate) {
-      const validation = await dbService.validateBookingDate(req.body.bookingDate);
+      const seats = req.body.participants ? req.body.participants.length : 1;
+      // The devotee's own seat hold does not count against them
+      const hold = req.body.holdToken
+        ? await dbService.getActiveSeatHold(req.body.holdToken, new Date(req.body.bookingDate).toISOString().split('T')[0])
+        : null;
+      const validation = await dbService.validateBookingDate(
+        req.body.bookingDate, seats, req.body.shalaId, hold && hold.id, req.body
+      );
 
       if (!validation.valid) {
         return res.status(HTTP.BAD_REQUEST).json({
           success: false,
           message: validation.error,
           messageGu: validation.errorGu,
-          nextAvailableDate: validation.nextAvailableDate
+          violations: validation.violations,
+          nextAvailableDate: validation.nextAvailableDate,
+          opensAt: validation.opensAt,
+          lottery: validation.lottery
         });
       }
     }
@@ -48,6 +84,7 @@ const createSubmission = async (req, res) => {
       emailService.sendSubmissionConfirmation({
         ...submissionData,
         id: result.id,
+        manageToken: result.manageToken,
         date: result.data.date
       }).then(emailResult => {
         if (!emailResult.success) {
@@ -69,17 +106,156 @@ const createSubmission = async (req, res) => {
     res.status(HTTP.CREATED).json(result);
   } catch (error) {
     logger.error('Create submission error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
     return sendError(res, error.message || 'Failed to submit form. Please try again.');
   }
 };
 
+/**
+ * Create a multi-date series booking
+ * mode 'all' books every date or none, 'available' books what it can.
+ */
+const createSeries = async (req, res) => {
+  try {
+    const { bookingDates, mode = 'all', ...devotee } = req.body;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const submissionData = {
+      ...devotee,
+      ipAddress: getClientIp(req)
+    };
+
+    const result = await dbService.addSubmissionSeries(submissionData, bookingDates, mode);
+    const booked = result.results.filter(r => r.success);
+
+    logger.info('Series submission created', {
+      seriesId: result.seriesId,
+      mode,
+      bookedCount: booked.length,
+      requestedCount: result.results.length,
+      requestId: req.id
+    });
+
+    if (submissionData.email) {
+      emailService.sendSeriesConfirmation({
+        ...submissionData,
+        seriesId: result.seriesId,
+        manageToken: result.manageToken,
+        bookedDates: booked
+      }).then(emailResult => {
+        if (!emailResult.success) {
+          logger.warn('Email send failed', { seriesId: result.seriesId, error: emailResult.message, requestId: req.id });
+        }
+      }).catch(err => {
+        logger.error('Email send error', { seriesId: result.seriesId, error: err.message, requestId: req.id });
+      });
+    }
+
+    res.status(HTTP.CREATED).json({
+      success: true,
+      seriesId: result.seriesId,
+      manageToken: result.manageToken,
+      message: `${booked.length} of ${result.results.length} dates booked`,
+      messageGu: `${result.results.length} માંથી ${booked.length} તારીખો બુક થઈ`,
+      results: result.results
+    });
+  } catch (error) {
+    logger.error('Create series error', { error: error.message, requestId: req.id });
+
+    if (error.results) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        messageGu: error.messageGu,
+        results: error.results
+      });
+    }
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to submit form. Please try again.');
+  }
+};
+
+/**
+ * Get a series with its bookings (Admin only)
+ */
+const getSeries = async (req, res) => {
+  try {
+    const series = await dbService.getSeries(req.params.seriesId);
+
+    if (!series) {
+      return sendNotFound(res, 'Series not found');
+    }
+
+    return sendSuccess(res, series, 'Series retrieved');
+  } catch (error) {
+    logger.error('Get series error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch series');
+  }
+};
+
+/**
+ * Cancel all upcoming bookings of a series (Admin only)
+ */
+const cancelSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    // Create backup before update
+    await backupService.createBackup();
+
+    const cancelled = await dbService.cancelSeries(seriesId, {
+      changedBy: req.user.username,
+      reason: req.body.reason ? sanitizeInput(req.body.reason) : null
+    });
+
+    logger.info('Series cancelled', { seriesId, cancelledCount: cancelled.length, requestId: req.id });
+
+    for (const item of cancelled) {
+      await auditService.record(req, {
+        action: 'submission.series_cancel',
+        entityType: 'submission',
+        entityId: item.before.id,
+        before: item.before,
+        after: item.after
+      });
+    }
+    new Set(cancelled.map(item => item.before.bookingDate)).forEach(date => promoteWaitlist(date, req));
+
+    return sendSuccess(res, {
+      seriesId,
+      cancelled: cancelled.map(item => item.before.id)
+    }, `Cancelled ${cancelled.length} bookings`);
+  } catch (error) {
+    logger.error('Cancel series error', { error: error.message, requestId: req.id });
+
+    if (error.message === 'Series not found') {
+      return sendNotFound(res, error.message);
+    }
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to cancel series');
+  }
+};
+
 /**
  * Get all submissions (Admin only)
  * Uses database-level pagination for better performance
  */
 const getAllSubmissions = async (req, res) => {
   try {
-    const { page = 1, limit = 50, status, city, state, startDate, endDate } = req.query;
+    const { page = 1, limit = 50, status, city, state, startDate, endDate, tags, seriesId, shalaId } = req.query;
 
     // Validate pagination params
     const pageNum = Math.max(1, parseInt(page) || 1);
@@ -92,6 +268,9 @@ const getAllSubmissions = async (req, res) => {
     if (state) filters.state = state;
     if (startDate) filters.startDate = startDate;
     if (endDate) filters.endDate = endDate;
+    if (tags) filters.tags = parseTags(tags);
+    if (seriesId) filters.seriesId = seriesId;
+    if (shalaId) filters.shalaId = parseInt(shalaId, 10) || -1;
 
     // Use database-level pagination
     const result = await dbService.getSubmissionsPaginated(filters, pageNum, limitNum);
@@ -115,7 +294,13 @@ const getSubmissionById = async (req, res) => {
       return sendNotFound(res, 'Submission not found');
     }
 
-    return sendSuccess(res, submission, 'Submission retrieved');
+    const [notes, tags, participants] = await Promise.all([
+      dbService.getSubmissionNotes(id),
+      dbService.getSubmissionTags(id),
+      dbService.getSubmissionParticipants(id)
+    ]);
+
+    return sendSuccess(res, { ...submission, participants, notes, tags }, 'Submission retrieved');
   } catch (error) {
     logger.error('Get submission error', { error: error.message, requestId: req.id });
     return sendError(res, 'Failed to fetch submission');
@@ -129,12 +314,33 @@ const updateSubmission = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await dbService.getSubmissionById(id);
+    if (!existing) {
+      return sendNotFound(res, 'Submission not found');
+    }
+
     // Create backup before update
     await backupService.createBackup();
 
-    const result = await dbService.updateSubmission(id, req.body);
+    const result = await dbService.updateSubmission(id, req.body, {
+      changedBy: req.user.username,
+      reason: req.body.reason ? sanitizeInput(req.body.reason) : null
+    });
 
     logger.info('Submission updated', { submissionId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.update',
+      entityType: 'submission',
+      entityId: id,
+      before: existing,
+      after: result.data
+    });
+
+    // A slot frees up on the original date when the booking is released or moved away
+    const released = RELEASED_STATUSES.includes(result.data.status) && !RELEASED_STATUSES.includes(existing.status);
+    if (released || result.data.bookingDate !== existing.bookingDate) {
+      promoteWaitlist(existing.bookingDate, req);
+    }
     return sendSuccess(res, result.data, result.message);
   } catch (error) {
     logger.error('Update submission error', { error: error.message, requestId: req.id });
@@ -143,6 +349,10 @@ const updateSubmission = async (req, res) => {
       return sendNotFound(res, error.message);
     }
 
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
     return sendError(res, 'Failed to update submission');
   }
 };
@@ -154,12 +364,27 @@ const deleteSubmission = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await dbService.getSubmissionById(id);
+    if (!existing) {
+      return sendNotFound(res, 'Submission not found');
+    }
+
     // Create backup before delete
     await backupService.createBackup();
 
-    const result = await dbService.deleteSubmission(id);
+    const result = await dbService.deleteSubmission(id, req.user.username);
+
+    logger.info('Submission moved to trash', { submissionId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.delete',
+      entityType: 'submission',
+      entityId: id,
+      before: existing
+    });
 
-    logger.info('Submission deleted', { submissionId: id, requestId: req.id });
+    if (!RELEASED_STATUSES.includes(existing.status)) {
+      promoteWaitlist(existing.bookingDate, req);
+    }
     return sendSuccess(res, null, result.message);
   } catch (error) {
     logger.error('Delete submission error', { error: error.message, requestId: req.id });
@@ -172,6 +397,347 @@ const deleteSubmission = async (req, res) => {
   }
 };
 
+/**
+ * Get status history for a submission (Admin only)
+ */
+const getSubmissionHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const submission = await dbService.getSubmissionById(id);
+    if (!submission) {
+      return sendNotFound(res, 'Submission not found');
+    }
+
+    const history = await dbService.getStatusHistory(id);
+
+    return sendSuccess(res, history, 'Status history retrieved');
+  } catch (error) {
+    logger.error('Get submission history error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch status history');
+  }
+};
+
+/**
+ * Report of suspected duplicate bookings (Admin only)
+ * Active bookings on one date sharing a UPI or WhatsApp number.
+ */
+const getDuplicateReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if ((startDate && !isValidDateFormat(startDate)) || (endDate && !isValidDateFormat(endDate))) {
+      return sendBadRequest(res, 'Dates must be in YYYY-MM-DD format');
+    }
+
+    const groups = await dbService.getDuplicateBookings({ startDate, endDate });
+
+    return sendSuccess(res, groups, `Found ${groups.length} suspected duplicate groups`);
+  } catch (error) {
+    logger.error('Duplicate report error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to build duplicate report');
+  }
+};
+
+/**
+ * Add a note to a submission (Admin only)
+ */
+const addSubmissionNote = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const submission = await dbService.getSubmissionById(id);
+    if (!submission) {
+      return sendNotFound(res, 'Submission not found');
+    }
+
+    const note = await dbService.addSubmissionNote(id, req.user.username, sanitizeInput(req.body.text));
+
+    logger.info('Submission note added', { submissionId: id, noteId: note.id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.note_add',
+      entityType: 'submission',
+      entityId: id,
+      after: { noteId: note.id, text: note.text }
+    });
+
+    return sendCreated(res, note, 'Note added');
+  } catch (error) {
+    logger.error('Add note error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to add note');
+  }
+};
+
+/**
+ * Delete a note from a submission (Admin only)
+ */
+const deleteSubmissionNote = async (req, res) => {
+  try {
+    const { id, noteId } = req.params;
+
+    const note = await dbService.deleteSubmissionNote(id, parseInt(noteId, 10) || 0);
+    if (!note) {
+      return sendNotFound(res, 'Note not found');
+    }
+
+    logger.info('Submission note deleted', { submissionId: id, noteId: note.id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.note_delete',
+      entityType: 'submission',
+      entityId: id,
+      before: { noteId: note.id, author: note.author, text: note.text }
+    });
+
+    return sendSuccess(res, null, 'Note deleted');
+  } catch (error) {
+    logger.error('Delete note error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to delete note');
+  }
+};
+
+/**
+ * Add tags to a submission (Admin only)
+ */
+const addSubmissionTags = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const submission = await dbService.getSubmissionById(id);
+    if (!submission) {
+      return sendNotFound(res, 'Submission not found');
+    }
+
+    const tags = parseTags(req.body.tags).map(sanitizeInput);
+    const before = await dbService.getSubmissionTags(id);
+    const added = await dbService.addSubmissionTags(id, tags, req.user.username);
+    const after = await dbService.getSubmissionTags(id);
+
+    if (added.length > 0) {
+      logger.info('Submission tags added', { submissionId: id, tags: added, requestId: req.id });
+      await auditService.record(req, {
+        action: 'submission.tag_add',
+        entityType: 'submission',
+        entityId: id,
+        before: { tags: before },
+        after: { tags: after }
+      });
+    }
+
+    return sendSuccess(res, { tags: after }, 'Tags updated');
+  } catch (error) {
+    logger.error('Add tags error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to add tags');
+  }
+};
+
+/**
+ * Remove a tag from a submission (Admin only)
+ */
+const removeSubmissionTag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [tag] = parseTags(req.params.tag);
+
+    const before = await dbService.getSubmissionTags(id);
+    const removed = tag ? await dbService.removeSubmissionTag(id, tag) : false;
+    if (!removed) {
+      return sendNotFound(res, 'Tag not found');
+    }
+
+    const after = before.filter(t => t !== tag);
+
+    logger.info('Submission tag removed', { submissionId: id, tag, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.tag_remove',
+      entityType: 'submission',
+      entityId: id,
+      before: { tags: before },
+      after: { tags: after }
+    });
+
+    return sendSuccess(res, { tags: after }, 'Tag removed');
+  } catch (error) {
+    logger.error('Remove tag error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to remove tag');
+  }
+};
+
+/**
+ * Get trashed submissions (Admin only)
+ */
+const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+    const result = await dbService.getTrashedSubmissions(pageNum, limitNum);
+
+    return sendPaginated(res, result.data, result.pagination, 'Trash retrieved');
+  } catch (error) {
+    logger.error('Get trash error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch trash');
+  }
+};
+
+/**
+ * Restore a trashed submission (Admin only)
+ */
+const restoreSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await dbService.getTrashedSubmissionById(id);
+    if (!existing) {
+      return sendNotFound(res, 'Submission not found in trash');
+    }
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await dbService.restoreSubmission(id);
+
+    logger.info('Submission restored from trash', { submissionId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.restore',
+      entityType: 'submission',
+      entityId: id,
+      before: { deletedAt: existing.deletedAt, deletedBy: existing.deletedBy },
+      after: { deletedAt: null, deletedBy: null }
+    });
+
+    return sendSuccess(res, result.data, result.message);
+  } catch (error) {
+    logger.error('Restore submission error', { error: error.message, requestId: req.id });
+
+    if (error.message === 'Submission not found in trash') {
+      return sendNotFound(res, error.message);
+    }
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to restore submission');
+  }
+};
+
+/**
+ * Permanently delete a trashed submission (Admin only)
+ */
+const purgeSubmission = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await dbService.getTrashedSubmissionById(id);
+    if (!existing) {
+      return sendNotFound(res, 'Submission not found in trash');
+    }
+
+    // Create backup before delete
+    await backupService.createBackup();
+
+    const result = await dbService.purgeSubmission(id);
+
+    logger.info('Submission purged', { submissionId: id, requestId: req.id });
+    await auditService.record(req, {
+      action: 'submission.purge',
+      entityType: 'submission',
+      entityId: id,
+      before: Object.fromEntries(PURGE_AUDIT_FIELDS.map(field => [field, existing[field]]))
+    });
+
+    return sendSuccess(res, null, result.message);
+  } catch (error) {
+    logger.error('Purge submission error', { error: error.message, requestId: req.id });
+
+    if (error.message === 'Submission not found in trash') {
+      return sendNotFound(res, error.message);
+    }
+
+    return sendError(res, 'Failed to permanently delete submission');
+  }
+};
+
+/**
+ * Apply a status change, delete or date move to many submissions (Admin only)
+ * Targets either an explicit list of IDs or everything matching the list filters.
+ */
+const bulkUpdateSubmissions = async (req, res) => {
+  try {
+    const { action, ids, filters, status, bookingDate, reason } = req.body;
+
+    if ((ids && filters) || (!ids && !filters)) {
+      return sendBadRequest(res, 'Provide either ids or filters');
+    }
+
+    // Build filters (same keys as the submission list)
+    let listFilters = null;
+    if (filters) {
+      listFilters = {};
+      ['status', 'city', 'state', 'startDate', 'endDate', 'seriesId'].forEach(key => {
+        if (filters[key]) listFilters[key] = String(filters[key]);
+      });
+      if (filters.tags) listFilters.tags = parseTags(filters.tags);
+      if (filters.shalaId) listFilters.shalaId = parseInt(filters.shalaId, 10) || -1;
+
+      if (Object.keys(listFilters).length === 0) {
+        return sendBadRequest(res, 'At least one filter is required');
+      }
+    }
+
+    // One backup for the whole batch
+    await backupService.createBackup();
+
+    const result = await dbService.bulkUpdateSubmissions(
+      ids ? [...new Set(ids)] : null,
+      listFilters,
+      { action, status, bookingDate, reason: reason ? sanitizeInput(reason) : null },
+      req.user.username
+    );
+
+    logger.info('Bulk submission action', {
+      action,
+      successCount: result.updated.length,
+      errorCount: result.errors.length,
+      requestId: req.id
+    });
+
+    const freedDates = new Set();
+    for (const item of result.updated) {
+      await auditService.record(req, {
+        action: `submission.bulk_${action}`,
+        entityType: 'submission',
+        entityId: item.id,
+        before: item.before,
+        after: item.after
+      });
+
+      const wasActive = !RELEASED_STATUSES.includes(item.before.status);
+      const stillOnDate = item.after && item.after.bookingDate === item.before.bookingDate &&
+        !RELEASED_STATUSES.includes(item.after.status);
+      if (wasActive && !stillOnDate) {
+        freedDates.add(item.before.bookingDate);
+      }
+    }
+    freedDates.forEach(date => promoteWaitlist(date, req));
+
+    return sendSuccess(res, {
+      updated: result.updated.map(item => item.id),
+      errors: result.errors.length > 0 ? result.errors : undefined
+    }, `Updated ${result.updated.length} submissions`);
+  } catch (error) {
+    logger.error('Bulk submission action error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Bulk action failed');
+  }
+};
+
 /**
  * Search submissions (Admin only)
  */
@@ -211,7 +777,7 @@ const getStatistics = async (req, res) => {
  */
 const exportSubmissions = async (req, res) => {
   try {
-    const { status, city, state, startDate, endDate } = req.query;
+    const { status, city, state, startDate, endDate, tags, seriesId, shalaId } = req.query;
 
     // Build filters
     const filters = {};
@@ -220,6 +786,9 @@ const exportSubmissions = async (req, res) => {
     if (state) filters.state = state;
     if (startDate) filters.startDate = startDate;
     if (endDate) filters.endDate = endDate;
+    if (tags) filters.tags = parseTags(tags);
+    if (seriesId) filters.seriesId = seriesId;
+    if (shalaId) filters.shalaId = parseInt(shalaId, 10) || -1;
 
     const exportPath = await dbService.exportSubmissions(filters);
 
@@ -260,12 +829,28 @@ const getBookingCountsByDateRange = async (req, res) => {
     const end = new Date(endDate);
 
     const bookingCounts = await dbService.getBookingCountsByDateRange(start, end);
-    const maxBookingsPerDay = await dbService.getSetting('max_bookings_per_day', '3');
+    const maxBookingsPerDay = parseInt(await dbService.getSetting('max_bookings_per_day', '3'), 10);
+    const capacities = await dbService.getCapacityOverrides(startDate, endDate);
+    const calendar = await dbService.getCalendarSettings(startDate, endDate);
+
+    // Dates missing from statuses are coming_soon
+    const statuses = {};
+    const notes = {};
+    calendar.forEach(row => {
+      const capacity = row.capacity !== null ? row.capacity : maxBookingsPerDay;
+      statuses[row.date] = row.status === 'open' && (bookingCounts[row.date] || 0) >= capacity ? 'full' : row.status;
+      if (row.noteGu || row.noteEn) {
+        notes[row.date] = { noteGu: row.noteGu, noteEn: row.noteEn };
+      }
+    });
 
     return res.json({
       success: true,
       bookingCounts,
-      maxBookingsPerDay: parseInt(maxBookingsPerDay, 10)
+      maxBookingsPerDay,
+      capacities, // dates whose capacity differs from maxBookingsPerDay
+      statuses,
+      notes
     });
   } catch (error) {
     logger.error('Get booking counts error', { error: error.message, requestId: req.id });
@@ -274,7 +859,7 @@ const getBookingCountsByDateRange = async (req, res) => {
 };
 
 /**
- * Check date availability
+ * Check date availability (?shalaId= for the places left at one shala)
  */
 const checkDateAvailability = async (req, res) => {
   try {
@@ -289,7 +874,7 @@ const checkDateAvailability = async (req, res) => {
       return sendBadRequest(res, 'Date must be in YYYY-MM-DD format');
     }
 
-    const availability = await dbService.isDateAvailable(date);
+    const availability = await dbService.isDateAvailable(date, req.query.shalaId);
 
     return sendSuccess(res, { date, ...availability }, 'Availability checked');
   } catch (error) {
@@ -300,10 +885,11 @@ const checkDateAvailability = async (req, res) => {
 
 /**
  * Validate booking date
+ * With upiNumber / whatsappNumber the per-person booking rules are checked too.
  */
 const validateBookingDate = async (req, res) => {
   try {
-    const { bookingDate } = req.body;
+    const { bookingDate, shalaId, upiNumber, whatsappNumber } = req.body;
 
     if (!bookingDate) {
       return sendBadRequest(res, 'Booking date is required');
@@ -314,7 +900,7 @@ const validateBookingDate = async (req, res) => {
       return sendBadRequest(res, 'Date must be in YYYY-MM-DD format');
     }
 
-    const validation = await dbService.validateBookingDate(bookingDate);
+    const validation = await dbService.validateBookingDate(bookingDate, 1, shalaId, null, { upiNumber, whatsappNumber });
 
     if (!validation.valid) {
       return res.status(HTTP.BAD_REQUEST).json({
@@ -330,16 +916,384 @@ const validateBookingDate = async (req, res) => {
   }
 };
 
+/**
+ * Join the waitlist for a fully booked date
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    // A group waits for seats for all of its participants
+    const seats = req.body.participants ? req.body.participants.length : 1;
+    const validation = await dbService.validateBookingDate(req.body.bookingDate, seats, req.body.shalaId);
+
+    if (validation.valid) {
+      return res.status(HTTP.BAD_REQUEST).json({
+        success: false,
+        message: 'This date still has slots available. Please book directly.',
+        messageGu: 'આ તારીખ માટે હજી જગ્યા ઉપલબ્ધ છે. કૃપા કરીને સીધું બુકિંગ કરો.'
+      });
+    }
+
+    // Only fully booked dates can be waitlisted (not past or unopened dates)
+    if (validation.reason !== 'full') {
+      return res.status(HTTP.BAD_REQUEST).json({
+        success: false,
+        message: validation.error,
+        messageGu: validation.errorGu
+      });
+    }
+
+    const result = await dbService.addWaitlistEntry({
+      ...req.body,
+      ipAddress: getClientIp(req)
+    });
+
+    logger.info('Waitlist entry created', {
+      waitlistId: result.id,
+      bookingDate: result.data.bookingDate,
+      position: result.position,
+      requestId: req.id
+    });
+
+    res.status(HTTP.CREATED).json(result);
+  } catch (error) {
+    logger.error('Join waitlist error', { error: error.message, requestId: req.id });
+
+    if (error.message === 'Already on the waitlist for this date') {
+      return sendBadRequest(res, error.message);
+    }
+
+    return sendError(res, 'Failed to join waitlist. Please try again.');
+  }
+};
+
+/**
+ * Apply for the lottery of a high-demand date (Public)
+ * No seat is taken now; the entry ID lets the devotee find themselves in the published draw.
+ */
+const applyForLottery = async (req, res) => {
+  try {
+    const entry = await lotteryService.apply({
+      ...req.body,
+      ipAddress: getClientIp(req)
+    });
+
+    logger.info('Lottery entry created', {
+      entryId: entry.id,
+      lotteryId: entry.lotteryId,
+      bookingDate: entry.bookingDate,
+      requestId: req.id
+    });
+
+    res.status(HTTP.CREATED).json({
+      success: true,
+      ...entry,
+      message: 'લોટરી માટે તમારી અરજી મળી ગઈ છે. ડ્રો પછી પરિણામ જણાવવામાં આવશે',
+      messageEn: 'Your lottery application has been received. You will be told the result after the draw'
+    });
+  } catch (error) {
+    logger.error('Lottery application error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to apply for the lottery. Please try again.');
+  }
+};
+
+/**
+ * Get waitlist for a date, or a per-date summary when no date is given (Admin only)
+ */
+const getWaitlist = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (!date) {
+      const summary = await dbService.getWaitlistSummary();
+      return sendSuccess(res, summary, 'Waitlist summary retrieved');
+    }
+
+    if (!isValidDateFormat(date)) {
+      return sendBadRequest(res, 'Date must be in YYYY-MM-DD format');
+    }
+
+    const entries = await dbService.getWaitlistByDate(date);
+
+    return sendSuccess(res, entries, `Found ${entries.length} waitlist entries`);
+  } catch (error) {
+    logger.error('Get waitlist error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch waitlist');
+  }
+};
+
+/**
+ * Hold seats on a date while the devotee fills the form (Public)
+ * The holdToken goes with the submission; sending it again with another date moves the hold.
+ */
+const createSeatHold = async (req, res) => {
+  try {
+    const bookingDate = new Date(req.body.bookingDate).toISOString().split('T')[0];
+    const seats = req.body.seats || 1;
+    const shalaId = req.body.shalaId || null;
+
+    const previous = req.body.holdToken ? await dbService.getActiveSeatHold(req.body.holdToken, bookingDate) : null;
+    const validation = await dbService.validateBookingDate(bookingDate, seats, shalaId, previous && previous.id);
+
+    if (!validation.valid) {
+      return res.status(HTTP.BAD_REQUEST).json({
+        success: false,
+        message: validation.error,
+        messageGu: validation.errorGu,
+        nextAvailableDate: validation.nextAvailableDate,
+        opensAt: validation.opensAt,
+        lottery: validation.lottery
+      });
+    }
+
+    const hold = await seatHoldService.create({
+      bookingDate,
+      seats,
+      shalaId,
+      holdToken: req.body.holdToken,
+      ipAddress: getClientIp(req)
+    });
+
+    logger.info('Seat hold created', { holdId: hold.id, bookingDate, seats, requestId: req.id });
+
+    return sendCreated(res, hold, 'Seats held until the form is submitted');
+  } catch (error) {
+    logger.error('Create seat hold error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to hold seats');
+  }
+};
+
+/**
+ * Give held seats back, e.g. when the devotee leaves the form (Public)
+ */
+const releaseSeatHold = async (req, res) => {
+  try {
+    const released = await seatHoldService.release(req.params.token);
+
+    logger.info('Seat hold released', { holdId: released.id, bookingDate: released.bookingDate, requestId: req.id });
+
+    return sendSuccess(res, released, 'Seat hold released');
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    logger.error('Release seat hold error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to release seat hold');
+  }
+};
+
+/**
+ * Active seat holds, optionally for one date (Admin only)
+ */
+const getSeatHolds = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (date && !isValidDateFormat(date)) {
+      return sendBadRequest(res, 'Date must be in YYYY-MM-DD format');
+    }
+
+    const result = await seatHoldService.listActive(date || null);
+
+    return sendSuccess(res, result, `Found ${result.holds.length} active seat holds`);
+  } catch (error) {
+    logger.error('Get seat holds error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch seat holds');
+  }
+};
+
+/**
+ * Public booking lookup by submission ID + WhatsApp number.
+ * Returns only non-sensitive fields (never UPI number or IP address).
+ */
+const lookupSubmission = async (req, res) => {
+  try {
+    const { submissionId, whatsappNumber } = req.body;
+
+    const submission = await dbService.getSubmissionForLookup(submissionId.toUpperCase(), whatsappNumber);
+
+    // Same response for unknown ID and wrong number to avoid leaking which IDs exist
+    if (!submission) {
+      return res.status(HTTP.NOT_FOUND).json({
+        success: false,
+        message: 'No booking found for this Submission ID and WhatsApp number',
+        messageGu: 'આ સબમિશન ID અને WhatsApp નંબર માટે કોઈ બુકિંગ મળ્યું નથી'
+      });
+    }
+
+    const statusLabel = SUBMISSION_STATUS_LABELS[submission.status] || { en: submission.status, gu: submission.status };
+
+    return res.json({
+      success: true,
+      message: 'Booking found',
+      messageGu: 'બુકિંગ મળી ગયું',
+      data: {
+        id: submission.id,
+        bookingDate: submission.bookingDate,
+        status: submission.status,
+        statusLabel,
+        ayambilShalaName: submission.ayambilShalaName,
+        city: submission.city
+      }
+    });
+  } catch (error) {
+    logger.error('Lookup submission error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to look up booking');
+  }
+};
+
+/**
+ * Cancel own booking with the manage token (Public)
+ */
+const cancelOwnSubmission = async (req, res) => {
+  try {
+    const { submissionId, manageToken } = req.body;
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await dbService.cancelSubmissionSelfService(
+      submissionId.toUpperCase(),
+      manageToken,
+      getClientIp(req)
+    );
+
+    logger.info('Submission cancelled by devotee', { submissionId: result.data.id, requestId: req.id });
+
+    promoteWaitlist(result.data.bookingDate, req);
+
+    return res.json(result);
+  } catch (error) {
+    logger.error('Self-service cancel error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to cancel booking. Please try again.');
+  }
+};
+
+/**
+ * Move own booking to another open date with the manage token (Public)
+ */
+const rescheduleOwnSubmission = async (req, res) => {
+  try {
+    const { submissionId, manageToken, bookingDate } = req.body;
+
+    // Past / closed / full dates get the same messages as a new booking,
+    // checked for this booking's seats and shala
+    const booking = await dbService.getManageableSubmission(submissionId.toUpperCase(), manageToken);
+    const validation = await dbService.validateBookingDate(
+      bookingDate,
+      booking.seats || 1,
+      booking.shalaId,
+      null,
+      { upiNumber: booking.upiNumber, whatsappNumber: booking.whatsappNumber },
+      booking.id
+    );
+    if (!validation.valid) {
+      return res.status(HTTP.BAD_REQUEST).json({
+        success: false,
+        message: validation.error,
+        messageGu: validation.errorGu,
+        nextAvailableDate: validation.nextAvailableDate,
+        opensAt: validation.opensAt,
+        lottery: validation.lottery
+      });
+    }
+
+    // Create backup before write
+    await backupService.createBackup();
+
+    const result = await dbService.rescheduleSubmissionSelfService(
+      submissionId.toUpperCase(),
+      manageToken,
+      bookingDate,
+      getClientIp(req)
+    );
+
+    logger.info('Submission rescheduled by devotee', {
+      submissionId: result.data.id,
+      from: result.data.oldBookingDate,
+      to: result.data.bookingDate,
+      requestId: req.id
+    });
+
+    promoteWaitlist(result.data.oldBookingDate, req);
+
+    return res.json(result);
+  } catch (error) {
+    logger.error('Self-service reschedule error', { error: error.message, requestId: req.id });
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    return sendError(res, 'Failed to reschedule booking. Please try again.');
+  }
+};
+
+/**
+ * Get devotee self-service changes, optionally for one submission (Admin only)
+ */
+const getSelfServiceChanges = async (req, res) => {
+  try {
+    const { submissionId, limit = 100 } = req.query;
+    const limitNum = Math.min(500, Math.max(1, parseInt(limit) || 100));
+
+    const changes = await dbService.getSelfServiceChanges(submissionId, limitNum);
+
+    return sendSuccess(res, changes, `Found ${changes.length} self-service changes`);
+  } catch (error) {
+    logger.error('Get self-service changes error', { error: error.message, requestId: req.id });
+    return sendError(res, 'Failed to fetch self-service changes');
+  }
+};
+
 module.exports = {
   createSubmission,
+  createSeries,
+  getSeries,
+  cancelSeries,
   getAllSubmissions,
   getSubmissionById,
+  getSubmissionHistory,
   updateSubmission,
   deleteSubmission,
+  bulkUpdateSubmissions,
+  getDuplicateReport,
+  addSubmissionNote,
+  deleteSubmissionNote,
+  addSubmissionTags,
+  removeSubmissionTag,
+  getTrash,
+  restoreSubmission,
+  purgeSubmission,
   searchSubmissions,
   getStatistics,
   exportSubmissions,
   getBookingCountsByDateRange,
   checkDateAvailability,
-  validateBookingDate
+  validateBookingDate,
+  joinWaitlist,
+  applyForLottery,
+  getWaitlist,
+  createSeatHold,
+  releaseSeatHold,
+  getSeatHolds,
+  lookupSubmission,
+  cancelOwnSubmission,
+  rescheduleOwnSubmission,
+  getSelfServiceChanges
 };
@@ -0,0 +1,171 @@
+/**
+ * Idempotent submission creation
+ * A retried POST /api/submissions (double tap, flaky network) replays the
+ * original response instead of creating another booking.
+ *
+ * Two keys identify a retry:
+ * - the client's Idempotency-Key header (kept for 24 hours)
+ * - a fingerprint of WhatsApp number + booking date + shala (kept for 10 minutes)
+ *
+ * Family members often share a WhatsApp number, so a fingerprint only counts as a
+ * retry when the rest of the request matches too.
+ */
+
+const crypto = require('crypto');
+const dbService = require('../services/db.service');
+const logger = require('../utils/logger');
+const { HTTP, IDEMPOTENCY } = require('../config/constants');
+
+// Fields that make two submissions "the same request"
+const REQUEST_FIELDS = [
+  'bookingDate', 'bookingDates', 'mode', 'name', 'upiNumber',
+  'whatsappNumber', 'ayambilShalaName', 'city', 'email', 'participants'
+];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const normalizeDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toISOString().split('T')[0];
+};
+
+const getRequestHash = (body) => {
+  const fields = REQUEST_FIELDS.map(field => (body[field] === undefined ? '' : String(body[field]).trim()));
+  return sha256(JSON.stringify(fields));
+};
+
+const getFingerprint = (body) => {
+  // Series submissions are fingerprinted on their whole date list
+  const dates = Array.isArray(body.bookingDates)
+    ? body.bookingDates.map(normalizeDate).sort().join(',')
+    : normalizeDate(body.bookingDate);
+
+  return 'fp:' + sha256([
+    String(body.whatsappNumber || '').trim(),
+    dates,
+    String(body.ayambilShalaName || '').trim().toLowerCase()
+  ].join('|'));
+};
+
+const replay = (res, record) => {
+  res.setHeader('Idempotent-Replayed', 'true');
+  return res.status(record.statusCode).json(JSON.parse(record.responseBody));
+};
+
+const sendInProgress = (res) => {
+  return res.status(HTTP.CONFLICT).json({
+    success: false,
+    message: 'This submission is already being processed. Please wait a moment.',
+    messageGu: 'આ ફોર્મ પ્રક્રિયામાં છે. કૃપા કરીને થોડી રાહ જુઓ.'
+  });
+};
+
+/**
+ * What a replay returns: IDs, dates and status only. The devotee's details and the
+ * manage token (stored hashed) are left out; a replay points to the confirmation email.
+ */
+const redactResponse = (body, hasEmail) => {
+  const stored = {
+    success: body.success,
+    message: body.message,
+    messageGu: body.messageGu,
+    manageTokenSentByEmail: hasEmail
+  };
+
+  if (body.seriesId) {
+    return {
+      ...stored,
+      seriesId: body.seriesId,
+      results: (body.results || []).map(({ bookingDate, success, id, error, errorGu }) => ({ bookingDate, success, id, error, errorGu }))
+    };
+  }
+
+  const data = body.data || {};
+  return { ...stored, id: body.id, data: { id: body.id, bookingDate: data.bookingDate, status: data.status } };
+};
+
+/**
+ * Middleware for POST /api/submissions and POST /api/submissions/series
+ * Must run after validation/sanitization so the fingerprint uses clean values.
+ */
+const idempotentSubmission = async (req, res, next) => {
+  const headerKey = req.get(IDEMPOTENCY.HEADER);
+
+  if (headerKey !== undefined && (headerKey.length === 0 || headerKey.length > IDEMPOTENCY.MAX_KEY_LENGTH)) {
+    return res.status(HTTP.BAD_REQUEST).json({
+      success: false,
+      message: `${IDEMPOTENCY.HEADER} must be 1 to ${IDEMPOTENCY.MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const requestHash = getRequestHash(req.body);
+  const fingerprint = getFingerprint(req.body);
+  // Client key first so reusing it for a different submission is reported
+  const ttlByKey = {};
+  if (headerKey) {
+    ttlByKey[`key:${headerKey}`] = IDEMPOTENCY.KEY_TTL_MS;
+  }
+  ttlByKey[fingerprint] = IDEMPOTENCY.FINGERPRINT_TTL_MS;
+
+  try {
+    for (const key of Object.keys(ttlByKey)) {
+      const record = await dbService.getIdempotencyRecord(key);
+      if (!record) continue;
+
+      if (record.requestHash !== requestHash) {
+        // Same client key reused for a different submission
+        if (key !== fingerprint) {
+          return res.status(HTTP.UNPROCESSABLE_ENTITY).json({
+            success: false,
+            message: `${IDEMPOTENCY.HEADER} was already used for a different submission`
+          });
+        }
+
+        // Same number, date and shala but another person: a new booking, left to the duplicate booking policy
+        delete ttlByKey[fingerprint];
+        continue;
+      }
+
+      if (record.state === 'completed') {
+        logger.info('Submission replayed', { key: key.split(':')[0], requestId: req.id });
+        return replay(res, record);
+      }
+
+      return sendInProgress(res);
+    }
+
+    if (Object.keys(ttlByKey).length === 0) {
+      return next();
+    }
+
+    const reserved = await dbService.reserveIdempotencyKeys(Object.keys(ttlByKey), requestHash, IDEMPOTENCY.PROCESSING_TTL_MS);
+    if (!reserved) {
+      return sendInProgress(res);
+    }
+  } catch (error) {
+    // Never block a booking because the retry check failed
+    logger.error('Idempotency check error', { error: error.message, requestId: req.id });
+    return next();
+  }
+
+  // Capture the response to store it (or drop the reservation on failure)
+  const keys = Object.keys(ttlByKey);
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 200 && res.statusCode < 300
+      ? dbService.completeIdempotencyKeys(ttlByKey, res.statusCode, redactResponse(body, Boolean(req.body.email)))
+      : dbService.releaseIdempotencyKeys(keys);
+
+    settle.catch(err => {
+      logger.error('Idempotency store error', { error: err.message, requestId: req.id });
+    });
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotentSubmission
+};
@@ -52,6 +52,72 @@ const submissionLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiter for public booking lookups
+ * Prevents guessing submission IDs / WhatsApp numbers
+ */
+const lookupLimiter = rateLimit({
+  windowMs: RATE_LIMIT.LOOKUP_WINDOW_MS,
+  max: RATE_LIMIT.LOOKUP_MAX_ATTEMPTS,
+  message: {
+    success: false,
+    message: 'Too many lookup attempts. Please try again after 1 hour.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn('Rate limit exceeded - lookup', { 
+      ip: req.ip,
+      requestId: req.id 
+    });
+    res.status(429).json(options.message);
+  }
+});
+
+/**
+ * Rate limiter for seat holds
+ * Stops one client from holding dates over and over
+ */
+const holdLimiter = rateLimit({
+  windowMs: RATE_LIMIT.HOLD_WINDOW_MS,
+  max: RATE_LIMIT.HOLD_MAX_ATTEMPTS,
+  message: {
+    success: false,
+    message: 'Too many seat holds. Please try again after 1 hour.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn('Rate limit exceeded - seat hold', { 
+      ip: req.ip,
+      requestId: req.id 
+    });
+    res.status(429).json(options.message);
+  }
+});
+
+/**
+ * Rate limiter for live availability streams
+ * Stops one client from opening (or reconnecting) streams in a loop
+ */
+const streamLimiter = rateLimit({
+  windowMs: RATE_LIMIT.STREAM_WINDOW_MS,
+  max: RATE_LIMIT.STREAM_MAX_ATTEMPTS,
+  message: {
+    success: false,
+    message: 'Too many live connections. Please try again after 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn('Rate limit exceeded - availability stream', { 
+      ip: req.ip,
+      requestId: req.id 
+    });
+    res.status(429).json(options.message);
+  }
+});
+
 /**
  * General API rate limiter
  * Prevents DoS attacks
@@ -78,5 +144,8 @@ const apiLimiter = rateLimit({
 module.exports = {
   loginLimiter,
   submissionLimiter,
+  lookupLimiter,
+  holdLimiter,
+  streamLimiter,
   apiLimiter
 };
@@ -1,16 +1,17 @@
 const { body, validationResult } = require('express-validator');
-const { isValidMobile, isValidEmail } = require('../utils/helpers');
+const { isValidMobile, isValidEmail, isValidDateFormat } = require('../utils/helpers');
+const { BOOKING, FORM_FIELD_TYPES, RELEASE_TYPES } = require('../config/constants');
+
+// Columns of the submissions table - not usable as custom field keys
+const CORE_SUBMISSION_FIELDS = [
+  'id', 'submissionDate', 'bookingDate', 'name', 'upiNumber', 'whatsappNumber', 'ayambilShalaName',
+  'city', 'email', 'status', 'ipAddress', 'seats', 'participants', 'seriesId', 'customFields', 'shalaId'
+];
 
 /**
- * Validation rules for form submission
+ * Validation rules for the devotee fields of a submission
  */
-const submissionValidationRules = [
-  body('bookingDate')
-    .notEmpty()
-    .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
-    .isISO8601()
-    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
-
+const devoteeValidationRules = [
   body('name')
     .trim()
     .notEmpty()
@@ -40,7 +41,15 @@ const submissionValidationRules = [
       return true;
     }),
 
+  // Registry shala (from autocomplete); free-text name is then optional
+  body('shalaId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('માન્ય આયંબિલ શાળા પસંદ કરો (Select a valid Ayambil Shala)')
+    .toInt(),
+
   body('ayambilShalaName')
+    .if((value, { req }) => !req.body.shalaId)
     .trim()
     .notEmpty()
     .withMessage('આયંબિલ શાળા નામ જરૂરી છે (Ayambil Shala name is required)')
@@ -52,7 +61,87 @@ const submissionValidationRules = [
     .notEmpty()
     .withMessage('શહેર જરૂરી છે (City is required)')
     .isLength({ min: 2, max: 100 })
-    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)')
+    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)'),
+
+  // Group booking: one name per person, each takes a slot on the date
+  body('participants')
+    .optional()
+    .isArray({ min: 1, max: BOOKING.MAX_GROUP_SIZE })
+    .withMessage(`1 થી ${BOOKING.MAX_GROUP_SIZE} સહભાગીઓ દાખલ કરો (Enter 1 to ${BOOKING.MAX_GROUP_SIZE} participants)`),
+
+  body('participants.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('સહભાગીનું નામ 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (Participant name must be between 2 and 100 characters)')
+];
+
+/**
+ * Validation rules for form submission
+ */
+const submissionValidationRules = [
+  body('bookingDate')
+    .notEmpty()
+    .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
+    .isISO8601()
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  // Seat hold taken when the date was picked (optional; an expired hold is ignored)
+  body('holdToken')
+    .optional({ values: 'null' })
+    .matches(/^[0-9a-f]{48}$/i)
+    .withMessage('માન્ય હોલ્ડ ટોકન દાખલ કરો (Enter valid hold token)'),
+
+  ...devoteeValidationRules
+];
+
+/**
+ * Validation rules for holding seats on a date while the form is filled
+ */
+const seatHoldValidationRules = [
+  body('bookingDate')
+    .notEmpty()
+    .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
+    .isISO8601()
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('seats')
+    .optional()
+    .isInt({ min: 1, max: BOOKING.MAX_GROUP_SIZE })
+    .withMessage(`1 થી ${BOOKING.MAX_GROUP_SIZE} બેઠકો પસંદ કરો (Choose 1 to ${BOOKING.MAX_GROUP_SIZE} seats)`)
+    .toInt(),
+
+  body('shalaId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('માન્ય આયંબિલ શાળા પસંદ કરો (Select a valid Ayambil Shala)')
+    .toInt(),
+
+  // Current hold, when the devotee picks another date
+  body('holdToken')
+    .optional({ values: 'null' })
+    .matches(/^[0-9a-f]{48}$/i)
+    .withMessage('માન્ય હોલ્ડ ટોકન દાખલ કરો (Enter valid hold token)')
+];
+
+/**
+ * Validation rules for a multi-date series submission
+ */
+const seriesValidationRules = [
+  body('bookingDates')
+    .isArray({ min: 2, max: BOOKING.MAX_SERIES_DATES })
+    .withMessage(`2 થી ${BOOKING.MAX_SERIES_DATES} તારીખો પસંદ કરો (Select 2 to ${BOOKING.MAX_SERIES_DATES} dates)`),
+
+  body('bookingDates.*')
+    .isISO8601()
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('mode')
+    .optional()
+    .isIn(['all', 'available'])
+    .withMessage('Mode must be one of: all, available'),
+
+  ...devoteeValidationRules
 ];
 
 /**
@@ -61,8 +150,8 @@ const submissionValidationRules = [
 const updateSubmissionValidationRules = [
   body('status')
     .optional()
-    .isIn(['pending', 'reviewed', 'archived', 'confirmed', 'rejected'])
-    .withMessage('Status must be one of: pending, reviewed, archived, confirmed, rejected'),
+    .isIn(['pending', 'reviewed', 'archived', 'confirmed', 'rejected', 'cancelled'])
+    .withMessage('Status must be one of: pending, reviewed, archived, confirmed, rejected, cancelled'),
 
   body('bookingDate')
     .optional()
@@ -105,9 +194,504 @@ const updateSubmissionValidationRules = [
     .optional()
     .trim()
     .isLength({ min: 2, max: 100 })
-    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)')
+    .withMessage('શહેર 2 થી 100 અક્ષરો વચ્ચે હોવું જોઈએ (City must be between 2 and 100 characters)'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
 ];
 
+/**
+ * Validation rules for bulk submission actions
+ */
+const bulkActionValidationRules = [
+  body('action')
+    .isIn(['status', 'delete', 'move'])
+    .withMessage('Action must be one of: status, delete, move'),
+
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: BOOKING.MAX_BULK_ITEMS })
+    .withMessage(`ids must be an array of 1 to ${BOOKING.MAX_BULK_ITEMS} submission IDs`),
+
+  body('ids.*')
+    .isString()
+    .withMessage('Each ID must be a string'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('filters must be an object'),
+
+  body('status')
+    .if(body('action').equals('status'))
+    .isIn(['pending', 'reviewed', 'archived', 'confirmed', 'rejected', 'cancelled'])
+    .withMessage('Status must be one of: pending, reviewed, archived, confirmed, rejected, cancelled'),
+
+  body('bookingDate')
+    .if(body('action').equals('move'))
+    .isISO8601()
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Validation rules for admin notes on a submission
+ */
+const noteValidationRules = [
+  body('text')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Note text is required')
+    .isLength({ max: BOOKING.MAX_NOTE_LENGTH })
+    .withMessage(`Note must be at most ${BOOKING.MAX_NOTE_LENGTH} characters`)
+];
+
+/**
+ * Validation rules for adding tags to a submission
+ */
+const tagValidationRules = [
+  body('tags')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('tags must be an array of 1 to 20 tags'),
+
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: BOOKING.MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be 1 to ${BOOKING.MAX_TAG_LENGTH} characters`)
+    .not()
+    .contains(',')
+    .withMessage('Tags cannot contain commas')
+];
+
+/**
+ * Validation rules for public booking lookup
+ */
+const lookupValidationRules = [
+  body('submissionId')
+    .trim()
+    .notEmpty()
+    .withMessage('સબમિશન ID જરૂરી છે (Submission ID is required)')
+    .matches(/^VRT-\d+-[0-9A-F]{8}$/i)
+    .withMessage('માન્ય સબમિશન ID દાખલ કરો (Enter valid submission ID)'),
+
+  body('whatsappNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('WhatsApp નંબર જરૂરી છે (WhatsApp number is required)')
+    .custom((value) => {
+      if (!isValidMobile(value)) {
+        throw new Error('માન્ય 10 અંકનો WhatsApp નંબર દાખલ કરો (Enter valid 10 digit WhatsApp number)');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for self-service cancel / reschedule
+ */
+const manageValidationRules = [
+  body('submissionId')
+    .trim()
+    .notEmpty()
+    .withMessage('સબમિશન ID જરૂરી છે (Submission ID is required)')
+    .matches(/^VRT-\d+-[0-9A-F]{8}$/i)
+    .withMessage('માન્ય સબમિશન ID દાખલ કરો (Enter valid submission ID)'),
+
+  body('manageToken')
+    .trim()
+    .notEmpty()
+    .withMessage('મેનેજ ટોકન જરૂરી છે (Manage token is required)')
+    .isHexadecimal()
+    .withMessage('માન્ય મેનેજ ટોકન દાખલ કરો (Enter valid manage token)')
+    .isLength({ min: 48, max: 48 })
+    .withMessage('માન્ય મેનેજ ટોકન દાખલ કરો (Enter valid manage token)')
+];
+
+/**
+ * Validation rules for self-service reschedule (in addition to manageValidationRules)
+ */
+const rescheduleValidationRules = [
+  body('bookingDate')
+    .notEmpty()
+    .withMessage('બુકિંગ તારીખ જરૂરી છે (Booking date is required)')
+    .isISO8601()
+    .withMessage('માન્ય તારીખ દાખલ કરો (Enter valid date)')
+];
+
+/**
+ * Validation rules for admin-defined form fields
+ */
+const formFieldValidationRules = [
+  body('key')
+    .if((value, { req }) => req.method === 'POST')
+    .matches(/^[a-z][a-zA-Z0-9]{1,39}$/)
+    .withMessage('Key must be camelCase letters/digits (2-40 characters)')
+    .custom((value) => {
+      if (CORE_SUBMISSION_FIELDS.includes(value)) {
+        throw new Error(`Key "${value}" is a built-in submission field`);
+      }
+      return true;
+    }),
+
+  body('type')
+    .if((value, { req }) => req.method === 'POST')
+    .isIn(FORM_FIELD_TYPES)
+    .withMessage(`Type must be one of: ${FORM_FIELD_TYPES.join(', ')}`),
+
+  body(['labelGu', 'labelEn'])
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Labels are required (max 200 characters)'),
+
+  body('required')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('required must be true or false'),
+
+  body('active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('active must be true or false'),
+
+  body('maxLength')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('maxLength must be between 1 and 5000'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('position must be between 0 and 1000'),
+
+  body('options')
+    .optional({ nullable: true })
+    .isArray({ min: 1, max: 50 })
+    .withMessage('options must be an array of 1 to 50 choices'),
+
+  body('options.*.value')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each option needs a value (max 100 characters)'),
+
+  body(['options.*.labelGu', 'options.*.labelEn'])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each option needs Gujarati and English labels')
+];
+
+/**
+ * Validate admin-defined customFields on a submission
+ * Replaces req.body.customFields with the cleaned values.
+ *
+ * @param {Object} [options] - { partial: true } for admin edits (required fields may be omitted)
+ */
+const validateCustomFields = ({ partial = false } = {}) => async (req, res, next) => {
+  try {
+    if (partial && req.body.customFields === undefined) return next();
+
+    const formFieldService = require('../services/formField.service');
+    const { values, errors } = await formFieldService.validateValues(req.body.customFields, { partial });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    req.body.customFields = values;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validation rules for recurring calendar rules
+ * All fields are required on create, optional on update.
+ */
+const calendarRuleValidationRules = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .withMessage('Name must be between 2 and 100 characters')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body(['startDate', 'endDate'])
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .custom((value) => {
+      if (!isValidDateFormat(value)) {
+        throw new Error('Dates must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+
+  // null = every day of the range
+  body('weekdays')
+    .optional({ values: 'null' })
+    .isArray({ min: 1, max: 7 })
+    .withMessage('weekdays must be an array of 0 (Sunday) to 6 (Saturday)'),
+
+  body('weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('weekdays must be an array of 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+
+  body('excludeDates')
+    .optional({ values: 'null' })
+    .isArray({ max: BOOKING.MAX_DATE_RANGE_DAYS })
+    .withMessage('excludeDates must be an array of dates'),
+
+  body('excludeDates.*')
+    .custom((value) => {
+      if (!isValidDateFormat(value)) {
+        throw new Error('excludeDates must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+
+  body('capacity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be a whole number between 1 and 1000, or null')
+    .toInt(),
+
+  body('label')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label must be at most 100 characters')
+];
+
+/**
+ * Validation rules for scheduled date releases
+ * Type is fixed on create; its own fields are required then, optional on update.
+ */
+const requiredForType = (type) => (value, { req }) =>
+  req.method === 'POST' ? req.body.type === type : value !== undefined;
+
+const releaseScheduleValidationRules = [
+  body('type')
+    .if((value, { req }) => req.method === 'POST')
+    .isIn(RELEASE_TYPES)
+    .withMessage(`Type must be one of: ${RELEASE_TYPES.join(', ')}`),
+
+  body('daysAhead')
+    .if(requiredForType('rolling'))
+    .isInt({ min: 1, max: BOOKING.MAX_DATE_RANGE_DAYS })
+    .withMessage(`daysAhead must be between 1 and ${BOOKING.MAX_DATE_RANGE_DAYS}`)
+    .toInt(),
+
+  body('releaseTime')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('releaseTime must be HH:mm (IST)'),
+
+  body('month')
+    .if(requiredForType('month'))
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('month must be YYYY-MM'),
+
+  body('releaseAt')
+    .if(requiredForType('month'))
+    .matches(/^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('releaseAt must be YYYY-MM-DDTHH:mm (IST)'),
+
+  body('weekdays')
+    .optional({ values: 'null' })
+    .isArray({ min: 1, max: 7 })
+    .withMessage('weekdays must be an array of 0 (Sunday) to 6 (Saturday)'),
+
+  body('weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('weekdays must be an array of 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+
+  body('capacity')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Capacity must be a whole number between 1 and 1000, or null')
+    .toInt(),
+
+  body('label')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label must be at most 100 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('active must be true or false')
+];
+
+/**
+ * Validation rules for the booking rules (null turns a rule off)
+ */
+const optionalLimit = (field, min, max) => body(field)
+  .optional({ values: 'null' })
+  .isInt({ min, max })
+  .withMessage(`${field} must be a number from ${min} to ${max}, or null`)
+  .toInt();
+
+const bookingRulesValidationRules = [
+  optionalLimit('minDaysInAdvance', 0, 365),
+  optionalLimit('maxDaysInAdvance', 0, BOOKING.MAX_DATE_RANGE_DAYS),
+  optionalLimit('minGapDays', 1, 365),
+  optionalLimit('maxPerWeek', 1, 7),
+  optionalLimit('maxPerYear', 1, 366),
+  optionalLimit('maxPerShalaPerDay', 1, 1000),
+
+  body('maxPerMonth')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('maxPerMonth must be a number from 1 to 10000')
+    .toInt(),
+
+  body('sameDayCutoff')
+    .optional({ values: 'null' })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('sameDayCutoff must be HH:mm (IST), or null')
+];
+
+/**
+ * Validation rules for lotteries (times are IST wall-clock time)
+ * The date is fixed on create; the window is required then, optional on update.
+ */
+const IST_DATETIME = /^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/;
+
+const lotteryValidationRules = [
+  body('bookingDate')
+    .if((value, { req }) => req.method === 'POST')
+    .custom((value) => {
+      if (!isValidDateFormat(value)) {
+        throw new Error('bookingDate must be in YYYY-MM-DD format');
+      }
+      return true;
+    }),
+
+  body(['opensAt', 'closesAt'])
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .matches(IST_DATETIME)
+    .withMessage('opensAt and closesAt must be YYYY-MM-DDTHH:mm (IST)'),
+
+  // null = drawn by an admin
+  body('drawAt')
+    .optional({ values: 'null' })
+    .matches(IST_DATETIME)
+    .withMessage('drawAt must be YYYY-MM-DDTHH:mm (IST), or null')
+];
+
+/**
+ * Validation rules for Ayambil Shala registry entries
+ * Names and city are required on create, optional on update.
+ */
+const shalaValidationRules = [
+  body(['nameGu', 'nameEn', 'city'])
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .withMessage('Names and city must be between 2 and 200 characters')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Names and city must be between 2 and 200 characters'),
+
+  body('address')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be at most 500 characters'),
+
+  body('contactName')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Contact name must be at most 100 characters'),
+
+  body('contactPhone')
+    .optional({ values: 'null' })
+    .trim()
+    .custom((value) => {
+      if (value && !isValidMobile(value)) {
+        throw new Error('Enter valid 10 digit contact phone');
+      }
+      return true;
+    }),
+
+  // Parna meals the shala can prepare per day (null = only the global limit)
+  body('maxBookingsPerDay')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('maxBookingsPerDay must be a number between 1 and 1000, or null')
+    .toInt(),
+
+  body('active')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('active must be true or false')
+];
+
+/**
+ * Validation rules for merging free-text shala names into a registry shala
+ */
+const shalaMergeValidationRules = [
+  body('names')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('names must be an array of 1 to 50 shala names'),
+
+  body('names.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each name must be 1 to 200 characters')
+];
+
+/**
+ * Link a submission to the shala registry
+ * Sets req.body.shalaId and the registry name when the shala is known.
+ */
+const resolveShala = async (req, res, next) => {
+  try {
+    const shalaService = require('../services/shala.service');
+    const resolved = await shalaService.resolve(req.body);
+
+    req.body.shalaId = resolved.shalaId;
+    req.body.ayambilShalaName = resolved.ayambilShalaName;
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [{ field: 'shalaId', message: `${error.messageGu} (${error.message})` }]
+      });
+    }
+    next(error);
+  }
+};
+
 /**
  * Middleware to handle validation errors
  */
@@ -139,13 +723,31 @@ const sanitizeSubmissionData = (req, res, next) => {
   if (req.body.whatsappNumber) req.body.whatsappNumber = sanitizeInput(req.body.whatsappNumber);
   if (req.body.ayambilShalaName) req.body.ayambilShalaName = sanitizeInput(req.body.ayambilShalaName);
   if (req.body.city) req.body.city = sanitizeInput(req.body.city);
+  if (Array.isArray(req.body.participants)) req.body.participants = req.body.participants.map(sanitizeInput);
 
   next();
 };
 
 module.exports = {
   submissionValidationRules,
+  seriesValidationRules,
   updateSubmissionValidationRules,
+  bulkActionValidationRules,
+  noteValidationRules,
+  tagValidationRules,
+  lookupValidationRules,
+  manageValidationRules,
+  rescheduleValidationRules,
+  seatHoldValidationRules,
+  formFieldValidationRules,
+  validateCustomFields,
+  calendarRuleValidationRules,
+  releaseScheduleValidationRules,
+  bookingRulesValidationRules,
+  lotteryValidationRules,
+  shalaValidationRules,
+  shalaMergeValidationRules,
+  resolveShala,
   handleValidationErrors,
   sanitizeSubmissionData
 };
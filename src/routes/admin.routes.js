@@ -3,6 +3,7 @@ const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { loginLimiter } = require('../middleware/rateLimiter.middleware');
+const { bookingRulesValidationRules, handleValidationErrors } = require('../middleware/validation.middleware');
 
 /**
  * Public Routes
@@ -34,4 +35,11 @@ router.post('/archive', authenticateToken, adminController.archiveRecords);
 router.get('/settings', authenticateToken, adminController.getSettings);
 router.put('/settings', authenticateToken, adminController.updateSettings);
 
+// Booking rules (advance window, same-day cutoff, per-person and per-shala limits)
+router.get('/booking-rules', authenticateToken, adminController.getBookingRules);
+router.put('/booking-rules', authenticateToken, bookingRulesValidationRules, handleValidationErrors, adminController.updateBookingRules);
+
+// Audit log (?actor=&entityType=&entityId=&action=&startDate=&endDate=)
+router.get('/audit', authenticateToken, adminController.getAuditLog);
+
 module.exports = router;
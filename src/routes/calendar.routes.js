@@ -2,14 +2,55 @@ const express = require('express');
 const router = express.Router();
 const calendarController = require('../controllers/calendar.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
+const { streamLimiter } = require('../middleware/rateLimiter.middleware');
+const {
+  calendarRuleValidationRules,
+  releaseScheduleValidationRules,
+  lotteryValidationRules,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
 
 // Public: Get availability configuration
 router.get('/', calendarController.getCalendarSettings);
 
+// Public: Status, capacity, booked and remaining seats per date (ETag cached)
+router.get('/availability', calendarController.getAvailability);
+
+// Public: Live availability of a month (Server-Sent Events, ?month=YYYY-MM)
+router.get('/stream', streamLimiter, calendarController.streamAvailability);
+
 // Admin: Set date status
 router.post('/status', authenticateToken, calendarController.setDateStatus);
 
 // Admin: Bulk update
 router.post('/bulk', authenticateToken, calendarController.bulkUpdateDates);
 
+// Admin: Recurring rules (?dryRun=true on create / update / delete to preview)
+router.get('/rules', authenticateToken, calendarController.getCalendarRules);
+router.post('/rules', authenticateToken, calendarRuleValidationRules, handleValidationErrors, calendarController.createCalendarRule);
+router.put('/rules/:id', authenticateToken, calendarRuleValidationRules, handleValidationErrors, calendarController.updateCalendarRule);
+router.delete('/rules/:id', authenticateToken, calendarController.deleteCalendarRule);
+
+// Public: When upcoming dates open for booking
+router.get('/releases/upcoming', calendarController.getUpcomingReleases);
+
+// Admin: Scheduled releases (rolling window or a whole month at a set IST time)
+router.get('/releases', authenticateToken, calendarController.getReleaseSchedules);
+router.post('/releases', authenticateToken, releaseScheduleValidationRules, handleValidationErrors, calendarController.createReleaseSchedule);
+router.post('/releases/run', authenticateToken, calendarController.runReleases);
+router.put('/releases/:id', authenticateToken, releaseScheduleValidationRules, handleValidationErrors, calendarController.updateReleaseSchedule);
+router.delete('/releases/:id', authenticateToken, calendarController.deleteReleaseSchedule);
+
+// Public: Open lotteries, and the seed and ranking of a drawn one
+router.get('/lotteries/upcoming', calendarController.getUpcomingLotteries);
+router.get('/lotteries/:id/result', calendarController.getLotteryResult);
+
+// Admin: Lottery dates (application window, scheduled or manual draw)
+router.get('/lotteries', authenticateToken, calendarController.getLotteries);
+router.post('/lotteries', authenticateToken, lotteryValidationRules, handleValidationErrors, calendarController.createLottery);
+router.put('/lotteries/:id', authenticateToken, lotteryValidationRules, handleValidationErrors, calendarController.updateLottery);
+router.delete('/lotteries/:id', authenticateToken, calendarController.deleteLottery);
+router.get('/lotteries/:id/entries', authenticateToken, calendarController.getLotteryEntries);
+router.post('/lotteries/:id/draw', authenticateToken, calendarController.drawLottery);
+
 module.exports = router;
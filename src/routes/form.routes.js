@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const formController = require('../controllers/form.controller');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const { formFieldValidationRules, handleValidationErrors } = require('../middleware/validation.middleware');
+
+/**
+ * Public Routes
+ */
+
+// Extra form fields for the frontend to render
+router.get('/schema', formController.getFormSchema);
+
+/**
+ * Protected Routes (Admin only)
+ */
+
+// List all fields (including inactive)
+router.get('/fields', authenticateToken, formController.getFormFields);
+
+// Create field
+router.post(
+  '/fields',
+  authenticateToken,
+  formFieldValidationRules,
+  handleValidationErrors,
+  formController.createFormField
+);
+
+// Update field
+router.put(
+  '/fields/:id',
+  authenticateToken,
+  formFieldValidationRules,
+  handleValidationErrors,
+  formController.updateFormField
+);
+
+// Deactivate field (values already stored are kept)
+router.delete('/fields/:id', authenticateToken, formController.deleteFormField);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const shalaController = require('../controllers/shala.controller');
+const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  shalaValidationRules,
+  shalaMergeValidationRules,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
+
+/**
+ * Public Routes
+ */
+
+// Autocomplete for the submission form (?q=)
+router.get('/autocomplete', shalaController.autocompleteShalas);
+
+/**
+ * Protected Routes (Admin only)
+ */
+
+// List shalas (?includeInactive=true)
+router.get('/', authenticateToken, shalaController.getShalas);
+
+// Free-text shala names not linked to the registry
+router.get('/unmatched', authenticateToken, shalaController.getUnmatchedNames);
+
+// Get shala by ID
+router.get('/:id', authenticateToken, shalaController.getShalaById);
+
+// Create shala
+router.post(
+  '/',
+  authenticateToken,
+  shalaValidationRules,
+  handleValidationErrors,
+  shalaController.createShala
+);
+
+// Update shala
+router.put(
+  '/:id',
+  authenticateToken,
+  shalaValidationRules,
+  handleValidationErrors,
+  shalaController.updateShala
+);
+
+// Deactivate shala
+router.delete('/:id', authenticateToken, shalaController.deleteShala);
+
+// Merge free-text names into this shala
+router.post(
+  '/:id/merge',
+  authenticateToken,
+  shalaMergeValidationRules,
+  handleValidationErrors,
+  shalaController.mergeShalaNames
+);
+
+module.exports = router;
@@ -2,10 +2,21 @@ const express = require('express');
 const router = express.Router();
 const submissionController = require('../controllers/submission.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
-const { submissionLimiter } = require('../middleware/rateLimiter.middleware');
+const { submissionLimiter, lookupLimiter, holdLimiter } = require('../middleware/rateLimiter.middleware');
+const { idempotentSubmission } = require('../middleware/idempotency.middleware');
 const {
   submissionValidationRules,
+  seriesValidationRules,
   updateSubmissionValidationRules,
+  bulkActionValidationRules,
+  noteValidationRules,
+  tagValidationRules,
+  lookupValidationRules,
+  manageValidationRules,
+  rescheduleValidationRules,
+  seatHoldValidationRules,
+  validateCustomFields,
+  resolveShala,
   handleValidationErrors,
   sanitizeSubmissionData
 } = require('../middleware/validation.middleware');
@@ -32,16 +43,100 @@ router.post(
   submissionController.validateBookingDate
 );
 
-// Create new submission (rate limited to prevent spam)
+// Hold seats on a date while the form is filled (send holdToken with the submission)
+router.post(
+  '/holds',
+  holdLimiter,
+  seatHoldValidationRules,
+  handleValidationErrors,
+  submissionController.createSeatHold
+);
+
+// Release a seat hold before it expires
+router.delete(
+  '/holds/:token',
+  holdLimiter,
+  submissionController.releaseSeatHold
+);
+
+// Create new submission (rate limited to prevent spam, retries replay the first response)
 router.post(
   '/',
   submissionLimiter,
   submissionValidationRules,
   handleValidationErrors,
   sanitizeSubmissionData,
+  validateCustomFields(),
+  resolveShala,
+  idempotentSubmission,
   submissionController.createSubmission
 );
 
+// Create multi-date series booking (all-or-nothing or book what's available)
+router.post(
+  '/series',
+  submissionLimiter,
+  seriesValidationRules,
+  handleValidationErrors,
+  sanitizeSubmissionData,
+  validateCustomFields(),
+  resolveShala,
+  idempotentSubmission,
+  submissionController.createSeries
+);
+
+// Join waitlist for a fully booked date
+router.post(
+  '/waitlist',
+  submissionLimiter,
+  submissionValidationRules,
+  handleValidationErrors,
+  sanitizeSubmissionData,
+  validateCustomFields(),
+  resolveShala,
+  submissionController.joinWaitlist
+);
+
+// Apply for the lottery of a high-demand date (no seat is taken until the draw)
+router.post(
+  '/lottery',
+  submissionLimiter,
+  submissionValidationRules,
+  handleValidationErrors,
+  sanitizeSubmissionData,
+  validateCustomFields(),
+  resolveShala,
+  submissionController.applyForLottery
+);
+
+// Look up own booking status by submission ID + WhatsApp number
+router.post(
+  '/lookup',
+  lookupLimiter,
+  lookupValidationRules,
+  handleValidationErrors,
+  submissionController.lookupSubmission
+);
+
+// Cancel own booking with the manage token from the confirmation
+router.post(
+  '/manage/cancel',
+  lookupLimiter,
+  manageValidationRules,
+  handleValidationErrors,
+  submissionController.cancelOwnSubmission
+);
+
+// Move own booking to another open date with the manage token
+router.post(
+  '/manage/reschedule',
+  lookupLimiter,
+  manageValidationRules,
+  rescheduleValidationRules,
+  handleValidationErrors,
+  submissionController.rescheduleOwnSubmission
+);
+
 /**
  * Protected Routes (Admin only)
  */
@@ -74,6 +169,66 @@ router.get(
   submissionController.exportSubmissions
 );
 
+// Get waitlist (per date with ?date=YYYY-MM-DD, otherwise summary)
+router.get(
+  '/waitlist',
+  authenticateToken,
+  submissionController.getWaitlist
+);
+
+// Active seat holds (?date=YYYY-MM-DD to filter)
+router.get(
+  '/holds',
+  authenticateToken,
+  submissionController.getSeatHolds
+);
+
+// Suspected duplicate bookings (same date + UPI / WhatsApp number)
+router.get(
+  '/reports/duplicates',
+  authenticateToken,
+  submissionController.getDuplicateReport
+);
+
+// Get a series with its bookings
+router.get(
+  '/series/:seriesId',
+  authenticateToken,
+  submissionController.getSeries
+);
+
+// Cancel all upcoming bookings of a series
+router.post(
+  '/series/:seriesId/cancel',
+  authenticateToken,
+  updateSubmissionValidationRules,
+  handleValidationErrors,
+  submissionController.cancelSeries
+);
+
+// Bulk status change / delete / date move
+router.post(
+  '/bulk',
+  authenticateToken,
+  bulkActionValidationRules,
+  handleValidationErrors,
+  submissionController.bulkUpdateSubmissions
+);
+
+// Get trashed (soft deleted) submissions
+router.get(
+  '/trash',
+  authenticateToken,
+  submissionController.getTrash
+);
+
+// Get devotee cancellations / reschedules (?submissionId= to filter)
+router.get(
+  '/self-service-changes',
+  authenticateToken,
+  submissionController.getSelfServiceChanges
+);
+
 // Get submission by ID
 router.get(
   '/:id',
@@ -81,20 +236,74 @@ router.get(
   submissionController.getSubmissionById
 );
 
+// Get status history for a submission
+router.get(
+  '/:id/history',
+  authenticateToken,
+  submissionController.getSubmissionHistory
+);
+
 // Update submission
 router.put(
   '/:id',
   authenticateToken,
   updateSubmissionValidationRules,
   handleValidationErrors,
+  validateCustomFields({ partial: true }),
   submissionController.updateSubmission
 );
 
-// Delete submission
+// Delete submission (moves it to the trash)
 router.delete(
   '/:id',
   authenticateToken,
   submissionController.deleteSubmission
 );
 
+// Restore submission from the trash
+router.post(
+  '/:id/restore',
+  authenticateToken,
+  submissionController.restoreSubmission
+);
+
+// Add a note to a submission
+router.post(
+  '/:id/notes',
+  authenticateToken,
+  noteValidationRules,
+  handleValidationErrors,
+  submissionController.addSubmissionNote
+);
+
+// Delete a note from a submission
+router.delete(
+  '/:id/notes/:noteId',
+  authenticateToken,
+  submissionController.deleteSubmissionNote
+);
+
+// Add tags to a submission
+router.post(
+  '/:id/tags',
+  authenticateToken,
+  tagValidationRules,
+  handleValidationErrors,
+  submissionController.addSubmissionTags
+);
+
+// Remove a tag from a submission
+router.delete(
+  '/:id/tags/:tag',
+  authenticateToken,
+  submissionController.removeSubmissionTag
+);
+
+// Permanently delete a trashed submission
+router.delete(
+  '/:id/purge',
+  authenticateToken,
+  submissionController.purgeSubmission
+);
+
 module.exports = router;
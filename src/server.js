@@ -17,11 +17,16 @@ const submissionRoutes = require('./routes/submission.routes');
 const adminRoutes = require('./routes/admin.routes');
 const anumodanaRoutes = require('./routes/anumodana.routes');
 const calendarRoutes = require('./routes/calendar.routes');
+const formRoutes = require('./routes/form.routes');
+const shalaRoutes = require('./routes/shala.routes');
 
 // Import services
 const dbService = require('./services/db.service');
 const backupService = require('./services/backup.service');
 const monitorService = require('./services/monitor.service');
+const releaseService = require('./services/release.service');
+const seatHoldService = require('./services/seatHold.service');
+const lotteryService = require('./services/lottery.service');
 
 // Initialize Express app
 const app = express();
@@ -82,7 +87,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 };
 app.use(cors(corsOptions));
 
@@ -97,6 +103,8 @@ app.use('/api/submissions', submissionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/anumodana', anumodanaRoutes);
 app.use('/api/calendar', calendarRoutes);
+app.use('/api/form', formRoutes);
+app.use('/api/shalas', shalaRoutes);
 
 // Serve static files with CORS headers
 // Serve static files with CORS headers
@@ -114,22 +122,81 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       public: [
-        'POST /api/submissions - Submit form',
+        'POST /api/submissions - Submit form (optional Idempotency-Key header, participants[] for groups)',
+        'POST /api/submissions/series - Book several dates in one submission',
+        'POST /api/submissions/waitlist - Join waitlist for a fully booked date',
+        'POST /api/submissions/lottery - Apply for the lottery of a high-demand date',
+        'POST /api/submissions/holds - Hold seats on a date while filling the form (holdToken)',
+        'DELETE /api/submissions/holds/:token - Release a seat hold',
+        'POST /api/submissions/lookup - Check own booking status',
+        'POST /api/submissions/manage/cancel - Cancel own booking (manage token)',
+        'POST /api/submissions/manage/reschedule - Reschedule own booking (manage token)',
+        'GET /api/form/schema - Extra form fields to render',
+        'GET /api/shalas/autocomplete?q= - Search Ayambil Shalas',
+        'GET /api/calendar/availability?startDate=&endDate= - Status and free seats per date (ETag cached)',
+        'GET /api/calendar/stream?month=YYYY-MM - Live availability updates (Server-Sent Events)',
+        'GET /api/calendar/releases/upcoming - When upcoming dates open for booking',
+        'GET /api/calendar/lotteries/upcoming - Lottery dates and their application windows',
+        'GET /api/calendar/lotteries/:id/result - Seed and ranking of a drawn lottery (reproducible)',
         'GET /api/admin/health - Health check'
       ],
       protected: [
         'POST /api/admin/login - Admin login',
-        'GET /api/submissions - Get all submissions',
+        'GET /api/submissions - Get all submissions (?tags=a,b&shalaId= to filter)',
         'GET /api/submissions/stats - Get statistics',
         'GET /api/submissions/search?q=query - Search submissions',
         'GET /api/submissions/export - Export submissions',
+        'GET /api/submissions/waitlist?date=YYYY-MM-DD - View waitlist',
+        'GET /api/submissions/holds?date=YYYY-MM-DD - Active seat holds',
+        'GET /api/submissions/reports/duplicates - Suspected duplicate bookings',
+        'GET /api/submissions/series/:seriesId - Get series with its bookings',
+        'POST /api/submissions/series/:seriesId/cancel - Cancel upcoming bookings of a series',
+        'GET /api/submissions/self-service-changes - View devotee cancellations / reschedules',
         'GET /api/submissions/:id - Get submission by ID',
+        'GET /api/submissions/:id/history - Get status history',
         'PUT /api/submissions/:id - Update submission',
-        'DELETE /api/submissions/:id - Delete submission',
+        'DELETE /api/submissions/:id - Move submission to trash',
+        'POST /api/submissions/bulk - Bulk status change / delete / date move',
+        'POST /api/submissions/:id/notes - Add admin note',
+        'DELETE /api/submissions/:id/notes/:noteId - Delete admin note',
+        'POST /api/submissions/:id/tags - Add tags',
+        'DELETE /api/submissions/:id/tags/:tag - Remove tag',
+        'GET /api/submissions/trash - List trashed submissions',
+        'POST /api/submissions/:id/restore - Restore submission from trash',
+        'DELETE /api/submissions/:id/purge - Permanently delete trashed submission',
         'GET /api/admin/backups - List backups',
         'POST /api/admin/backups - Create backup',
         'POST /api/admin/backups/restore - Restore backup',
-        'POST /api/admin/archive - Archive old records'
+        'POST /api/admin/archive - Archive old records',
+        'GET /api/admin/audit - Audit log of admin changes',
+        'GET /api/admin/booking-rules - Booking rules',
+        'PUT /api/admin/booking-rules - Update booking rules (null turns a rule off)',
+        'GET /api/calendar/rules - List recurring calendar rules',
+        'POST /api/calendar/rules - Create rule and open its dates (?dryRun=true to preview)',
+        'PUT /api/calendar/rules/:id - Update rule (?dryRun=true shows affected dates / bookings)',
+        'DELETE /api/calendar/rules/:id - Delete rule and close its dates (?dryRun=true to preview)',
+        'GET /api/calendar/releases - List scheduled date releases',
+        'POST /api/calendar/releases - Schedule a rolling window or month release (IST)',
+        'POST /api/calendar/releases/run - Apply due releases now',
+        'PUT /api/calendar/releases/:id - Update release schedule',
+        'DELETE /api/calendar/releases/:id - Delete release schedule',
+        'GET /api/calendar/lotteries - List lotteries with entry counts',
+        'POST /api/calendar/lotteries - Allocate a date by lottery (IST application window, optional drawAt)',
+        'PUT /api/calendar/lotteries/:id - Update lottery window / draw time',
+        'DELETE /api/calendar/lotteries/:id - Delete lottery nobody has applied for',
+        'GET /api/calendar/lotteries/:id/entries - Lottery applications and outcomes',
+        'POST /api/calendar/lotteries/:id/draw - Draw now',
+        'GET /api/form/fields - List form fields',
+        'POST /api/form/fields - Create form field',
+        'PUT /api/form/fields/:id - Update form field',
+        'DELETE /api/form/fields/:id - Deactivate form field',
+        'GET /api/shalas - List shalas with booking counts',
+        'GET /api/shalas/unmatched - Free-text shala names not in the registry',
+        'GET /api/shalas/:id - Get shala',
+        'POST /api/shalas - Create shala',
+        'PUT /api/shalas/:id - Update shala',
+        'DELETE /api/shalas/:id - Deactivate shala',
+        'POST /api/shalas/:id/merge - Merge free-text names into a shala'
       ]
     }
   });
@@ -198,6 +265,18 @@ async function startServer() {
     logger.info('Setting up backup system...');
     backupService.scheduleAutoBackup();
 
+    // Schedule automatic date releases
+    logger.info('Setting up date releases...');
+    releaseService.scheduleReleases();
+
+    // Sweep expired seat holds
+    logger.info('Setting up seat hold sweeper...');
+    seatHoldService.scheduleSweep();
+
+    // Draw lotteries at their scheduled time
+    logger.info('Setting up lottery draws...');
+    lotteryService.scheduleDraws();
+
     // Perform initial health check
     logger.info('Performing health check...');
     const health = await monitorService.getHealthCheck();
@@ -0,0 +1,115 @@
+const dbService = require('./db.service');
+const logger = require('../utils/logger');
+
+// Secrets that must never be copied into the audit log
+const REDACTED_FIELDS = ['manageTokenHash'];
+
+class AuditService {
+  /**
+   * Record an admin mutation in the append-only audit log.
+   * Never throws - a failed audit write is logged instead of failing the request.
+   *
+   * @param {Object} req - Express request (actor from req.user, request ID from req.id)
+   * @param {Object} entry - { action, entityType, entityId, before, after }
+   */
+  async record(req, { action, entityType, entityId = null, before = null, after = null }) {
+    try {
+      const actor = (req.user && req.user.username) || 'system';
+      const changes = this.diff(before, after);
+
+      // Queued like every other write, so it never joins (and rolls back with) another request's transaction
+      await dbService.transaction(() => dbService.run(
+        `INSERT INTO audit_log (actor, action, entityType, entityId, changes, requestId, createdAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          actor, action, entityType,
+          entityId !== null ? String(entityId) : null,
+          JSON.stringify(changes),
+          req.id || null,
+          new Date().toISOString()
+        ]
+      ));
+    } catch (error) {
+      logger.error('Audit log write failed', { action, entityType, entityId, error: error.message, requestId: req.id });
+    }
+  }
+
+  /**
+   * Field-level diff between two snapshots
+   *
+   * @param {Object|null} before - State before the change (null for creates)
+   * @param {Object|null} after - State after the change (null for deletes)
+   * @returns {Object} { field: { before, after } } for every changed field
+   */
+  diff(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      if (REDACTED_FIELDS.includes(key)) continue;
+
+      const oldValue = before && before[key] !== undefined ? before[key] : null;
+      const newValue = after && after[key] !== undefined ? after[key] : null;
+
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes[key] = { before: oldValue, after: newValue };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get audit entries with filters and database-level pagination (newest first)
+   *
+   * @param {Object} filters - { actor, entityType, entityId, action, startDate, endDate }
+   * @param {number} page - Page number (1-indexed)
+   * @param {number} limit - Entries per page
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getEntries(filters = {}, page = 1, limit = 50) {
+    let baseSql = 'FROM audit_log WHERE 1=1';
+    const params = [];
+
+    if (filters.actor) {
+      baseSql += ' AND actor = ?';
+      params.push(filters.actor);
+    }
+    if (filters.entityType) {
+      baseSql += ' AND entityType = ?';
+      params.push(filters.entityType);
+    }
+    if (filters.entityId) {
+      baseSql += ' AND entityId = ?';
+      params.push(filters.entityId);
+    }
+    if (filters.action) {
+      baseSql += ' AND action = ?';
+      params.push(filters.action);
+    }
+    if (filters.startDate) {
+      baseSql += ' AND date(createdAt) >= date(?)';
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      baseSql += ' AND date(createdAt) <= date(?)';
+      params.push(filters.endDate);
+    }
+
+    const countResult = await dbService.get(`SELECT COUNT(*) as count ${baseSql}`, params);
+    const total = countResult ? countResult.count : 0;
+
+    const offset = (page - 1) * limit;
+    const rows = await dbService.all(
+      `SELECT * ${baseSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      data: rows.map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : {} })),
+      pagination: { total, page, limit }
+    };
+  }
+}
+
+module.exports = new AuditService();
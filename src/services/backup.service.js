@@ -3,6 +3,7 @@ const path = require('path');
 const cron = require('node-cron');
 const excelConfig = require('../config/excel.config');
 const dbConfig = require('../config/db.config');
+const dbService = require('./db.service');
 
 class BackupService {
   constructor() {
@@ -165,15 +166,22 @@ class BackupService {
         console.log('⚠️  No current file to backup');
       }
 
+      // The audit log is append-only: entries written since the backup are carried over
+      await dbService.whenIdle();
+      const auditEntries = await dbService.all('SELECT * FROM audit_log ORDER BY id ASC');
+
       // Restore from backup
       await fs.copyFile(backupPath, this.filePath);
 
       console.log(`✓ Restored from backup: ${backupFileName}`);
 
+      const auditEntriesCarried = await this.carryOverAuditEntries(auditEntries);
+
       return {
         success: true,
         message: `Successfully restored from ${backupFileName}`,
-        backupFile: backupFileName
+        backupFile: backupFileName,
+        auditEntriesCarried
       };
     } catch (error) {
       console.error('❌ Restore failed:', error.message);
@@ -181,6 +189,32 @@ class BackupService {
     }
   }
 
+  /**
+   * Add the audit entries newer than the restored database's last one, keeping their IDs
+   *
+   * @param {Array} entries - Audit log rows read before the restore
+   * @returns {Promise<number>} Entries carried over
+   */
+  async carryOverAuditEntries(entries) {
+    // A backup from before the audit log gets its table (and any newer schema) first
+    await dbService.initializeDatabase();
+
+    return await dbService.transaction(async () => {
+      const last = await dbService.get('SELECT MAX(id) AS id FROM audit_log');
+      const newer = entries.filter(entry => entry.id > (last.id || 0));
+
+      for (const entry of newer) {
+        await dbService.run(
+          `INSERT INTO audit_log (id, actor, action, entityType, entityId, changes, requestId, createdAt)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [entry.id, entry.actor, entry.action, entry.entityType, entry.entityId, entry.changes, entry.requestId, entry.createdAt]
+        );
+      }
+
+      return newer.length;
+    });
+  }
+
   /**
    * Get last backup time
    *
@@ -0,0 +1,188 @@
+const logger = require('../utils/logger');
+const { createHttpError, istToDate, todayIst } = require('../utils/helpers');
+const { HTTP, BOOKING_RULE_DEFAULTS } = require('../config/constants');
+
+const SETTING_KEY = 'booking_rules';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from one YYYY-MM-DD date to another
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Monday and Sunday of the week a date falls in
+const weekRange = (dateStr) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  const sunday = new Date(monday.getTime() + 6 * DAY_MS);
+  return [monday.toISOString().split('T')[0], sunday.toISOString().split('T')[0]];
+};
+
+const violation = (rule, limit, message, messageGu) => ({ rule, limit, message, messageGu });
+
+/**
+ * Booking Rules Service
+ * The booking policy in one place: how far ahead a date can be booked, the same-day
+ * cutoff, and how often one person (UPI / WhatsApp number) may book.
+ * Rules live in the booking_rules setting; the monthly cap stays in max_bookings_per_month.
+ * maxPerShalaPerDay is the daily limit of shalas without their own, so db.service applies
+ * it with the other capacity checks (calendar status, daily capacity, seat holds).
+ */
+class BookingRulesService {
+  /**
+   * Current rules, with defaults for anything not set
+   */
+  async getRules() {
+    // Required here: db.service checks these rules when a booking is made
+    const dbService = require('./db.service');
+
+    let stored = {};
+    try {
+      stored = JSON.parse(await dbService.getSetting(SETTING_KEY, '{}')) || {};
+    } catch (error) {
+      logger.error('Invalid booking_rules setting, using defaults', { error: error.message });
+    }
+
+    return {
+      ...BOOKING_RULE_DEFAULTS,
+      ...stored,
+      maxPerMonth: parseInt(await dbService.getSetting('max_bookings_per_month', '1000'), 10)
+    };
+  }
+
+  /**
+   * Change some rules (null turns a rule off)
+   * @returns {Promise<Object>} { before, after }
+   */
+  async updateRules(changes) {
+    const dbService = require('./db.service');
+    const before = await this.getRules();
+
+    const { maxPerMonth, ...rest } = changes;
+    const stored = {};
+    Object.keys(BOOKING_RULE_DEFAULTS).forEach(key => {
+      stored[key] = rest[key] !== undefined ? rest[key] : before[key];
+    });
+
+    if (stored.minDaysInAdvance !== null && stored.maxDaysInAdvance !== null &&
+        stored.minDaysInAdvance > stored.maxDaysInAdvance) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'minDaysInAdvance cannot be more than maxDaysInAdvance');
+    }
+
+    await dbService.setSetting(SETTING_KEY, JSON.stringify(stored));
+    if (maxPerMonth !== undefined) {
+      await dbService.setSetting('max_bookings_per_month', maxPerMonth);
+    }
+
+    return { before, after: await this.getRules() };
+  }
+
+  /**
+   * Check a booking against every rule
+   *
+   * @param {string} dateStr - Booking date (YYYY-MM-DD)
+   * @param {Object} person - { upiNumber, whatsappNumber }; person rules are skipped without them
+   * @param {Object} options - excludeId: booking being moved; timing: false skips the
+   *   advance / cutoff rules (waitlist promotions); now: evaluation time
+   * @returns {Promise<Array>} Violated rules [{ rule, limit, message, messageGu }]
+   */
+  async evaluate(dateStr, person = {}, { excludeId = null, timing = true, now = new Date() } = {}) {
+    const dbService = require('./db.service');
+    const rules = await this.getRules();
+    const violations = [];
+    const today = todayIst();
+
+    if (dateStr < today) {
+      // Nothing else matters for a past date
+      return [violation('past', null, 'Past dates cannot be booked', 'પાછલી તારીખો બુક કરી શકાતી નથી')];
+    }
+
+    if (timing) {
+      const daysAhead = daysBetween(today, dateStr);
+
+      if (rules.minDaysInAdvance && daysAhead < rules.minDaysInAdvance) {
+        violations.push(violation(
+          'minDaysInAdvance', rules.minDaysInAdvance,
+          `Bookings must be made at least ${rules.minDaysInAdvance} days in advance`,
+          `બુકિંગ ઓછામાં ઓછું ${rules.minDaysInAdvance} દિવસ અગાઉ કરવું જરૂરી છે`
+        ));
+      }
+
+      if (rules.maxDaysInAdvance !== null && daysAhead > rules.maxDaysInAdvance) {
+        violations.push(violation(
+          'maxDaysInAdvance', rules.maxDaysInAdvance,
+          `Bookings can be made at most ${rules.maxDaysInAdvance} days in advance`,
+          `બુકિંગ વધુમાં વધુ ${rules.maxDaysInAdvance} દિવસ અગાઉ કરી શકાય છે`
+        ));
+      }
+
+      if (rules.sameDayCutoff && dateStr === today && now >= istToDate(today, rules.sameDayCutoff)) {
+        violations.push(violation(
+          'sameDayCutoff', rules.sameDayCutoff,
+          `Same-day bookings close at ${rules.sameDayCutoff} IST`,
+          `આજના દિવસનું બુકિંગ ${rules.sameDayCutoff} (IST) વાગ્યે બંધ થાય છે`
+        ));
+      }
+    }
+
+    if (person.upiNumber || person.whatsappNumber) {
+      const countBetween = (from, to) => dbService.countPersonBookings(person, from, to, excludeId);
+
+      if (rules.minGapDays) {
+        const nearby = await dbService.getPersonBookingNear(person, dateStr, rules.minGapDays, excludeId);
+        if (nearby) {
+          violations.push(violation(
+            'minGapDays', rules.minGapDays,
+            `Bookings by one person must be at least ${rules.minGapDays} days apart (you have one on ${nearby.bookingDate.split('T')[0]})`,
+            `એક વ્યક્તિના બે બુકિંગ વચ્ચે ઓછામાં ઓછા ${rules.minGapDays} દિવસનું અંતર જરૂરી છે (તમારું બુકિંગ ${nearby.bookingDate.split('T')[0]} એ છે)`
+          ));
+        }
+      }
+
+      if (rules.maxPerWeek && await countBetween(...weekRange(dateStr)) >= rules.maxPerWeek) {
+        violations.push(violation(
+          'maxPerWeek', rules.maxPerWeek,
+          `Weekly booking limit reached (${rules.maxPerWeek} bookings per week)`,
+          `સાપ્તાહિક બુકિંગ મર્યાદા પૂરી થઈ ગઈ છે (અઠવાડિયે ${rules.maxPerWeek} બુકિંગ)`
+        ));
+      }
+
+      const month = dateStr.substring(0, 7);
+      if (rules.maxPerMonth && await countBetween(`${month}-01`, `${month}-31`) >= rules.maxPerMonth) {
+        violations.push(violation(
+          'maxPerMonth', rules.maxPerMonth,
+          `Monthly booking limit reached (${rules.maxPerMonth} bookings per month)`,
+          `માસિક બુકિંગ મર્યાદા પૂરી થઈ ગઈ છે (મહિને ${rules.maxPerMonth} બુકિંગ)`
+        ));
+      }
+
+      const year = dateStr.substring(0, 4);
+      if (rules.maxPerYear && await countBetween(`${year}-01-01`, `${year}-12-31`) >= rules.maxPerYear) {
+        violations.push(violation(
+          'maxPerYear', rules.maxPerYear,
+          `Yearly booking limit reached (${rules.maxPerYear} bookings per year)`,
+          `વાર્ષિક બુકિંગ મર્યાદા પૂરી થઈ ગઈ છે (વર્ષે ${rules.maxPerYear} બુકિંગ)`
+        ));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Throw a 400 listing every violated rule (error.violations). Call inside the booking transaction.
+   */
+  async assertAllowed(dateStr, person, options) {
+    const violations = await this.evaluate(dateStr, person, options);
+    if (violations.length === 0) return;
+
+    const error = createHttpError(
+      HTTP.BAD_REQUEST,
+      violations.map(v => v.message).join('. '),
+      violations.map(v => v.messageGu).join('. ')
+    );
+    error.violations = violations;
+    throw error;
+  }
+}
+
+module.exports = new BookingRulesService();
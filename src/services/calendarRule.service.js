@@ -0,0 +1,231 @@
+const dbService = require('./db.service');
+const liveAvailability = require('./liveAvailability.service');
+const { createHttpError, validateDateRange, todayIst } = require('../utils/helpers');
+const { HTTP, BOOKING } = require('../config/constants');
+
+const RULE_FIELDS = ['name', 'startDate', 'endDate', 'weekdays', 'excludeDates', 'capacity', 'label'];
+
+// Calendar dates are plain YYYY-MM-DD strings, walked in UTC so DST never skips a day
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const weekdayOf = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+const parseRule = (row) => row && {
+  ...row,
+  weekdays: row.weekdays ? JSON.parse(row.weekdays) : null,
+  excludeDates: JSON.parse(row.excludeDates || '[]')
+};
+
+class CalendarRuleService {
+  /**
+   * List rules with how many upcoming dates each one currently holds open
+   */
+  async list() {
+    const today = todayIst();
+    const rows = await dbService.all(
+      `SELECT r.*,
+              (SELECT COUNT(*) FROM calendar_availability ca
+               WHERE ca.ruleId = r.id AND ca.date >= ?) AS upcomingDates
+       FROM calendar_rules r
+       ORDER BY r.startDate ASC, r.id ASC`,
+      [today]
+    );
+    return rows.map(parseRule);
+  }
+
+  async getById(id) {
+    return parseRule(await dbService.get('SELECT * FROM calendar_rules WHERE id = ?', [id]));
+  }
+
+  /**
+   * Upcoming dates a rule covers (past dates are never opened or closed by rules)
+   */
+  expandDates(rule) {
+    const today = todayIst();
+    const excluded = new Set(rule.excludeDates || []);
+    const dates = [];
+
+    for (let date = rule.startDate > today ? rule.startDate : today; date <= rule.endDate; date = addDays(date, 1)) {
+      if (excluded.has(date)) continue;
+      if (rule.weekdays && !rule.weekdays.includes(weekdayOf(date))) continue;
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  /**
+   * Work out what saving (or deleting, when rule is null) a rule does to the calendar
+   *
+   * @param {number|null} ruleId - Existing rule, or null for a new one
+   * @param {Object|null} rule - Rule definition, or null when the rule is deleted
+   * @returns {Promise<Object>} { open, update, close, skipped, affectedBookings }
+   */
+  async planChanges(ruleId, rule) {
+    const today = todayIst();
+    const wanted = rule ? this.expandDates(rule) : [];
+
+    const owned = ruleId
+      ? await dbService.all('SELECT date FROM calendar_availability WHERE ruleId = ? AND date >= ?', [ruleId, today])
+      : [];
+    const ownedSet = new Set(owned.map(r => r.date));
+    const wantedSet = new Set(wanted);
+
+    // Dates already open by hand or through another rule are left as they are
+    const existing = wanted.length > 0
+      ? await dbService.all(
+        `SELECT date, ruleId FROM calendar_availability
+         WHERE date IN (${wanted.map(() => '?').join(', ')})`,
+        wanted
+      )
+      : [];
+    const taken = new Map(existing.filter(r => !ownedSet.has(r.date)).map(r => [r.date, r.ruleId]));
+
+    const open = wanted.filter(date => !ownedSet.has(date) && !taken.has(date));
+    const update = wanted.filter(date => ownedSet.has(date));
+    const close = [...ownedSet].filter(date => !wantedSet.has(date)).sort();
+    const skipped = [...taken].map(([date, byRule]) => ({ date, ruleId: byRule }));
+
+    return {
+      open,
+      update,
+      close,
+      skipped,
+      affectedBookings: await dbService.getActiveBookingsOnDates(close)
+    };
+  }
+
+  /**
+   * Write planned changes to calendar_availability. Call inside a transaction.
+   */
+  async applyChanges(ruleId, rule, changes) {
+    for (const date of changes.close) {
+      await dbService.run('DELETE FROM calendar_availability WHERE date = ? AND ruleId = ?', [date, ruleId]);
+    }
+
+    for (const date of changes.open) {
+      await dbService.run(
+        `INSERT INTO calendar_availability (date, status, capacity, label, ruleId) VALUES (?, 'open', ?, ?, ?)
+         ON CONFLICT(date) DO NOTHING`,
+        [date, rule.capacity ?? null, rule.label ?? null, ruleId]
+      );
+    }
+
+    for (const date of changes.update) {
+      await dbService.run(
+        'UPDATE calendar_availability SET capacity = ?, label = ? WHERE date = ? AND ruleId = ?',
+        [rule.capacity ?? null, rule.label ?? null, date, ruleId]
+      );
+    }
+
+    liveAvailability.notify([...changes.close, ...changes.open, ...changes.update]);
+  }
+
+  assertValidRange(rule) {
+    const range = validateDateRange(rule.startDate, rule.endDate, BOOKING.MAX_DATE_RANGE_DAYS);
+    if (!range.valid) {
+      throw createHttpError(HTTP.BAD_REQUEST, range.error);
+    }
+  }
+
+  /**
+   * Create a rule and open its dates (dryRun only returns the plan)
+   */
+  async create(data, actor, { dryRun = false } = {}) {
+    const rule = {};
+    RULE_FIELDS.forEach(key => { rule[key] = data[key] ?? null; });
+    rule.excludeDates = rule.excludeDates || [];
+    this.assertValidRange(rule);
+
+    if (dryRun) {
+      return { rule, changes: await this.planChanges(null, rule) };
+    }
+
+    return await dbService.transaction(async () => {
+      const now = new Date().toISOString();
+      const result = await dbService.run(
+        `INSERT INTO calendar_rules (name, startDate, endDate, weekdays, excludeDates, capacity, label, createdBy, createdAt, updatedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          rule.name, rule.startDate, rule.endDate,
+          rule.weekdays ? JSON.stringify(rule.weekdays) : null,
+          JSON.stringify(rule.excludeDates), rule.capacity, rule.label, actor, now, now
+        ]
+      );
+
+      const changes = await this.planChanges(result.lastID, rule);
+      await this.applyChanges(result.lastID, rule, changes);
+
+      return { rule: await this.getById(result.lastID), changes };
+    });
+  }
+
+  /**
+   * Change a rule and re-sync its upcoming dates (dryRun only returns the plan)
+   */
+  async update(id, updates, { dryRun = false } = {}) {
+    const before = await this.getById(id);
+    if (!before) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Calendar rule not found');
+    }
+
+    const rule = { ...before };
+    RULE_FIELDS.forEach(key => {
+      if (updates[key] !== undefined) rule[key] = updates[key];
+    });
+    rule.excludeDates = rule.excludeDates || [];
+    this.assertValidRange(rule);
+
+    if (dryRun) {
+      return { before, rule, changes: await this.planChanges(id, rule) };
+    }
+
+    return await dbService.transaction(async () => {
+      await dbService.run(
+        `UPDATE calendar_rules SET name = ?, startDate = ?, endDate = ?, weekdays = ?, excludeDates = ?,
+         capacity = ?, label = ?, updatedAt = ? WHERE id = ?`,
+        [
+          rule.name, rule.startDate, rule.endDate,
+          rule.weekdays ? JSON.stringify(rule.weekdays) : null,
+          JSON.stringify(rule.excludeDates), rule.capacity, rule.label, new Date().toISOString(), id
+        ]
+      );
+
+      const changes = await this.planChanges(id, rule);
+      await this.applyChanges(id, rule, changes);
+
+      return { before, rule: await this.getById(id), changes };
+    });
+  }
+
+  /**
+   * Delete a rule and close the upcoming dates it opened (dryRun only returns the plan).
+   * Past dates are kept so existing bookings stay on an open date.
+   */
+  async remove(id, { dryRun = false } = {}) {
+    const rule = await this.getById(id);
+    if (!rule) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Calendar rule not found');
+    }
+
+    if (dryRun) {
+      return { rule, changes: await this.planChanges(id, null) };
+    }
+
+    return await dbService.transaction(async () => {
+      const changes = await this.planChanges(id, null);
+      await this.applyChanges(id, null, changes);
+
+      // Past dates keep their status but no longer point at the deleted rule
+      await dbService.run('UPDATE calendar_availability SET ruleId = NULL WHERE ruleId = ?', [id]);
+      await dbService.run('DELETE FROM calendar_rules WHERE id = ?', [id]);
+
+      return { rule, changes };
+    });
+  }
+}
+
+module.exports = new CalendarRuleService();
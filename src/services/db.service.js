@@ -1,14 +1,34 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const dbConfig = require('../config/db.config');
 const excelConfig = require('../config/excel.config'); // For export dir path
-const { generateSubmissionId } = require('../utils/helpers');
+const { generateSubmissionId, generateSeriesId, generateManageToken, hashToken, createHttpError, istToDate, formatIst, todayIst } = require('../utils/helpers');
+const { HTTP, BOOKING, STATUS_TRANSITIONS, STATUS_TRANSITIONS_WITH_REASON, DUPLICATE_TAG } = require('../config/constants');
 const ExcelJS = require('exceljs');
+const liveAvailability = require('./liveAvailability.service');
+const bookingRules = require('./bookingRules.service');
+
+// Bookings in these statuses hold a slot on their date
+const ACTIVE_STATUSES = ['pending', 'reviewed', 'confirmed'];
+
+// Trashed (soft deleted) submissions are hidden everywhere except the trash views
+const NOT_DELETED_SQL = 'deletedAt IS NULL';
+
+// Bookings that hold a slot on their date (not trashed, not released)
+const ACTIVE_BOOKING_SQL = `(${NOT_DELETED_SQL} AND status NOT IN ('archived', 'rejected', 'cancelled'))`;
+
+// Slots a booking takes: one per participant of a group, otherwise one
+const seatsFor = (data) => data.seats || (data.participants && data.participants.length) || 1;
+
+// Stored form of admin-defined field values (NULL when there are none)
+const customFieldsJson = (values) => (values && Object.keys(values).length > 0 ? JSON.stringify(values) : null);
 
 class DbService {
     constructor() {
         this.dbPath = dbConfig.dbPath;
+        this.transactionQueue = Promise.resolve();
         this.db = new sqlite3.Database(this.dbPath, (err) => {
             if (err) {
                 console.error('Error opening database:', err.message);
@@ -29,6 +49,19 @@ class DbService {
         });
     }
 
+    // Helper to add a column to an existing table (schema migration)
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        if (columns.some(c => c.name === column)) return;
+
+        try {
+            await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        } catch (error) {
+            // initializeDatabase may run twice on startup
+            if (!/duplicate column name/i.test(error.message)) throw error;
+        }
+    }
+
     // Helper to wrap db.get in Promise
     get(sql, params = []) {
         return new Promise((resolve, reject) => {
@@ -82,6 +115,7 @@ class DbService {
             // Seed default settings if not exist
             await this.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('max_bookings_per_day', '3')`);
             await this.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('max_bookings_per_month', '1000')`); // Default high limit
+            await this.run(`INSERT OR IGNORE INTO settings (key, value) VALUES ('duplicate_booking_policy', 'reject')`); // reject, flag, allow
 
             // Create anumodana images table
             await this.run(`
@@ -94,7 +128,7 @@ class DbService {
         )
       `);
 
-            // Create calendar availability table (whitelist of open dates)
+            // Create calendar availability table (dates without a row are coming soon)
             await this.run(`
         CREATE TABLE IF NOT EXISTS calendar_availability (
           date TEXT PRIMARY KEY, -- YYYY-MM-DD
@@ -102,6 +136,291 @@ class DbService {
         )
       `);
 
+            // Create waitlist table (queued requests for fully booked dates)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS waitlist (
+          id TEXT PRIMARY KEY,
+          bookingDate TEXT NOT NULL, -- YYYY-MM-DD
+          name TEXT NOT NULL,
+          upiNumber TEXT NOT NULL,
+          whatsappNumber TEXT NOT NULL,
+          ayambilShalaName TEXT NOT NULL,
+          city TEXT NOT NULL,
+          email TEXT,
+          status TEXT DEFAULT 'waiting', -- waiting, promoted, skipped
+          submissionId TEXT, -- set once promoted
+          ipAddress TEXT,
+          createdAt TEXT NOT NULL,
+          promotedAt TEXT
+        )
+      `);
+
+            // Create self-service change log (devotee cancellations / reschedules)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS self_service_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          submissionId TEXT NOT NULL,
+          action TEXT NOT NULL, -- cancel, reschedule
+          oldBookingDate TEXT,
+          newBookingDate TEXT,
+          ipAddress TEXT,
+          createdAt TEXT NOT NULL
+        )
+      `);
+
+            // Create submission status history table
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS submission_status_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          submissionId TEXT NOT NULL,
+          oldStatus TEXT, -- NULL for the initial status
+          newStatus TEXT NOT NULL,
+          changedBy TEXT NOT NULL, -- admin username, devotee, waitlist
+          reason TEXT,
+          changedAt TEXT NOT NULL
+        )
+      `);
+
+            // Create admin notes thread per submission
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS submission_notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          submissionId TEXT NOT NULL,
+          author TEXT NOT NULL, -- admin username
+          text TEXT NOT NULL,
+          createdAt TEXT NOT NULL
+        )
+      `);
+
+            // Create free-form tags per submission
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS submission_tags (
+          submissionId TEXT NOT NULL,
+          tag TEXT NOT NULL, -- trimmed, lowercase
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          PRIMARY KEY (submissionId, tag)
+        )
+      `);
+
+            // Create admin-defined extra form fields (values live in submissions.customFields)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS form_fields (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          key TEXT UNIQUE NOT NULL, -- key in customFields JSON
+          labelGu TEXT NOT NULL,
+          labelEn TEXT NOT NULL,
+          type TEXT NOT NULL, -- text, textarea, number, select, checkbox, date
+          required INTEGER NOT NULL DEFAULT 0,
+          options TEXT, -- JSON [{ value, labelGu, labelEn }] for select
+          maxLength INTEGER,
+          position INTEGER NOT NULL DEFAULT 0,
+          active INTEGER NOT NULL DEFAULT 1,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+            // Create Ayambil Shala registry
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS shalas (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          nameGu TEXT NOT NULL,
+          nameEn TEXT NOT NULL,
+          city TEXT NOT NULL,
+          address TEXT,
+          contactName TEXT,
+          contactPhone TEXT,
+          active INTEGER NOT NULL DEFAULT 1,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+            // Create short-lived seat holds (taken while a devotee fills the form, swept when expired)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS seat_holds (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tokenHash TEXT UNIQUE NOT NULL, -- SHA-256 of the hold token given to the devotee
+          bookingDate TEXT NOT NULL, -- YYYY-MM-DD
+          seats INTEGER NOT NULL DEFAULT 1,
+          shalaId INTEGER,
+          ipAddress TEXT,
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL
+        )
+      `);
+
+            // Create lotteries: a high-demand date allocated by a seeded random draw
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS lotteries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          bookingDate TEXT UNIQUE NOT NULL, -- YYYY-MM-DD
+          opensAt TEXT NOT NULL, -- ISO time applications open
+          closesAt TEXT NOT NULL, -- ISO time applications close
+          drawAt TEXT, -- ISO time of the scheduled draw; NULL = drawn by an admin
+          status TEXT NOT NULL DEFAULT 'open', -- open (collecting / awaiting draw), drawn
+          seed TEXT, -- set by the draw; ranks every entry reproducibly
+          drawnAt TEXT,
+          drawnBy TEXT,
+          drawError TEXT, -- why the scheduled draw failed; it is not retried until the lottery is updated
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+            // Create lottery applications (no seats taken until the draw)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS lottery_entries (
+          id TEXT PRIMARY KEY, -- UUID, given to the applicant to check the published ranking
+          lotteryId INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          upiNumber TEXT NOT NULL,
+          whatsappNumber TEXT NOT NULL,
+          ayambilShalaName TEXT NOT NULL,
+          shalaId INTEGER,
+          city TEXT NOT NULL,
+          email TEXT,
+          customFields TEXT, -- JSON { key: value }
+          status TEXT NOT NULL DEFAULT 'applied', -- applied, won, waitlisted, ineligible
+          drawRank INTEGER, -- 1 = first in the draw
+          drawHash TEXT, -- SHA-256 of "<seed>:<id>"
+          submissionId TEXT, -- booking made for a winner
+          waitlistId TEXT, -- waitlist entry of a devotee who did not get a seat
+          reason TEXT, -- why an entry was ineligible at the draw
+          ipAddress TEXT,
+          createdAt TEXT NOT NULL
+        )
+      `);
+
+            // Create scheduled date releases (applied by the release cron job)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS release_schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL, -- rolling, month
+          daysAhead INTEGER, -- rolling: keep dates open this many days ahead
+          releaseTime TEXT, -- rolling: HH:mm IST when the next date opens each day
+          month TEXT, -- month: YYYY-MM
+          releaseAt TEXT, -- month: ISO time the whole month opens
+          weekdays TEXT, -- JSON [0-6], 0 = Sunday; NULL = every day
+          capacity INTEGER,
+          label TEXT,
+          active INTEGER NOT NULL DEFAULT 1,
+          releasedThrough TEXT, -- last date opened so far
+          releasedAt TEXT, -- month: when it was applied
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+            // Create recurring calendar rules (materialized into calendar_availability)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS calendar_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          startDate TEXT NOT NULL, -- YYYY-MM-DD
+          endDate TEXT NOT NULL,
+          weekdays TEXT, -- JSON [0-6], 0 = Sunday; NULL = every day
+          excludeDates TEXT NOT NULL DEFAULT '[]', -- JSON ["YYYY-MM-DD"]
+          capacity INTEGER,
+          label TEXT,
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL,
+          updatedAt TEXT NOT NULL
+        )
+      `);
+
+            // Create alternative spellings merged into a registry shala
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS shala_aliases (
+          alias TEXT PRIMARY KEY, -- trimmed, lowercase free-text name
+          shalaId INTEGER NOT NULL,
+          createdBy TEXT NOT NULL,
+          createdAt TEXT NOT NULL
+        )
+      `);
+
+            // Create participants of group bookings (one row per person, each takes a slot)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS submission_participants (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          submissionId TEXT NOT NULL,
+          name TEXT NOT NULL,
+          position INTEGER NOT NULL
+        )
+      `);
+
+            // Create booking series (one submission covering several dates)
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS booking_series (
+          id TEXT PRIMARY KEY,
+          mode TEXT NOT NULL, -- all, available
+          requestedDates TEXT NOT NULL, -- JSON array of YYYY-MM-DD
+          name TEXT NOT NULL,
+          whatsappNumber TEXT NOT NULL,
+          ipAddress TEXT,
+          createdAt TEXT NOT NULL,
+          cancelledAt TEXT,
+          cancelledBy TEXT
+        )
+      `);
+
+            // Create idempotency keys for submission retries
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          key TEXT PRIMARY KEY, -- key:<Idempotency-Key header> or fp:<fingerprint hash>
+          requestHash TEXT NOT NULL,
+          state TEXT NOT NULL DEFAULT 'processing', -- processing, completed
+          statusCode INTEGER,
+          responseBody TEXT, -- JSON
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL
+        )
+      `);
+
+            // Create append-only audit log of admin mutations
+            await this.run(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          actor TEXT NOT NULL, -- admin username
+          action TEXT NOT NULL, -- e.g. submission.update
+          entityType TEXT NOT NULL, -- submission, calendar_date, setting, backup, anumodana_image
+          entityId TEXT,
+          changes TEXT, -- JSON { field: { before, after } }
+          requestId TEXT,
+          createdAt TEXT NOT NULL
+        )
+      `);
+            await this.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+            await this.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+
+            // Schema migrations for existing databases
+            await this.addColumnIfMissing('submissions', 'manageTokenHash', 'TEXT');
+            await this.addColumnIfMissing('submissions', 'deletedAt', 'TEXT');
+            await this.addColumnIfMissing('submissions', 'deletedBy', 'TEXT');
+            await this.addColumnIfMissing('submissions', 'seriesId', 'TEXT');
+            await this.addColumnIfMissing('submissions', 'seats', 'INTEGER NOT NULL DEFAULT 1');
+            await this.addColumnIfMissing('submissions', 'customFields', 'TEXT'); // JSON { key: value }
+            await this.addColumnIfMissing('waitlist', 'customFields', 'TEXT');
+            await this.addColumnIfMissing('submissions', 'shalaId', 'INTEGER'); // NULL for free-text shala names
+            await this.addColumnIfMissing('waitlist', 'shalaId', 'INTEGER');
+            await this.addColumnIfMissing('waitlist', 'seats', 'INTEGER NOT NULL DEFAULT 1');
+            await this.addColumnIfMissing('waitlist', 'participants', 'TEXT'); // JSON names of a group
+            await this.addColumnIfMissing('shalas', 'maxBookingsPerDay', 'INTEGER'); // NULL = only the global limit applies
+            await this.addColumnIfMissing('calendar_availability', 'capacity', 'INTEGER'); // NULL = max_bookings_per_day
+            await this.addColumnIfMissing('calendar_availability', 'label', 'TEXT'); // e.g. Paryushan, Oli
+            await this.addColumnIfMissing('calendar_availability', 'ruleId', 'INTEGER'); // NULL = opened by hand
+            await this.addColumnIfMissing('calendar_availability', 'noteGu', 'TEXT'); // public note, e.g. closure reason
+            await this.addColumnIfMissing('calendar_availability', 'noteEn', 'TEXT');
+
             // Index for faster queries
             await this.run(`CREATE INDEX IF NOT EXISTS idx_booking_date ON submissions(bookingDate)`);
             await this.run(`CREATE INDEX IF NOT EXISTS idx_status ON submissions(status)`);
@@ -113,6 +432,19 @@ class DbService {
             await this.run(`CREATE INDEX IF NOT EXISTS idx_city ON submissions(city)`);
             await this.run(`CREATE INDEX IF NOT EXISTS idx_submission_date ON submissions(submissionDate)`);
             await this.run(`CREATE INDEX IF NOT EXISTS idx_status_date ON submissions(status, submissionDate)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_waitlist_date_status ON waitlist(bookingDate, status, createdAt)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_self_service_submission ON self_service_changes(submissionId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_status_history_submission ON submission_status_history(submissionId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entityType, entityId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_audit_actor_date ON audit_log(actor, createdAt)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_notes_submission ON submission_notes(submissionId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_tags_tag ON submission_tags(tag)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expiresAt)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_series ON submissions(seriesId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_participants_submission ON submission_participants(submissionId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_shala_id ON submissions(shalaId)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_seat_holds_date ON seat_holds(bookingDate, expiresAt)`);
+            await this.run(`CREATE INDEX IF NOT EXISTS idx_lottery_entries_lottery ON lottery_entries(lotteryId, status)`);
 
             console.log('✓ Database tables initialized');
         } catch (error) {
@@ -142,262 +474,1362 @@ class DbService {
     }
 
     /**
-     * Add new submission with concurrency check
+     * Run work inside an exclusive transaction.
+     * Transactions are queued so only one is ever open on the shared connection;
+     * work must not start another transaction itself.
      */
-    async addSubmission(data) {
-        return new Promise((resolve, reject) => {
-            // Serialize to ensure sequential execution within this block
-            this.db.serialize(() => {
-                this.db.run('BEGIN EXCLUSIVE TRANSACTION');
+    transaction(work) {
+        const result = this.transactionQueue.then(async () => {
+            await this.run('BEGIN EXCLUSIVE TRANSACTION');
+            try {
+                const value = await work();
+                await this.run('COMMIT');
+                return value;
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => { });
+                throw error;
+            }
+        });
 
-                const bookingDateStr = data.bookingDate ? new Date(data.bookingDate).toISOString().split('T')[0] : null;
+        // Keep the queue alive after a failed transaction
+        this.transactionQueue = result.catch(() => { });
+        return result;
+    }
 
-                // Get dynamic limits
-                this.db.all('SELECT key, value FROM settings WHERE key IN (?, ?)', ['max_bookings_per_day', 'max_bookings_per_month'], (err, settingsRows) => {
-                    if (err) {
-                        this.db.run('ROLLBACK');
-                        return reject(err);
-                    }
+    /**
+     * Resolves once the transactions queued so far have finished
+     */
+    whenIdle() {
+        return this.transactionQueue;
+    }
 
-                    const settings = {};
-                    settingsRows.forEach(row => settings[row.key] = row.value);
+    /**
+     * Check that a date can take one more booking for this devotee
+     * (calendar open, no lottery pending, booking rules, daily capacity).
+     * Call inside a transaction; excludeId skips the booking being moved,
+     * holdId the devotee's own seat hold, timing: false skips the advance / cutoff rules.
+     */
+    async assertBookable(bookingDateStr, data, excludeId = null, { holdId = null, timing = true } = {}) {
+        await this.assertDateOpen(bookingDateStr);
 
-                    const maxBookingsPerDay = parseInt(settings['max_bookings_per_day'] || '3', 10);
-                    const maxBookingsPerMonth = parseInt(settings['max_bookings_per_month'] || '1000', 10);
+        // Advance booking window, same-day cutoff and per-person limits (all violations at once)
+        await bookingRules.assertAllowed(bookingDateStr, data, { excludeId, timing });
 
-                    // Check if date is "open" in calendar_availability
-                    this.db.get('SELECT status FROM calendar_availability WHERE date = ?', [bookingDateStr], (err, availRow) => {
-                        if (err) {
-                            this.db.run('ROLLBACK');
-                            return reject(err);
-                        }
+        await this.assertDateHasCapacity(bookingDateStr, excludeId, seatsFor(data), data.shalaId, holdId);
 
-                        // If no row found, it's NOT open (by default not available)
-                        if (!availRow || availRow.status !== 'open') {
-                            this.db.run('ROLLBACK');
-                            return reject(new Error('This date is not available for booking yet'));
-                        }
+        return { duplicateOf: await this.checkDuplicateBooking(bookingDateStr, data, excludeId) };
+    }
 
-                        // Check monthly limit for user (Mobile number based)
-                        const bookingMonthStr = bookingDateStr.substring(0, 7); // YYYY-MM
-
-                        this.db.get(
-                            `SELECT COUNT(*) as count FROM submissions 
-                     WHERE strftime('%Y-%m', bookingDate) = ? 
-                     AND (upiNumber = ? OR whatsappNumber = ?)
-                     AND status != 'archived' AND status != 'rejected'`,
-                            [bookingMonthStr, data.upiNumber, data.whatsappNumber],
-                            (err, userCountRow) => {
-                                if (err) {
-                                    this.db.run('ROLLBACK');
-                                    return reject(err);
-                                }
-
-                                if (userCountRow.count >= maxBookingsPerMonth) {
-                                    this.db.run('ROLLBACK');
-                                    return reject(new Error(`Monthly booking limit reached (${maxBookingsPerMonth} bookings per month)`));
-                                }
-
-                                // Check current count for the date
-                                this.db.get(
-                                    `SELECT COUNT(*) as count FROM submissions WHERE date(bookingDate) = date(?) AND status != 'archived'`,
-                                    [bookingDateStr],
-                                    (err, row) => {
-                                        if (err) {
-                                            this.db.run('ROLLBACK');
-                                            return reject(err);
-                                        }
-
-                                        if (row.count >= maxBookingsPerDay) {
-                                            this.db.run('ROLLBACK');
-                                            return reject(new Error('Date is fully booked'));
-                                        }
-
-                                        // Insert new record
-                                        const id = generateSubmissionId();
-                                        const submissionDate = new Date().toISOString();
-
-                                        const insertSql = `
-                              INSERT INTO submissions (
-                                id, submissionDate, bookingDate, name, upiNumber, 
-                                whatsappNumber, ayambilShalaName, city, email, status, ipAddress
-                              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                            `;
-
-                                        this.db.run(
-                                            insertSql,
-                                            [
-                                                id, submissionDate, bookingDateStr, data.name, data.upiNumber,
-                                                data.whatsappNumber, data.ayambilShalaName, data.city,
-                                                data.email || null, 'pending', data.ipAddress || ''
-                                            ],
-                                            (insertErr) => {
-                                                if (insertErr) {
-                                                    this.db.run('ROLLBACK');
-                                                    return reject(insertErr);
-                                                }
-
-                                                this.db.run('COMMIT', (commitErr) => {
-                                                    if (commitErr) return reject(commitErr);
-                                                    resolve({
-                                                        success: true,
-                                                        id,
-                                                        message: 'તમારો ફોર્મ સફળતાપૂર્વક સબમિટ થયો છે',
-                                                        data: { ...data, id, submissionDate, status: 'pending' }
-                                                    });
-                                                });
-                                            }
-                                        );
-                                    }
-                                );
-                            }
-                        );
-                    });
-                });
+    /**
+     * Check that a date takes bookings at all: released, open on the calendar and not
+     * held back for a lottery draw. Also guards admin moves, which skip the per-person rules.
+     */
+    async assertDateOpen(bookingDateStr) {
+        // Check if date is "open" in calendar_availability
+        const availRow = await this.get('SELECT status FROM calendar_availability WHERE date = ?', [bookingDateStr]);
+
+        if (availRow && availRow.status === 'closed') {
+            throw createHttpError(HTTP.BAD_REQUEST, 'This date is closed for booking', 'આ તારીખ બુકિંગ માટે બંધ છે');
+        }
+
+        // If no row found, it's NOT open (by default not available)
+        if (!availRow || availRow.status !== 'open') {
+            throw createHttpError(
+                HTTP.BAD_REQUEST,
+                'This date is not available for booking yet',
+                'આ તારીખ માટે બુકિંગ હજી શરૂ નથી થયું'
+            );
+        }
+
+        // Seats of a lottery date are only given out by its draw
+        if (await this.getOpenLottery(bookingDateStr)) {
+            throw createHttpError(
+                HTTP.CONFLICT,
+                'This date is allocated by lottery. Please apply for the lottery instead',
+                'આ તારીખની બેઠકો લોટરીથી ફાળવવામાં આવશે. કૃપા કરીને લોટરી માટે અરજી કરો'
+            );
+        }
+    }
+
+    /**
+     * Apply the duplicate booking policy for one devotee on one date.
+     * Call inside a transaction.
+     * @returns {Promise<string|null>} ID of the existing booking when the policy is 'flag'
+     */
+    async checkDuplicateBooking(bookingDateStr, data, excludeId = null) {
+        const policy = await this.getSetting('duplicate_booking_policy', 'reject');
+        if (policy === 'allow') return null;
+
+        const existing = await this.get(
+            `SELECT id FROM submissions
+             WHERE date(bookingDate) = date(?)
+             AND (upiNumber = ? OR whatsappNumber = ?)
+             AND ${ACTIVE_BOOKING_SQL} AND id != ?
+             ORDER BY submissionDate ASC LIMIT 1`,
+            [bookingDateStr, data.upiNumber, data.whatsappNumber, excludeId || '']
+        );
+        if (!existing) return null;
+
+        if (policy === 'flag') return existing.id;
+
+        throw createHttpError(
+            HTTP.CONFLICT,
+            'You already have a booking on this date with this UPI or WhatsApp number',
+            'આ UPI અથવા WhatsApp નંબરથી આ તારીખે તમારું બુકિંગ પહેલેથી જ છે'
+        );
+    }
+
+    /**
+     * Tag a booking for review as a possible duplicate of another
+     */
+    async flagPossibleDuplicate(id, duplicateOf) {
+        await this.addSubmissionTags(id, [DUPLICATE_TAG], 'system');
+        await this.addSubmissionNote(id, 'system', `Possible duplicate of ${duplicateOf} (same date and UPI / WhatsApp number)`);
+    }
+
+    /**
+     * Check that a date has free slots for `seats` people (daily capacity only),
+     * both overall and for the booking's shala when it has its own daily limit.
+     * Seats held by other devotees count as taken.
+     * Call inside a transaction; excludeId skips a booking already on the date,
+     * holdId the seat hold being turned into this booking.
+     */
+    async assertDateHasCapacity(bookingDateStr, excludeId = null, seats = 1, shalaId = null, holdId = null) {
+        const maxBookingsPerDay = await this.getDailyCapacity(bookingDateStr);
+
+        // Check seats already taken on the date
+        const row = await this.get(
+            `SELECT COALESCE(SUM(seats), 0) as count FROM submissions WHERE date(bookingDate) = date(?) AND ${ACTIVE_BOOKING_SQL} AND id != ?`,
+            [bookingDateStr, excludeId || '']
+        );
+        const held = await this.getHeldSeats(bookingDateStr, { excludeHoldId: holdId });
+
+        if (row.count + held + seats > maxBookingsPerDay) {
+            throw createHttpError(HTTP.CONFLICT, 'Date is fully booked', 'આ તારીખ સંપૂર્ણ બુક છે');
+        }
+
+        if (!shalaId) return;
+
+        const shalaLimit = await this.getShalaDailyLimit(shalaId);
+        if (shalaLimit === null) return;
+
+        const shalaRow = await this.get(
+            `SELECT COALESCE(SUM(seats), 0) as count FROM submissions
+             WHERE date(bookingDate) = date(?) AND shalaId = ? AND ${ACTIVE_BOOKING_SQL} AND id != ?`,
+            [bookingDateStr, shalaId, excludeId || '']
+        );
+        const shalaHeld = await this.getHeldSeats(bookingDateStr, { shalaId, excludeHoldId: holdId });
+
+        if (shalaRow.count + shalaHeld + seats > shalaLimit) {
+            throw createHttpError(
+                HTTP.CONFLICT,
+                'Ayambil Shala is fully booked on this date',
+                'આ તારીખે આયંબિલ શાળા સંપૂર્ણ બુક છે'
+            );
+        }
+    }
+
+    /**
+     * When a date that is not open yet will be released by a schedule
+     * @returns {Promise<string|null>} ISO time, or null when no schedule will open it
+     */
+    async getReleaseTime(dateStr) {
+        const now = new Date();
+        const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+        const rows = await this.all(
+            `SELECT * FROM release_schedules WHERE active = 1 AND (
+                (type = 'month' AND month = ? AND releasedAt IS NULL)
+                OR (type = 'rolling' AND (releasedThrough IS NULL OR releasedThrough < ?))
+             )`,
+            [dateStr.substring(0, 7), dateStr]
+        );
+
+        const times = rows
+            .filter(row => !row.weekdays || JSON.parse(row.weekdays).includes(weekday))
+            .map(row => {
+                if (row.type === 'month') return new Date(row.releaseAt);
+
+                // Rolling window: the date opens daysAhead days before, at releaseTime
+                const openDay = new Date(`${dateStr}T00:00:00Z`);
+                openDay.setUTCDate(openDay.getUTCDate() - row.daysAhead);
+                return istToDate(openDay.toISOString().split('T')[0], row.releaseTime);
+            })
+            .filter(time => time > now);
+
+        return times.length > 0 ? new Date(Math.min(...times)).toISOString() : null;
+    }
+
+    /**
+     * Daily capacity of a date: its calendar override, else max_bookings_per_day
+     */
+    async getDailyCapacity(dateStr) {
+        const row = await this.get('SELECT capacity FROM calendar_availability WHERE date = ?', [dateStr]);
+        if (row && row.capacity !== null) return row.capacity;
+
+        return parseInt(await this.getSetting('max_bookings_per_day', '3'), 10);
+    }
+
+    /**
+     * Daily limit of a shala: its own maxBookingsPerDay, else the maxPerShalaPerDay rule
+     * @returns {Promise<number|null>} null when only the date's capacity applies
+     */
+    async getShalaDailyLimit(shalaId) {
+        const shala = await this.get('SELECT maxBookingsPerDay FROM shalas WHERE id = ?', [shalaId]);
+        if (!shala) return null;
+        if (shala.maxBookingsPerDay !== null) return shala.maxBookingsPerDay;
+
+        const { maxPerShalaPerDay } = await bookingRules.getRules();
+        return maxPerShalaPerDay;
+    }
+
+    /**
+     * Active bookings of one person (UPI or WhatsApp number) between two dates
+     */
+    async countPersonBookings({ upiNumber, whatsappNumber }, fromDate, toDate, excludeId = null) {
+        const row = await this.get(
+            `SELECT COUNT(*) as count FROM submissions
+             WHERE date(bookingDate) >= date(?) AND date(bookingDate) <= date(?)
+             AND (upiNumber = ? OR whatsappNumber = ?)
+             AND ${ACTIVE_BOOKING_SQL} AND id != ?`,
+            [fromDate, toDate, upiNumber || '', whatsappNumber || '', excludeId || '']
+        );
+        return row.count;
+    }
+
+    /**
+     * An active booking of one person less than `days` days from a date
+     */
+    async getPersonBookingNear({ upiNumber, whatsappNumber }, dateStr, days, excludeId = null) {
+        return await this.get(
+            `SELECT id, bookingDate FROM submissions
+             WHERE ABS(julianday(date(bookingDate)) - julianday(?)) < ?
+             AND (upiNumber = ? OR whatsappNumber = ?)
+             AND ${ACTIVE_BOOKING_SQL} AND id != ?
+             ORDER BY bookingDate ASC LIMIT 1`,
+            [dateStr, days, upiNumber || '', whatsappNumber || '', excludeId || '']
+        );
+    }
+
+    /**
+     * Seats held on a date by unexpired seat holds (optionally for one shala only)
+     */
+    async getHeldSeats(dateStr, { shalaId = null, excludeHoldId = null } = {}) {
+        const row = await this.get(
+            `SELECT COALESCE(SUM(seats), 0) as count FROM seat_holds
+             WHERE bookingDate = ? AND expiresAt > ? AND id != ? ${shalaId ? 'AND shalaId = ?' : ''}`,
+            [dateStr, new Date().toISOString(), excludeHoldId || 0, ...(shalaId ? [shalaId] : [])]
+        );
+        return row.count;
+    }
+
+    /**
+     * Unexpired seat hold by its token (and date, when given)
+     */
+    async getActiveSeatHold(holdToken, dateStr = null) {
+        const hold = await this.get(
+            'SELECT * FROM seat_holds WHERE tokenHash = ? AND expiresAt > ?',
+            [hashToken(String(holdToken)), new Date().toISOString()]
+        );
+        if (!hold || (dateStr && hold.bookingDate !== dateStr)) return null;
+        return hold;
+    }
+
+    /**
+     * The lottery of a date that has not been drawn yet (null when the date is first come, first served)
+     */
+    async getOpenLottery(dateStr) {
+        return await this.get(`SELECT * FROM lotteries WHERE bookingDate = ? AND status = 'open'`, [dateStr]);
+    }
+
+    /**
+     * Check a status change against the transition graph
+     */
+    assertStatusTransition(fromStatus, toStatus, reason) {
+        if ((STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus)) return;
+
+        if ((STATUS_TRANSITIONS_WITH_REASON[fromStatus] || []).includes(toStatus)) {
+            if (reason && reason.trim()) return;
+            throw createHttpError(
+                HTTP.BAD_REQUEST,
+                `A reason is required to change status from ${fromStatus} to ${toStatus}`
+            );
+        }
+
+        throw createHttpError(HTTP.BAD_REQUEST, `Cannot change status from ${fromStatus} to ${toStatus}`);
+    }
+
+    /**
+     * Append a row to the status history
+     */
+    async recordStatusChange(submissionId, oldStatus, newStatus, changedBy, reason = null) {
+        await this.run(
+            `INSERT INTO submission_status_history (submissionId, oldStatus, newStatus, changedBy, reason, changedAt)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [submissionId, oldStatus, newStatus, changedBy, reason || null, new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Get status history for a submission (oldest first)
+     */
+    async getStatusHistory(submissionId) {
+        return await this.all(
+            `SELECT * FROM submission_status_history WHERE submissionId = ? ORDER BY id ASC`,
+            [submissionId]
+        );
+    }
+
+    /**
+     * Add new submission with concurrency check
+     * (actor is recorded in the status history: 'devotee', 'waitlist', ...)
+     */
+    async addSubmission(data, { actor = 'devotee' } = {}) {
+        const bookingDateStr = data.bookingDate ? new Date(data.bookingDate).toISOString().split('T')[0] : null;
+
+        return await this.transaction(async () => {
+            const manageToken = generateManageToken();
+            const { id, submissionDate } = await this.insertSubmission(bookingDateStr, data, {
+                actor,
+                manageTokenHash: hashToken(manageToken)
             });
+
+            return {
+                success: true,
+                id,
+                manageToken,
+                message: 'તમારો ફોર્મ સફળતાપૂર્વક સબમિટ થયો છે',
+                data: { ...data, id, submissionDate, status: 'pending', seats: seatsFor(data) }
+            };
         });
     }
 
     /**
-     * Get all submissions with optional filters
+     * Check a date and insert one booking. Call inside a transaction.
      */
-    async getAllSubmissions(filters = {}) {
-        let sql = 'SELECT * FROM submissions WHERE 1=1';
-        const params = [];
+    async insertSubmission(bookingDateStr, data, { actor = 'devotee', manageTokenHash, seriesId = null }) {
+        // The devotee's own seat hold on this date makes room for the booking and is used up by it
+        const hold = data.holdToken ? await this.getActiveSeatHold(data.holdToken, bookingDateStr) : null;
+        const { duplicateOf } = await this.assertBookable(bookingDateStr, data, null, {
+            holdId: hold && hold.id,
+            timing: !['waitlist', 'lottery'].includes(actor) // the devotee already chose this date in time
+        });
 
-        if (filters.status) {
-            sql += ' AND status = ?';
-            params.push(filters.status);
-        }
-        if (filters.city) {
-            sql += ' AND city = ?';
-            params.push(filters.city);
+        // Insert new record
+        const id = generateSubmissionId();
+        const submissionDate = new Date().toISOString();
+
+        await this.run(
+            `INSERT INTO submissions (
+                id, submissionDate, bookingDate, name, upiNumber, 
+                whatsappNumber, ayambilShalaName, city, email, status, ipAddress, manageTokenHash, seriesId, seats,
+                customFields, shalaId
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id, submissionDate, bookingDateStr, data.name, data.upiNumber,
+                data.whatsappNumber, data.ayambilShalaName, data.city,
+                data.email || null, 'pending', data.ipAddress || '', manageTokenHash, seriesId, seatsFor(data),
+                customFieldsJson(data.customFields), data.shalaId || null
+            ]
+        );
+
+        if (data.participants && data.participants.length > 0) {
+            for (const [index, name] of data.participants.entries()) {
+                await this.run(
+                    'INSERT INTO submission_participants (submissionId, name, position) VALUES (?, ?, ?)',
+                    [id, name, index + 1]
+                );
+            }
         }
-        if (filters.startDate) {
-            sql += ' AND date(bookingDate) >= date(?)';
-            params.push(filters.startDate);
+        await this.recordStatusChange(id, null, 'pending', actor);
+        if (duplicateOf) {
+            await this.flagPossibleDuplicate(id, duplicateOf);
         }
-        if (filters.endDate) {
-            sql += ' AND date(bookingDate) <= date(?)';
-            params.push(filters.endDate);
+        if (hold) {
+            await this.run('DELETE FROM seat_holds WHERE id = ?', [hold.id]);
         }
 
-        // Sort by submissionDate descending
-        sql += ' ORDER BY submissionDate DESC';
+        liveAvailability.notify([bookingDateStr]);
+        return { id, submissionDate };
+    }
 
-        return await this.all(sql, params);
+    // ===== Series Methods =====
+
+    /**
+     * Book several dates for one devotee in a single transaction.
+     * mode 'all' books every date or none; 'available' books the dates that can be booked.
+     * All bookings share one manage token and the series ID.
+     *
+     * @returns {Promise<Object>} { seriesId, manageToken, results: [{ bookingDate, success, id | error, errorGu }] }
+     */
+    async addSubmissionSeries(data, bookingDates, mode = 'all') {
+        const dates = [...new Set(bookingDates.map(d => new Date(d).toISOString().split('T')[0]))].sort();
+        const today = todayIst();
+
+        return await this.transaction(async () => {
+            const seriesId = generateSeriesId();
+            const manageToken = generateManageToken();
+            const manageTokenHash = hashToken(manageToken);
+            const results = [];
+
+            for (const bookingDate of dates) {
+                await this.run('SAVEPOINT series_item');
+                try {
+                    if (bookingDate < today) {
+                        throw createHttpError(HTTP.BAD_REQUEST, 'Past dates cannot be booked', 'પાછલી તારીખો બુક કરી શકાતી નથી');
+                    }
+                    const { id } = await this.insertSubmission(bookingDate, data, { manageTokenHash, seriesId });
+                    await this.run('RELEASE series_item');
+                    results.push({ bookingDate, success: true, id });
+                } catch (error) {
+                    await this.run('ROLLBACK TO series_item');
+                    await this.run('RELEASE series_item');
+                    if (!error.status) throw error;
+                    results.push({ bookingDate, success: false, error: error.message, errorGu: error.messageGu });
+                }
+            }
+
+            const booked = results.filter(r => r.success);
+            if (booked.length === 0 || (mode === 'all' && booked.length < results.length)) {
+                // Nothing is kept: report per-date results without IDs
+                const error = createHttpError(
+                    HTTP.CONFLICT,
+                    mode === 'all' ? 'Not all dates in the series can be booked' : 'None of the dates in the series can be booked',
+                    mode === 'all' ? 'શ્રેણીની બધી તારીખો બુક થઈ શકે તેમ નથી' : 'શ્રેણીની કોઈ તારીખ બુક થઈ શકે તેમ નથી'
+                );
+                error.results = results.map(({ id, ...rest }) => rest);
+                throw error;
+            }
+
+            await this.run(
+                `INSERT INTO booking_series (id, mode, requestedDates, name, whatsappNumber, ipAddress, createdAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [seriesId, mode, JSON.stringify(dates), data.name, data.whatsappNumber, data.ipAddress || '', new Date().toISOString()]
+            );
+
+            return { seriesId, manageToken, results };
+        });
+    }
+
+    /**
+     * Get a series with its (non-trashed) bookings
+     */
+    async getSeries(seriesId) {
+        const series = await this.get('SELECT * FROM booking_series WHERE id = ?', [seriesId]);
+        if (!series) return null;
+
+        const submissions = await this.all(
+            `SELECT * FROM submissions WHERE seriesId = ? AND ${NOT_DELETED_SQL} ORDER BY bookingDate ASC`,
+            [seriesId]
+        );
+
+        return { ...series, requestedDates: JSON.parse(series.requestedDates), submissions };
+    }
+
+    /**
+     * Cancel every active, upcoming booking in a series
+     * @returns {Promise<Array>} Cancelled bookings as { before, after }
+     */
+    async cancelSeries(seriesId, { changedBy, reason = null }) {
+        const today = todayIst();
+
+        return await this.transaction(async () => {
+            const series = await this.get('SELECT * FROM booking_series WHERE id = ?', [seriesId]);
+            if (!series) {
+                throw new Error('Series not found');
+            }
+
+            const rows = await this.all(
+                `SELECT * FROM submissions
+                 WHERE seriesId = ? AND ${NOT_DELETED_SQL}
+                 AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+                 AND bookingDate >= ?`,
+                [seriesId, ...ACTIVE_STATUSES, today]
+            );
+
+            const cancelled = [];
+            for (const row of rows) {
+                const after = await this.applySubmissionUpdate(row, { status: 'cancelled' }, { changedBy, reason });
+                cancelled.push({ before: row, after });
+            }
+
+            await this.run(
+                'UPDATE booking_series SET cancelledAt = ?, cancelledBy = ? WHERE id = ?',
+                [new Date().toISOString(), changedBy, seriesId]
+            );
+
+            return cancelled;
+        });
+    }
+
+    // ===== Self-Service Methods =====
+
+    /**
+     * Load a submission for self-service and verify its manage token.
+     * Call inside a transaction.
+     */
+    async getManageableSubmission(id, manageToken) {
+        const row = await this.get(`SELECT * FROM submissions WHERE id = ? AND ${NOT_DELETED_SQL}`, [id]);
+
+        const expected = row && row.manageTokenHash ? Buffer.from(row.manageTokenHash, 'hex') : null;
+        const actual = Buffer.from(hashToken(manageToken), 'hex');
+
+        if (!expected || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw createHttpError(
+                HTTP.FORBIDDEN,
+                'Invalid submission ID or manage token',
+                'અમાન્ય સબમિશન ID અથવા મેનેજ ટોકન'
+            );
+        }
+
+        if (!ACTIVE_STATUSES.includes(row.status)) {
+            throw createHttpError(
+                HTTP.BAD_REQUEST,
+                `This booking is ${row.status} and can no longer be changed`,
+                'આ બુકિંગમાં હવે ફેરફાર કરી શકાતો નથી'
+            );
+        }
+
+        const today = todayIst();
+        if (row.bookingDate < today) {
+            throw createHttpError(
+                HTTP.BAD_REQUEST,
+                'Past bookings cannot be changed',
+                'પાછલી તારીખના બુકિંગમાં ફેરફાર કરી શકાતો નથી'
+            );
+        }
+
+        return row;
+    }
+
+    /**
+     * Record a devotee-initiated change
+     */
+    async logSelfServiceChange(submissionId, action, oldBookingDate, newBookingDate, ipAddress) {
+        await this.run(
+            `INSERT INTO self_service_changes (submissionId, action, oldBookingDate, newBookingDate, ipAddress, createdAt)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [submissionId, action, oldBookingDate, newBookingDate, ipAddress || '', new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Cancel a booking using its manage token (token is consumed)
+     */
+    async cancelSubmissionSelfService(id, manageToken, ipAddress) {
+        return await this.transaction(async () => {
+            const row = await this.getManageableSubmission(id, manageToken);
+
+            await this.run(
+                `UPDATE submissions SET status = 'cancelled', manageTokenHash = NULL WHERE id = ?`,
+                [id]
+            );
+            await this.logSelfServiceChange(id, 'cancel', row.bookingDate, null, ipAddress);
+            await this.recordStatusChange(id, row.status, 'cancelled', 'devotee', 'Cancelled with manage token');
+            liveAvailability.notify([row.bookingDate]);
+
+            return {
+                success: true,
+                message: 'Booking cancelled successfully',
+                messageGu: 'તમારું બુકિંગ રદ કરવામાં આવ્યું છે',
+                data: { id, bookingDate: row.bookingDate, status: 'cancelled' }
+            };
+        });
+    }
+
+    /**
+     * Move a booking to another date using its manage token.
+     * Runs the same calendar/capacity/monthly checks as addSubmission and
+     * replaces the used token with a fresh one.
+     */
+    async rescheduleSubmissionSelfService(id, manageToken, newBookingDate, ipAddress) {
+        const newDateStr = new Date(newBookingDate).toISOString().split('T')[0];
+
+        return await this.transaction(async () => {
+            const row = await this.getManageableSubmission(id, manageToken);
+
+            if (row.bookingDate === newDateStr) {
+                throw createHttpError(
+                    HTTP.BAD_REQUEST,
+                    'Booking is already on this date',
+                    'બુકિંગ પહેલેથી જ આ તારીખે છે'
+                );
+            }
+
+            const { duplicateOf } = await this.assertBookable(newDateStr, row, id);
+
+            const newToken = generateManageToken();
+            await this.run(
+                `UPDATE submissions SET bookingDate = ?, manageTokenHash = ? WHERE id = ?`,
+                [newDateStr, hashToken(newToken), id]
+            );
+            await this.logSelfServiceChange(id, 'reschedule', row.bookingDate, newDateStr, ipAddress);
+            if (duplicateOf) {
+                await this.flagPossibleDuplicate(id, duplicateOf);
+            }
+            liveAvailability.notify([row.bookingDate, newDateStr]);
+
+            return {
+                success: true,
+                message: 'Booking rescheduled successfully',
+                messageGu: 'તમારું બુકિંગ નવી તારીખે ખસેડવામાં આવ્યું છે',
+                manageToken: newToken,
+                data: { id, oldBookingDate: row.bookingDate, bookingDate: newDateStr, status: row.status }
+            };
+        });
+    }
+
+    /**
+     * Get self-service change log (newest first)
+     */
+    async getSelfServiceChanges(submissionId = null, limit = 100) {
+        if (submissionId) {
+            return await this.all(
+                `SELECT * FROM self_service_changes WHERE submissionId = ? ORDER BY id DESC LIMIT ?`,
+                [submissionId, limit]
+            );
+        }
+        return await this.all(`SELECT * FROM self_service_changes ORDER BY id DESC LIMIT ?`, [limit]);
+    }
+
+    /**
+     * Build WHERE clause for the admin submission filters
+     * (shared by listing, export and bulk actions)
+     */
+    buildSubmissionFilters(filters = {}) {
+        let whereSql = NOT_DELETED_SQL;
+        const params = [];
+
+        if (filters.status) {
+            whereSql += ' AND status = ?';
+            params.push(filters.status);
+        }
+        if (filters.city) {
+            whereSql += ' AND city = ?';
+            params.push(filters.city);
+        }
+        if (filters.state) {
+            // Not a column: collected by a 'state' form field when the form asks for it
+            whereSql += ` AND json_extract(customFields, '$.state') = ?`;
+            params.push(filters.state);
+        }
+        if (filters.startDate) {
+            whereSql += ' AND date(bookingDate) >= date(?)';
+            params.push(filters.startDate);
+        }
+        if (filters.endDate) {
+            whereSql += ' AND date(bookingDate) <= date(?)';
+            params.push(filters.endDate);
+        }
+        if (filters.shalaId) {
+            whereSql += ' AND shalaId = ?';
+            params.push(filters.shalaId);
+        }
+        if (filters.seriesId) {
+            whereSql += ' AND seriesId = ?';
+            params.push(filters.seriesId);
+        }
+        if (filters.tags && filters.tags.length > 0) {
+            // Submission must carry every requested tag
+            whereSql += ` AND id IN (
+                SELECT submissionId FROM submission_tags
+                WHERE tag IN (${filters.tags.map(() => '?').join(', ')})
+                GROUP BY submissionId
+                HAVING COUNT(*) = ?
+            )`;
+            params.push(...filters.tags, filters.tags.length);
+        }
+
+        return { whereSql, params };
+    }
+
+    /**
+     * Get all submissions with optional filters
+     */
+    async getAllSubmissions(filters = {}) {
+        const { whereSql, params } = this.buildSubmissionFilters(filters);
+
+        // Sort by submissionDate descending
+        const sql = `SELECT * FROM submissions WHERE ${whereSql} ORDER BY submissionDate DESC`;
+
+        return await this.all(sql, params);
+    }
+
+    /**
+     * Get submissions with database-level pagination (C2 fix)
+     * More efficient than loading all records into memory
+     */
+    async getSubmissionsPaginated(filters = {}, page = 1, limit = 50) {
+        const { whereSql, params } = this.buildSubmissionFilters(filters);
+        const baseSql = `FROM submissions WHERE ${whereSql}`;
+
+        // Get total count
+        const countResult = await this.get(`SELECT COUNT(*) as count ${baseSql}`, params);
+        const total = countResult ? countResult.count : 0;
+
+        // Get paginated data
+        const offset = (page - 1) * limit;
+        const dataSql = `SELECT * ${baseSql} ORDER BY submissionDate DESC LIMIT ? OFFSET ?`;
+        const dataParams = [...params, limit, offset];
+        const data = await this.attachParticipants(await this.attachTags(await this.all(dataSql, dataParams)));
+
+        return {
+            data,
+            pagination: {
+                total,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                pages: Math.ceil(total / limit),
+                hasNext: page * limit < total,
+                hasPrev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Get submission by ID
+     */
+    async getSubmissionById(id) {
+        return await this.get(`SELECT * FROM submissions WHERE id = ? AND ${NOT_DELETED_SQL}`, [id]);
+    }
+
+    /**
+     * Get the public, redacted view of a submission.
+     * Requires the WhatsApp number used on the form so IDs alone reveal nothing.
+     */
+    async getSubmissionForLookup(id, whatsappNumber) {
+        return await this.get(
+            `SELECT id, bookingDate, status, ayambilShalaName, city, seats FROM submissions
+             WHERE id = ? AND whatsappNumber = ? AND ${NOT_DELETED_SQL}`,
+            [id, whatsappNumber]
+        );
+    }
+
+    /**
+     * Update submission
+     * Status changes follow STATUS_TRANSITIONS and are written to the status history;
+     * a booking that takes a slot (revived or moved) re-checks the date's capacity.
+     */
+    async updateSubmission(id, updates, { changedBy = 'admin', reason = null } = {}) {
+        return await this.transaction(async () => {
+            const existing = await this.get(`SELECT * FROM submissions WHERE id = ? AND ${NOT_DELETED_SQL}`, [id]);
+            if (!existing) {
+                throw new Error('Submission not found');
+            }
+
+            const updated = await this.applySubmissionUpdate(existing, updates, { changedBy, reason });
+            if (!updated) return { success: true, message: 'No changes made', data: existing };
+
+            return {
+                success: true,
+                message: 'Submission updated successfully',
+                data: updated
+            };
+        });
+    }
+
+    /**
+     * Apply an update to a loaded submission row.
+     * Call inside a transaction; returns the updated row, or null when nothing changed.
+     */
+    async applySubmissionUpdate(existing, updates, { changedBy = 'admin', reason = null } = {}) {
+        const id = existing.id;
+
+        // Dynamically build update query
+        const fields = [];
+        const params = [];
+
+        // Map allowed fields
+        const allowedFields = ['status', 'bookingDate', 'name', 'upiNumber', 'whatsappNumber', 'ayambilShalaName', 'city', 'email', 'customFields'];
+        const changes = {};
+
+        for (const key of Object.keys(updates)) {
+            if (allowedFields.includes(key) && updates[key] !== undefined) {
+                let value = updates[key];
+                if (key === 'bookingDate') {
+                    value = new Date(value).toISOString().split('T')[0];
+                }
+                if (key === 'customFields') {
+                    // Partial update: given keys replace stored ones, null removes a key
+                    const merged = { ...JSON.parse(existing.customFields || '{}'), ...value };
+                    Object.keys(merged).forEach(k => merged[k] === null && delete merged[k]);
+                    value = customFieldsJson(merged);
+                }
+                if (value === existing[key]) continue;
+                fields.push(`${key} = ?`);
+                params.push(value);
+                changes[key] = value;
+            }
+        }
+
+        if (fields.length === 0) return null;
+
+        const newStatus = changes.status || existing.status;
+        const newBookingDate = changes.bookingDate || existing.bookingDate;
+
+        if (changes.status) {
+            this.assertStatusTransition(existing.status, changes.status, reason);
+        }
+
+        // Needs a free slot when a released booking is revived or an active booking moves date
+        const takesSlot = ACTIVE_STATUSES.includes(newStatus) &&
+            (!ACTIVE_STATUSES.includes(existing.status) || newBookingDate !== existing.bookingDate);
+        if (takesSlot) {
+            await this.assertDateHasCapacity(newBookingDate, id, existing.seats, existing.shalaId);
+        }
+
+        const sql = `UPDATE submissions SET ${fields.join(', ')} WHERE id = ?`;
+        params.push(id);
+
+        await this.run(sql, params);
+
+        if (changes.status) {
+            await this.recordStatusChange(id, existing.status, changes.status, changedBy, reason);
+        }
+        if (changes.status || changes.bookingDate) {
+            liveAvailability.notify([existing.bookingDate, newBookingDate]);
+        }
+
+        return await this.getSubmissionById(id);
+    }
+
+    /**
+     * Apply one action to many submissions in a single transaction.
+     * Each item runs in its own savepoint so a failing item is reported
+     * without undoing the others.
+     *
+     * @param {Array<string>|null} ids - Submission IDs, or null to use filters
+     * @param {Object} filters - Same filters as getSubmissionsPaginated
+     * @param {Object} operation - { action: 'status'|'delete'|'move', status, bookingDate, reason }
+     * @param {string} actor - Admin username
+     */
+    async bulkUpdateSubmissions(ids, filters, operation, actor) {
+        return await this.transaction(async () => {
+            let targetIds = ids;
+            if (!targetIds) {
+                const { whereSql, params } = this.buildSubmissionFilters(filters);
+                const rows = await this.all(
+                    `SELECT id FROM submissions WHERE ${whereSql} ORDER BY submissionDate ASC LIMIT ?`,
+                    [...params, BOOKING.MAX_BULK_ITEMS + 1]
+                );
+                if (rows.length > BOOKING.MAX_BULK_ITEMS) {
+                    throw createHttpError(
+                        HTTP.BAD_REQUEST,
+                        `Filters match more than ${BOOKING.MAX_BULK_ITEMS} submissions. Narrow them down.`
+                    );
+                }
+                targetIds = rows.map(r => r.id);
+            }
+
+            const updated = [];
+            const errors = [];
+
+            for (const id of targetIds) {
+                await this.run('SAVEPOINT bulk_item');
+                try {
+                    const before = await this.get(`SELECT * FROM submissions WHERE id = ? AND ${NOT_DELETED_SQL}`, [id]);
+                    if (!before) {
+                        throw new Error('Submission not found');
+                    }
+
+                    let after;
+                    if (operation.action === 'delete') {
+                        await this.run(
+                            'UPDATE submissions SET deletedAt = ?, deletedBy = ? WHERE id = ?',
+                            [new Date().toISOString(), actor, id]
+                        );
+                        liveAvailability.notify([before.bookingDate]);
+                        after = null;
+                    } else {
+                        const updates = operation.action === 'status'
+                            ? { status: operation.status }
+                            : { bookingDate: operation.bookingDate };
+                        if (updates.bookingDate) {
+                            await this.assertDateOpen(new Date(updates.bookingDate).toISOString().split('T')[0]);
+                        }
+                        after = await this.applySubmissionUpdate(before, updates, {
+                            changedBy: actor,
+                            reason: operation.reason
+                        }) || before;
+                    }
+
+                    await this.run('RELEASE bulk_item');
+                    updated.push({ id, before, after });
+                } catch (error) {
+                    await this.run('ROLLBACK TO bulk_item');
+                    await this.run('RELEASE bulk_item');
+                    errors.push({ id, error: error.message });
+                }
+            }
+
+            return { updated, errors };
+        });
+    }
+
+    /**
+     * Delete submission (soft delete - moves it to the trash)
+     */
+    async deleteSubmission(id, deletedBy = 'admin') {
+        const result = await this.run(
+            `UPDATE submissions SET deletedAt = ?, deletedBy = ? WHERE id = ? AND ${NOT_DELETED_SQL}`,
+            [new Date().toISOString(), deletedBy, id]
+        );
+
+        if (result.changes === 0) {
+            throw new Error('Submission not found');
+        }
+
+        const row = await this.get('SELECT bookingDate FROM submissions WHERE id = ?', [id]);
+        liveAvailability.notify([row && row.bookingDate]);
+
+        return {
+            success: true,
+            message: 'Submission moved to trash'
+        };
+    }
+
+    // ===== Trash Methods =====
+
+    /**
+     * Get trashed submissions (most recently deleted first)
+     */
+    async getTrashedSubmissions(page = 1, limit = 50) {
+        const countResult = await this.get('SELECT COUNT(*) as count FROM submissions WHERE deletedAt IS NOT NULL');
+        const total = countResult ? countResult.count : 0;
+
+        const offset = (page - 1) * limit;
+        const data = await this.all(
+            'SELECT * FROM submissions WHERE deletedAt IS NOT NULL ORDER BY deletedAt DESC LIMIT ? OFFSET ?',
+            [limit, offset]
+        );
+
+        return {
+            data,
+            pagination: { total, page, limit }
+        };
+    }
+
+    /**
+     * Get a trashed submission by ID
+     */
+    async getTrashedSubmissionById(id) {
+        return await this.get('SELECT * FROM submissions WHERE id = ? AND deletedAt IS NOT NULL', [id]);
+    }
+
+    /**
+     * Restore a submission from the trash.
+     * An active booking takes its slot back, so the date's capacity is re-checked.
+     */
+    async restoreSubmission(id) {
+        return await this.transaction(async () => {
+            const row = await this.getTrashedSubmissionById(id);
+            if (!row) {
+                throw new Error('Submission not found in trash');
+            }
+
+            if (ACTIVE_STATUSES.includes(row.status)) {
+                await this.assertDateHasCapacity(row.bookingDate, id, row.seats, row.shalaId);
+            }
+
+            await this.run('UPDATE submissions SET deletedAt = NULL, deletedBy = NULL WHERE id = ?', [id]);
+            liveAvailability.notify([row.bookingDate]);
+
+            return {
+                success: true,
+                message: 'Submission restored successfully',
+                data: await this.getSubmissionById(id)
+            };
+        });
+    }
+
+    /**
+     * Permanently delete a trashed submission with everything recorded against it
+     */
+    async purgeSubmission(id) {
+        return await this.transaction(async () => {
+            const result = await this.run('DELETE FROM submissions WHERE id = ? AND deletedAt IS NOT NULL', [id]);
+
+            if (result.changes === 0) {
+                throw new Error('Submission not found in trash');
+            }
+
+            await this.run('DELETE FROM submission_notes WHERE submissionId = ?', [id]);
+            await this.run('DELETE FROM submission_tags WHERE submissionId = ?', [id]);
+            await this.run('DELETE FROM submission_participants WHERE submissionId = ?', [id]);
+            await this.run('DELETE FROM submission_status_history WHERE submissionId = ?', [id]);
+            await this.run('DELETE FROM self_service_changes WHERE submissionId = ?', [id]);
+
+            return {
+                success: true,
+                message: 'Submission permanently deleted'
+            };
+        });
+    }
+
+    /**
+     * Get the notes thread for a submission (oldest first)
+     */
+    async getSubmissionNotes(submissionId) {
+        return await this.all(
+            'SELECT * FROM submission_notes WHERE submissionId = ? ORDER BY id ASC',
+            [submissionId]
+        );
+    }
+
+    /**
+     * Add a note to a submission
+     */
+    async addSubmissionNote(submissionId, author, text) {
+        const createdAt = new Date().toISOString();
+        const result = await this.run(
+            'INSERT INTO submission_notes (submissionId, author, text, createdAt) VALUES (?, ?, ?, ?)',
+            [submissionId, author, text, createdAt]
+        );
+        return { id: result.lastID, submissionId, author, text, createdAt };
+    }
+
+    /**
+     * Delete a note from a submission
+     * @returns {Promise<Object|null>} The deleted note, or null if not found
+     */
+    async deleteSubmissionNote(submissionId, noteId) {
+        const note = await this.get(
+            'SELECT * FROM submission_notes WHERE id = ? AND submissionId = ?',
+            [noteId, submissionId]
+        );
+        if (!note) return null;
+
+        await this.run('DELETE FROM submission_notes WHERE id = ?', [noteId]);
+        return note;
+    }
+
+    /**
+     * Get tags for a submission
+     */
+    async getSubmissionTags(submissionId) {
+        const rows = await this.all(
+            'SELECT tag FROM submission_tags WHERE submissionId = ? ORDER BY tag ASC',
+            [submissionId]
+        );
+        return rows.map(r => r.tag);
+    }
+
+    /**
+     * Add tags to a submission (existing tags are kept)
+     * @returns {Promise<Array<string>>} Tags that were newly added
+     */
+    async addSubmissionTags(submissionId, tags, createdBy) {
+        const createdAt = new Date().toISOString();
+        const added = [];
+
+        for (const tag of tags) {
+            const result = await this.run(
+                'INSERT OR IGNORE INTO submission_tags (submissionId, tag, createdBy, createdAt) VALUES (?, ?, ?, ?)',
+                [submissionId, tag, createdBy, createdAt]
+            );
+            if (result.changes > 0) added.push(tag);
+        }
+
+        return added;
+    }
+
+    /**
+     * Remove a tag from a submission
+     * @returns {Promise<boolean>} True if the tag was present
+     */
+    async removeSubmissionTag(submissionId, tag) {
+        const result = await this.run(
+            'DELETE FROM submission_tags WHERE submissionId = ? AND tag = ?',
+            [submissionId, tag]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Add a `tags` array to each submission row (one query for the whole page)
+     */
+    async attachTags(submissions) {
+        const tagsById = {};
+        const ids = submissions.map(s => s.id);
+
+        // Chunk to stay under SQLite's bound parameter limit on large exports
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const rows = await this.all(
+                `SELECT submissionId, tag FROM submission_tags
+                 WHERE submissionId IN (${chunk.map(() => '?').join(', ')})
+                 ORDER BY tag ASC`,
+                chunk
+            );
+            rows.forEach(r => {
+                (tagsById[r.submissionId] = tagsById[r.submissionId] || []).push(r.tag);
+            });
+        }
+
+        return submissions.map(s => ({ ...s, tags: tagsById[s.id] || [] }));
+    }
+
+    /**
+     * Get participant names of a group booking (in form order)
+     */
+    async getSubmissionParticipants(submissionId) {
+        const rows = await this.all(
+            'SELECT name FROM submission_participants WHERE submissionId = ? ORDER BY position ASC',
+            [submissionId]
+        );
+        return rows.map(r => r.name);
+    }
+
+    /**
+     * Add a `participants` array to each submission row (empty for single bookings)
+     */
+    async attachParticipants(submissions) {
+        const namesById = {};
+        const ids = submissions.filter(s => s.seats > 1).map(s => s.id);
+
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const rows = await this.all(
+                `SELECT submissionId, name FROM submission_participants
+                 WHERE submissionId IN (${chunk.map(() => '?').join(', ')})
+                 ORDER BY position ASC`,
+                chunk
+            );
+            rows.forEach(r => {
+                (namesById[r.submissionId] = namesById[r.submissionId] || []).push(r.name);
+            });
+        }
+
+        return submissions.map(s => ({ ...s, participants: namesById[s.id] || [] }));
+    }
+
+    /**
+     * Get notes for many submissions, grouped by submission ID
+     */
+    async getNotesBySubmission(ids) {
+        const notesById = {};
+        if (ids.length === 0) return notesById;
+
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const rows = await this.all(
+                `SELECT * FROM submission_notes
+                 WHERE submissionId IN (${chunk.map(() => '?').join(', ')})
+                 ORDER BY id ASC`,
+                chunk
+            );
+            rows.forEach(r => {
+                (notesById[r.submissionId] = notesById[r.submissionId] || []).push(r);
+            });
+        }
+
+        return notesById;
+    }
+
+    /**
+     * Get an unexpired idempotency record
+     */
+    async getIdempotencyRecord(key) {
+        return await this.get(
+            'SELECT * FROM idempotency_keys WHERE key = ? AND expiresAt > ?',
+            [key, new Date().toISOString()]
+        );
+    }
+
+    /**
+     * Reserve idempotency keys for an in-flight request.
+     * All keys are reserved together; returns false if any is already taken.
+     */
+    async reserveIdempotencyKeys(keys, requestHash, ttlMs) {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+
+        return await this.transaction(async () => {
+            await this.run('DELETE FROM idempotency_keys WHERE expiresAt <= ?', [now.toISOString()]);
+
+            for (const key of keys) {
+                const result = await this.run(
+                    `INSERT OR IGNORE INTO idempotency_keys (key, requestHash, createdAt, expiresAt)
+                     VALUES (?, ?, ?, ?)`,
+                    [key, requestHash, now.toISOString(), expiresAt]
+                );
+                if (result.changes === 0) {
+                    throw createHttpError(HTTP.CONFLICT, 'Idempotency key already in use');
+                }
+            }
+            return true;
+        }).catch(error => {
+            if (error.status === HTTP.CONFLICT) return false;
+            throw error;
+        });
+    }
+
+    /**
+     * Store the response for reserved idempotency keys
+     * @param {Object} ttlByKey - { key: ttlMs }
+     */
+    async completeIdempotencyKeys(ttlByKey, statusCode, responseBody) {
+        const now = Date.now();
+        const body = JSON.stringify(responseBody);
+
+        for (const [key, ttlMs] of Object.entries(ttlByKey)) {
+            await this.run(
+                `UPDATE idempotency_keys SET state = 'completed', statusCode = ?, responseBody = ?, expiresAt = ?
+                 WHERE key = ?`,
+                [statusCode, body, new Date(now + ttlMs).toISOString(), key]
+            );
+        }
+    }
+
+    /**
+     * Drop reservations for a request that did not create a submission
+     */
+    async releaseIdempotencyKeys(keys) {
+        for (const key of keys) {
+            await this.run(`DELETE FROM idempotency_keys WHERE key = ? AND state = 'processing'`, [key]);
+        }
     }
 
     /**
-     * Get submissions with database-level pagination (C2 fix)
-     * More efficient than loading all records into memory
+     * Find active bookings that share a date and a UPI or WhatsApp number
+     * @returns {Promise<Array>} Groups of { bookingDate, submissions }
      */
-    async getSubmissionsPaginated(filters = {}, page = 1, limit = 50) {
-        let baseSql = 'FROM submissions WHERE 1=1';
+    async getDuplicateBookings(filters = {}) {
+        let dateSql = '';
         const params = [];
-
-        if (filters.status) {
-            baseSql += ' AND status = ?';
-            params.push(filters.status);
-        }
-        if (filters.city) {
-            baseSql += ' AND city = ?';
-            params.push(filters.city);
-        }
         if (filters.startDate) {
-            baseSql += ' AND date(bookingDate) >= date(?)';
+            dateSql += ' AND date(a.bookingDate) >= date(?)';
             params.push(filters.startDate);
         }
         if (filters.endDate) {
-            baseSql += ' AND date(bookingDate) <= date(?)';
+            dateSql += ' AND date(a.bookingDate) <= date(?)';
             params.push(filters.endDate);
         }
 
-        // Get total count
-        const countResult = await this.get(`SELECT COUNT(*) as count ${baseSql}`, params);
-        const total = countResult ? countResult.count : 0;
+        const pairs = await this.all(
+            `WITH active AS (SELECT * FROM submissions WHERE ${ACTIVE_BOOKING_SQL})
+             SELECT a.id AS firstId, b.id AS secondId FROM active a
+             JOIN active b ON date(a.bookingDate) = date(b.bookingDate) AND a.id < b.id
+                AND (a.upiNumber = b.upiNumber OR a.whatsappNumber = b.whatsappNumber)
+             WHERE 1 = 1${dateSql}`,
+            params
+        );
+        if (pairs.length === 0) return [];
+
+        // Merge pairs into groups (A~B and B~C is one group)
+        const groupOf = {};
+        for (const { firstId, secondId } of pairs) {
+            const first = groupOf[firstId] || new Set([firstId]);
+            const second = groupOf[secondId] || new Set([secondId]);
+            second.forEach(id => first.add(id));
+            first.forEach(id => { groupOf[id] = first; });
+        }
+        const groups = [...new Set(Object.values(groupOf))];
 
-        // Get paginated data
-        const offset = (page - 1) * limit;
-        const dataSql = `SELECT * ${baseSql} ORDER BY submissionDate DESC LIMIT ? OFFSET ?`;
-        const dataParams = [...params, limit, offset];
-        const data = await this.all(dataSql, dataParams);
+        const ids = Object.keys(groupOf);
+        const rows = await this.all(
+            `SELECT id, submissionDate, bookingDate, name, upiNumber, whatsappNumber, ayambilShalaName, city, status
+             FROM submissions WHERE id IN (${ids.map(() => '?').join(', ')})
+             ORDER BY submissionDate ASC`,
+            ids
+        );
 
-        return {
-            data,
-            pagination: {
-                total,
-                page: parseInt(page),
-                limit: parseInt(limit),
-                pages: Math.ceil(total / limit),
-                hasNext: page * limit < total,
-                hasPrev: page > 1
-            }
-        };
+        return groups
+            .map(group => {
+                const submissions = rows.filter(r => group.has(r.id));
+                return { bookingDate: submissions[0].bookingDate, submissions };
+            })
+            .sort((x, y) => x.bookingDate.localeCompare(y.bookingDate));
     }
 
+    // ===== Form Field Methods =====
+
     /**
-     * Get submission by ID
+     * Get admin-defined form fields in display order
      */
-    async getSubmissionById(id) {
-        return await this.get('SELECT * FROM submissions WHERE id = ?', [id]);
+    async getFormFields({ includeInactive = false } = {}) {
+        const rows = await this.all(
+            `SELECT * FROM form_fields ${includeInactive ? '' : 'WHERE active = 1'} ORDER BY position ASC, id ASC`
+        );
+        return rows.map(row => ({
+            ...row,
+            required: Boolean(row.required),
+            active: Boolean(row.active),
+            options: row.options ? JSON.parse(row.options) : null
+        }));
     }
 
     /**
-     * Update submission
+     * Get one form field by ID
      */
-    async updateSubmission(id, updates) {
-        // Dynamically build update query
-        const fields = [];
-        const params = [];
-
-        // Map allowed fields
-        const allowedFields = ['status', 'bookingDate', 'name', 'upiNumber', 'whatsappNumber', 'ayambilShalaName', 'city', 'email'];
-
-        for (const key of Object.keys(updates)) {
-            if (allowedFields.includes(key) && updates[key] !== undefined) {
-                let value = updates[key];
-                if (key === 'bookingDate') {
-                    value = new Date(value).toISOString().split('T')[0];
-                }
-                fields.push(`${key} = ?`);
-                params.push(value);
-            }
-        }
-
-        if (fields.length === 0) return { success: true, message: 'No changes made' };
-
-        const sql = `UPDATE submissions SET ${fields.join(', ')} WHERE id = ?`;
-        params.push(id);
-
-        const result = await this.run(sql, params);
+    async getFormFieldById(id) {
+        const fields = await this.getFormFields({ includeInactive: true });
+        return fields.find(f => f.id === id) || null;
+    }
 
-        if (result.changes === 0) {
-            throw new Error('Submission not found');
-        }
+    /**
+     * Create a form field
+     */
+    async addFormField(field) {
+        const now = new Date().toISOString();
+        const result = await this.run(
+            `INSERT INTO form_fields (key, labelGu, labelEn, type, required, options, maxLength, position, active, createdAt, updatedAt)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+            [
+                field.key, field.labelGu, field.labelEn, field.type, field.required ? 1 : 0,
+                field.options ? JSON.stringify(field.options) : null,
+                field.maxLength || null, field.position || 0, now, now
+            ]
+        );
+        return await this.getFormFieldById(result.lastID);
+    }
 
-        const updated = await this.getSubmissionById(id);
-        return {
-            success: true,
-            message: 'Submission updated successfully',
-            data: updated
+    /**
+     * Excel columns for the active form fields, plus a row mapper
+     * that spreads a submission's customFields JSON into those columns
+     */
+    async getCustomFieldExport() {
+        const fields = await this.getFormFields();
+
+        const columns = fields.map(f => ({ header: f.labelEn, key: `custom_${f.key}`, width: 20 }));
+        const toRow = (submission) => {
+            const values = submission.customFields ? JSON.parse(submission.customFields) : {};
+            const row = {};
+            fields.forEach(f => {
+                const value = values[f.key];
+                row[`custom_${f.key}`] = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value;
+            });
+            return row;
         };
+
+        return { columns, toRow };
     }
 
     /**
-     * Delete submission
+     * Update a form field (key and type cannot change once values exist)
      */
-    async deleteSubmission(id) {
-        const result = await this.run('DELETE FROM submissions WHERE id = ?', [id]);
+    async updateFormField(id, updates) {
+        const fields = [];
+        const params = [];
 
-        if (result.changes === 0) {
-            throw new Error('Submission not found');
+        for (const key of ['labelGu', 'labelEn', 'required', 'options', 'maxLength', 'position', 'active']) {
+            if (updates[key] === undefined) continue;
+
+            let value = updates[key];
+            if (key === 'required' || key === 'active') value = value ? 1 : 0;
+            if (key === 'options') value = value ? JSON.stringify(value) : null;
+
+            fields.push(`${key} = ?`);
+            params.push(value);
         }
 
-        return {
-            success: true,
-            message: 'Submission deleted successfully'
-        };
+        if (fields.length > 0) {
+            fields.push('updatedAt = ?');
+            params.push(new Date().toISOString(), id);
+            await this.run(`UPDATE form_fields SET ${fields.join(', ')} WHERE id = ?`, params);
+        }
+
+        return await this.getFormFieldById(id);
     }
 
     /**
@@ -406,27 +1838,34 @@ class DbService {
     async searchSubmissions(query) {
         const sql = `
       SELECT * FROM submissions 
-      WHERE name LIKE ? 
-      OR upiNumber LIKE ? 
-      OR whatsappNumber LIKE ? 
-      OR ayambilShalaName LIKE ? 
-      OR city LIKE ? 
-      OR id LIKE ?
+      WHERE ${NOT_DELETED_SQL} AND (
+        name LIKE ? 
+        OR upiNumber LIKE ? 
+        OR whatsappNumber LIKE ? 
+        OR ayambilShalaName LIKE ? 
+        OR city LIKE ? 
+        OR id LIKE ?
+        OR customFields LIKE ?
+      )
       ORDER BY submissionDate DESC
     `;
         const term = `%${query}%`;
-        return await this.all(sql, [term, term, term, term, term, term]);
+        return await this.all(sql, [term, term, term, term, term, term, term]);
     }
 
     /**
      * Get statistics
      */
     async getStatistics() {
-        const total = await this.get('SELECT COUNT(*) as count FROM submissions');
-        const today = await this.get("SELECT COUNT(*) as count FROM submissions WHERE date(submissionDate) = date('now')");
-        const pending = await this.get("SELECT COUNT(*) as count FROM submissions WHERE status = 'pending'");
-        const reviewed = await this.get("SELECT COUNT(*) as count FROM submissions WHERE status = 'reviewed'");
-        const archived = await this.get("SELECT COUNT(*) as count FROM submissions WHERE status = 'archived'");
+        const total = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE ${NOT_DELETED_SQL}`);
+        const today = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE date(submissionDate) = date('now') AND ${NOT_DELETED_SQL}`);
+        const pending = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE status = 'pending' AND ${NOT_DELETED_SQL}`);
+        const reviewed = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE status = 'reviewed' AND ${NOT_DELETED_SQL}`);
+        const archived = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE status = 'archived' AND ${NOT_DELETED_SQL}`);
+        const confirmed = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE status = 'confirmed' AND ${NOT_DELETED_SQL}`);
+        const rejected = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE status = 'rejected' AND ${NOT_DELETED_SQL}`);
+        const cancelled = await this.get(`SELECT COUNT(*) as count FROM submissions WHERE status = 'cancelled' AND ${NOT_DELETED_SQL}`);
+        const trashed = await this.get('SELECT COUNT(*) as count FROM submissions WHERE deletedAt IS NOT NULL');
 
         let fileSizeMB = 0;
         try {
@@ -440,6 +1879,10 @@ class DbService {
             pending: pending.count,
             reviewed: reviewed.count,
             archived: archived.count,
+            confirmed: confirmed.count,
+            rejected: rejected.count,
+            cancelled: cancelled.count,
+            trashed: trashed.count,
             fileSizeMB: parseFloat(fileSizeMB)
         };
     }
@@ -448,7 +1891,9 @@ class DbService {
      * Export submissions to Excel
      */
     async exportSubmissions(filters = {}) {
-        const submissions = await this.getAllSubmissions(filters);
+        const submissions = await this.attachParticipants(await this.attachTags(await this.getAllSubmissions(filters)));
+        const notesById = await this.getNotesBySubmission(submissions.map(s => s.id));
+        const customExport = await this.getCustomFieldExport();
 
         const workbook = new ExcelJS.Workbook();
         const worksheet = workbook.addWorksheet('Submissions Export');
@@ -462,19 +1907,35 @@ class DbService {
             { header: 'UPI Number', key: 'upiNumber', width: 15 },
             { header: 'WhatsApp Number', key: 'whatsappNumber', width: 15 },
             { header: 'Ayambil Shala Name', key: 'ayambilShalaName', width: 40 },
+            { header: 'Shala ID', key: 'shalaId', width: 10 },
             { header: 'City', key: 'city', width: 20 },
             { header: 'Status', key: 'status', width: 15 },
-            { header: 'IP Address', key: 'ipAddress', width: 20 }
+            { header: 'Series ID', key: 'seriesId', width: 25 },
+            { header: 'Seats', key: 'seats', width: 8 },
+            { header: 'Participants', key: 'participants', width: 40 },
+            { header: 'IP Address', key: 'ipAddress', width: 20 },
+            ...customExport.columns,
+            { header: 'Tags', key: 'tags', width: 25 },
+            { header: 'Notes', key: 'notes', width: 60 }
         ];
 
         worksheet.getRow(1).font = { bold: true };
 
         submissions.forEach(s => {
-            worksheet.addRow({
+            const notes = (notesById[s.id] || [])
+                .map(n => `[${n.createdAt.split('T')[0]} ${n.author}] ${n.text}`)
+                .join('\n');
+
+            const row = worksheet.addRow({
                 ...s,
+                ...customExport.toRow(s),
                 submissionDate: new Date(s.submissionDate),
-                bookingDate: new Date(s.bookingDate)
+                bookingDate: new Date(s.bookingDate),
+                tags: s.tags.join(', '),
+                participants: s.participants.join(', '),
+                notes
             });
+            row.getCell('notes').alignment = { wrapText: true, vertical: 'top' };
         });
 
         // Ensure export directory exists
@@ -499,11 +1960,11 @@ class DbService {
         const endStr = endDate.toISOString().split('T')[0];
 
         const sql = `
-      SELECT bookingDate, COUNT(*) as count 
+      SELECT bookingDate, SUM(seats) as count 
       FROM submissions 
       WHERE date(bookingDate) >= date(?) 
       AND date(bookingDate) <= date(?) 
-      AND status != 'archived'
+      AND ${ACTIVE_BOOKING_SQL}
       GROUP BY bookingDate
     `;
 
@@ -533,58 +1994,136 @@ class DbService {
         return { openDates };
     }
 
+    /**
+     * Seats taken per shala on a date, for shalas with a daily limit (their own or maxPerShalaPerDay)
+     * (remaining is capped by what is left of the global limit; held seats count as taken)
+     */
+    async getShalaCapacities(dateStr, globalRemaining, holdId = null) {
+        const { maxPerShalaPerDay } = await bookingRules.getRules();
+        const rows = await this.all(
+            `SELECT s.id AS shalaId, s.nameGu, s.nameEn, COALESCE(s.maxBookingsPerDay, ?) AS maxBookingsPerDay,
+                    (SELECT COALESCE(SUM(seats), 0) FROM submissions
+                     WHERE date(bookingDate) = date(?) AND shalaId = s.id AND ${ACTIVE_BOOKING_SQL})
+                    + (SELECT COALESCE(SUM(seats), 0) FROM seat_holds
+                     WHERE bookingDate = ? AND shalaId = s.id AND expiresAt > ? AND id != ?) AS count
+             FROM shalas s
+             WHERE s.active = 1 AND COALESCE(s.maxBookingsPerDay, ?) IS NOT NULL
+             ORDER BY s.nameEn ASC`,
+            [maxPerShalaPerDay, dateStr, dateStr, new Date().toISOString(), holdId || 0, maxPerShalaPerDay]
+        );
+
+        return rows.map(row => ({
+            ...row,
+            remaining: Math.max(0, Math.min(row.maxBookingsPerDay - row.count, globalRemaining))
+        }));
+    }
+
     /**
      * Check date availability
+     * status is coming_soon (not released yet), open, full or closed (closed by an admin).
+     * With a shalaId, available / remaining also respect that shala's daily limit.
+     * count includes seats held by devotees filling the form, except the hold holdId.
      */
-    async isDateAvailable(date) {
+    async isDateAvailable(date, shalaId = null, holdId = null) {
         const dateStr = new Date(date).toISOString().split('T')[0];
 
         // Check if open in allowed list
-        const availRow = await this.get('SELECT status FROM calendar_availability WHERE date = ?', [dateStr]);
-        if (!availRow || availRow.status !== 'open') {
+        const availRow = await this.get(
+            'SELECT status, capacity, label, noteGu, noteEn FROM calendar_availability WHERE date = ?',
+            [dateStr]
+        );
+        if (!availRow) {
+            return {
+                available: false,
+                count: 0,
+                maxBookings: 0,
+                remaining: 0,
+                status: 'coming_soon',
+                opensAt: await this.getReleaseTime(dateStr),
+                shalas: []
+            };
+        }
+
+        const notes = { noteGu: availRow.noteGu || null, noteEn: availRow.noteEn || null };
+
+        if (availRow.status !== 'open') {
             return {
                 available: false,
                 count: 0,
                 maxBookings: 0,
                 remaining: 0,
-                status: 'closed' // or coming_soon
+                status: 'closed',
+                ...notes,
+                shalas: []
             };
         }
 
         const row = await this.get(
-            `SELECT COUNT(*) as count FROM submissions WHERE date(bookingDate) = date(?) AND status != 'archived'`,
+            `SELECT COALESCE(SUM(seats), 0) as count FROM submissions WHERE date(bookingDate) = date(?) AND ${ACTIVE_BOOKING_SQL}`,
             [dateStr]
         );
 
-        const count = row ? row.count : 0;
-        const maxBookingsStr = await this.getSetting('max_bookings_per_day', '3');
-        const maxBookings = parseInt(maxBookingsStr, 10);
+        const held = await this.getHeldSeats(dateStr, { excludeHoldId: holdId });
+        const count = (row ? row.count : 0) + held;
+        const maxBookings = availRow.capacity !== null
+            ? availRow.capacity
+            : parseInt(await this.getSetting('max_bookings_per_day', '3'), 10);
+        const remaining = Math.max(0, maxBookings - count);
+        const label = availRow.label || null;
+        const status = remaining > 0 ? 'open' : 'full';
+
+        const shalas = await this.getShalaCapacities(dateStr, remaining, holdId);
+        const shala = shalaId ? shalas.find(s => s.shalaId === Number(shalaId)) : null;
+
+        if (shala) {
+            return {
+                available: shala.remaining > 0,
+                count,
+                maxBookings,
+                remaining: shala.remaining,
+                held,
+                status,
+                label,
+                ...notes,
+                shala,
+                shalas
+            };
+        }
 
         return {
             available: count < maxBookings,
             count,
             maxBookings,
-            remaining: maxBookings - count,
-            status: 'open'
+            remaining,
+            held,
+            status,
+            label,
+            ...notes,
+            shalas
         };
     }
 
     /**
      * Get next available date
+     * With a shalaId, the date must also have room at that shala.
      */
-    async getNextAvailableDate(startDate, maxDaysToSearch = 90) {
+    async getNextAvailableDate(startDate, maxDaysToSearch = 90, seats = 1, shalaId = null) {
         const start = new Date(startDate);
         const maxBookingsStr = await this.getSetting('max_bookings_per_day', '3');
         const maxBookings = parseInt(maxBookingsStr, 10);
 
+        const shalaLimit = shalaId ? await this.getShalaDailyLimit(shalaId) : null;
+
         // Get all open dates in range upfront to avoid N queries
         const endSearchDate = new Date(start);
         endSearchDate.setDate(endSearchDate.getDate() + maxDaysToSearch);
+        // Lottery dates are not booked directly
         const openRows = await this.all(
-            `SELECT date FROM calendar_availability WHERE date >= ? AND date <= ? AND status = 'open'`,
+            `SELECT date, capacity FROM calendar_availability WHERE date >= ? AND date <= ? AND status = 'open'
+             AND date NOT IN (SELECT bookingDate FROM lotteries WHERE status = 'open')`,
             [start.toISOString().split('T')[0], endSearchDate.toISOString().split('T')[0]]
         );
-        const openDateSet = new Set(openRows.map(r => r.date));
+        const openDates = new Map(openRows.map(r => [r.date, r.capacity !== null ? r.capacity : maxBookings]));
 
         for (let i = 0; i < maxDaysToSearch; i++) {
             const checkDate = new Date(start);
@@ -592,20 +2131,30 @@ class DbService {
             const checkDateStr = checkDate.toISOString().split('T')[0];
 
             // Must be in open dates
-            if (!openDateSet.has(checkDateStr)) continue;
+            if (!openDates.has(checkDateStr)) continue;
 
             const row = await this.get(
-                `SELECT COUNT(*) as count FROM submissions WHERE date(bookingDate) = date(?) AND status != 'archived'`,
+                `SELECT COALESCE(SUM(seats), 0) as count FROM submissions WHERE date(bookingDate) = date(?) AND ${ACTIVE_BOOKING_SQL}`,
                 [checkDateStr]
             );
 
-            const count = row ? row.count : 0;
+            const count = (row ? row.count : 0) + await this.getHeldSeats(checkDateStr);
+            let remaining = openDates.get(checkDateStr) - count;
 
-            if (count < maxBookings) {
+            if (shalaLimit !== null && remaining >= seats) {
+                const shalaRow = await this.get(
+                    `SELECT COALESCE(SUM(seats), 0) as count FROM submissions WHERE date(bookingDate) = date(?) AND shalaId = ? AND ${ACTIVE_BOOKING_SQL}`,
+                    [checkDateStr, shalaId]
+                );
+                const shalaHeld = await this.getHeldSeats(checkDateStr, { shalaId });
+                remaining = Math.min(remaining, shalaLimit - shalaRow.count - shalaHeld);
+            }
+
+            if (seats <= remaining) {
                 return {
                     date: checkDateStr,
                     count: count,
-                    remaining: maxBookings - count
+                    remaining
                 };
             }
         }
@@ -613,37 +2162,105 @@ class DbService {
     }
 
     /**
-     * Validate booking date
+     * Validate booking date against the booking rules, then the date's availability
+     * (holdId: the devotee's own seat hold, which does not count against them;
+     * person: { upiNumber, whatsappNumber } to include the per-person rules;
+     * excludeId: a booking being moved, which does not count against its person)
      */
-    async validateBookingDate(bookingDate) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+    async validateBookingDate(bookingDate, seats = 1, shalaId = null, holdId = null, person = {}, excludeId = null) {
         const targetDate = new Date(bookingDate);
         targetDate.setHours(0, 0, 0, 0);
 
-        if (targetDate < today) {
+        // Every violated rule at once; reason is the first ('past', 'minDaysInAdvance', ...)
+        const violations = await bookingRules.evaluate(new Date(bookingDate).toISOString().split('T')[0], person, { excludeId });
+        if (violations.length > 0) {
+            return {
+                valid: false,
+                reason: violations[0].rule,
+                error: violations.map(v => v.message).join('. '),
+                errorGu: violations.map(v => v.messageGu).join('. '),
+                violations
+            };
+        }
+
+        const lottery = await this.getOpenLottery(new Date(bookingDate).toISOString().split('T')[0]);
+        if (lottery) {
             return {
                 valid: false,
-                error: 'Past dates cannot be booked',
-                errorGu: 'પાછલી તારીખો બુક કરી શકાતી નથી'
+                reason: 'lottery',
+                error: `Seats on this date are allocated by lottery. Applications close on ${formatIst(lottery.closesAt)} IST`,
+                errorGu: `આ તારીખની બેઠકો લોટરીથી ફાળવવામાં આવશે. અરજી ${formatIst(lottery.closesAt)} (IST) સુધી કરી શકાશે`,
+                lottery: { id: lottery.id, opensAt: lottery.opensAt, closesAt: lottery.closesAt }
             };
         }
 
-        const availability = await this.isDateAvailable(bookingDate);
+        const availability = await this.isDateAvailable(bookingDate, shalaId, holdId);
 
-        if (!availability.available) {
-            // If closed, custom message
-            if (availability.status === 'closed') {
+        if (!availability.available || availability.remaining < seats) {
+            // Not released yet - tell the devotee exactly when it opens
+            if (availability.status === 'coming_soon' && availability.opensAt) {
+                return {
+                    valid: false,
+                    reason: 'coming_soon',
+                    error: `Booking for this date opens on ${formatIst(availability.opensAt)} IST`,
+                    errorGu: `આ તારીખ માટે બુકિંગ ${formatIst(availability.opensAt)} (IST) વાગ્યે શરૂ થશે`,
+                    opensAt: availability.opensAt
+                };
+            }
+
+            if (availability.status === 'coming_soon') {
                 return {
                     valid: false,
+                    reason: 'coming_soon',
                     error: 'Booking is not yet open for this date',
                     errorGu: 'આ તારીખ માટે બુકિંગ હજી શરૂ નથી થયું'
                 };
             }
 
-            const nextDate = await this.getNextAvailableDate(targetDate);
+            // Closed by an admin, with the public note when there is one
+            if (availability.status === 'closed') {
+                return {
+                    valid: false,
+                    reason: 'closed',
+                    error: availability.noteEn
+                        ? `This date is closed for booking: ${availability.noteEn}`
+                        : 'This date is closed for booking',
+                    errorGu: availability.noteGu
+                        ? `આ તારીખ બુકિંગ માટે બંધ છે: ${availability.noteGu}`
+                        : 'આ તારીખ બુકિંગ માટે બંધ છે',
+                    noteGu: availability.noteGu,
+                    noteEn: availability.noteEn
+                };
+            }
+
+            const nextDate = await this.getNextAvailableDate(targetDate, 90, seats, shalaId);
+
+            // Room on the date, but not at this shala
+            if (availability.shala && availability.count + seats <= availability.maxBookings) {
+                return {
+                    valid: false,
+                    reason: 'full',
+                    error: `This Ayambil Shala has ${availability.shala.remaining} of ${availability.shala.maxBookingsPerDay} places left on this date`,
+                    errorGu: `આ તારીખે આયંબિલ શાળામાં ${availability.shala.maxBookingsPerDay} માંથી ${availability.shala.remaining} જગ્યા બાકી છે`,
+                    currentCount: availability.shala.count,
+                    nextAvailableDate: nextDate
+                };
+            }
+
+            if (availability.available) {
+                return {
+                    valid: false,
+                    reason: 'full',
+                    error: `This date has ${availability.remaining} of the ${seats} places your group needs`,
+                    errorGu: `આ તારીખે ફક્ત ${availability.remaining} જગ્યા બાકી છે (${seats} વ્યક્તિઓનું જૂથ)`,
+                    currentCount: availability.count,
+                    nextAvailableDate: nextDate
+                };
+            }
+
             return {
                 valid: false,
+                reason: 'full',
                 error: `This date is fully booked (${availability.count}/${availability.maxBookings} bookings)`,
                 errorGu: `આ તારીખ સંપૂર્ણ બુક છે (${availability.count}/${availability.maxBookings} બુકિંગ)`,
                 currentCount: availability.count,
@@ -658,6 +2275,109 @@ class DbService {
         };
     }
 
+    // ===== Waitlist Methods =====
+
+    /**
+     * Add a queued request for a fully booked date
+     * (createdAt sets the queue position, e.g. lottery draw order)
+     */
+    async addWaitlistEntry(data, { createdAt = new Date().toISOString() } = {}) {
+        const bookingDateStr = new Date(data.bookingDate).toISOString().split('T')[0];
+
+        const existing = await this.get(
+            `SELECT id FROM waitlist WHERE bookingDate = ? AND status = 'waiting'
+             AND (upiNumber = ? OR whatsappNumber = ?)`,
+            [bookingDateStr, data.upiNumber, data.whatsappNumber]
+        );
+        if (existing) {
+            throw createHttpError(HTTP.CONFLICT, 'Already on the waitlist for this date', 'તમે પહેલેથી જ આ તારીખની પ્રતીક્ષા યાદીમાં છો');
+        }
+
+        const id = crypto.randomUUID();
+
+        await this.run(
+            `INSERT INTO waitlist (
+                id, bookingDate, name, upiNumber, whatsappNumber,
+                ayambilShalaName, city, email, status, ipAddress, createdAt, customFields, shalaId,
+                seats, participants
+             ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'waiting', ?, ?, ?, ?, ?, ?)`,
+            [
+                id, bookingDateStr, data.name, data.upiNumber, data.whatsappNumber,
+                data.ayambilShalaName, data.city, data.email || null, data.ipAddress || '', createdAt,
+                customFieldsJson(data.customFields), data.shalaId || null,
+                seatsFor(data), data.participants && data.participants.length > 0 ? JSON.stringify(data.participants) : null
+            ]
+        );
+
+        const positionRow = await this.get(
+            `SELECT COUNT(*) as count FROM waitlist WHERE bookingDate = ? AND status = 'waiting' AND createdAt <= ?`,
+            [bookingDateStr, createdAt]
+        );
+
+        return {
+            success: true,
+            id,
+            position: positionRow.count,
+            message: 'તમને પ્રતીક્ષા યાદીમાં ઉમેરવામાં આવ્યા છે',
+            data: { bookingDate: bookingDateStr, status: 'waiting', seats: seatsFor(data), createdAt }
+        };
+    }
+
+    /**
+     * Get waitlist entries for a date (oldest first)
+     */
+    async getWaitlistByDate(date) {
+        return await this.all(
+            `SELECT * FROM waitlist WHERE bookingDate = ? ORDER BY createdAt ASC`,
+            [date]
+        );
+    }
+
+    /**
+     * Get number of waiting entries per date
+     */
+    async getWaitlistSummary() {
+        return await this.all(
+            `SELECT bookingDate, COUNT(*) as waiting FROM waitlist
+             WHERE status = 'waiting' GROUP BY bookingDate ORDER BY bookingDate ASC`
+        );
+    }
+
+    /**
+     * Get the oldest waiting entry for a date
+     * (excludeIds skips entries that cannot be promoted right now)
+     */
+    async getNextWaitlistEntry(date, excludeIds = []) {
+        const placeholders = excludeIds.map(() => '?').join(', ');
+        return await this.get(
+            `SELECT * FROM waitlist WHERE bookingDate = ? AND status = 'waiting'
+             ${excludeIds.length > 0 ? `AND id NOT IN (${placeholders})` : ''}
+             ORDER BY createdAt ASC LIMIT 1`,
+            [date, ...excludeIds]
+        );
+    }
+
+    /**
+     * Get dates from the given day onwards that still have waiting entries
+     */
+    async getWaitlistedDates(fromDate) {
+        const rows = await this.all(
+            `SELECT DISTINCT bookingDate FROM waitlist WHERE status = 'waiting' AND bookingDate >= ? ORDER BY bookingDate ASC`,
+            [fromDate]
+        );
+        return rows.map(r => r.bookingDate);
+    }
+
+    /**
+     * Mark a waitlist entry as promoted or skipped
+     */
+    async setWaitlistEntryStatus(id, status, submissionId = null) {
+        await this.run(
+            `UPDATE waitlist SET status = ?, submissionId = ?, promotedAt = ? WHERE id = ?`,
+            [status, submissionId, status === 'promoted' ? new Date().toISOString() : null, id]
+        );
+    }
+
     // ===== Anumodana Images Methods =====
 
     async addAnumodanaImage(data) {
@@ -690,22 +2410,244 @@ class DbService {
 
     // ===== Calendar Management Methods =====
 
-    async setCalendarDateStatus(date, status) {
-        if (status === 'open') {
-            await this.run(`INSERT OR REPLACE INTO calendar_availability (date, status) VALUES (?, ?)`, [date, 'open']);
-        } else {
+    /**
+     * Open or close a date. For open dates, capacity / label are only changed
+     * when given (null clears them back to the global limit / no label).
+     * A date set by hand is detached from the calendar rule that opened it.
+     */
+    async setCalendarDateStatus(date, status, { capacity, label, noteGu, noteEn } = {}) {
+        if (status === 'coming_soon') {
             await this.run(`DELETE FROM calendar_availability WHERE date = ?`, [date]);
+            liveAvailability.notify([date]);
+            return { date, status };
         }
-        return { date, status };
+
+        // Notes describe the current status, so they are cleared on a status change unless given
+        const noteSql = (column, value) => value !== undefined
+            ? `, ${column} = excluded.${column}`
+            : `, ${column} = CASE WHEN calendar_availability.status = excluded.status THEN calendar_availability.${column} END`;
+
+        await this.run(
+            `INSERT INTO calendar_availability (date, status, capacity, label, noteGu, noteEn) VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(date) DO UPDATE SET status = excluded.status, ruleId = NULL
+             ${capacity !== undefined ? ', capacity = excluded.capacity' : ''}
+             ${label !== undefined ? ', label = excluded.label' : ''}
+             ${noteSql('noteGu', noteGu)}
+             ${noteSql('noteEn', noteEn)}`,
+            [date, status, capacity ?? null, label ?? null, noteGu ?? null, noteEn ?? null]
+        );
+        liveAvailability.notify([date]);
+        return await this.getCalendarDate(date);
+    }
+
+    async getCalendarDate(date) {
+        return await this.get(
+            `SELECT date, status, capacity, label, noteGu, noteEn, ruleId FROM calendar_availability WHERE date = ?`,
+            [date]
+        );
     }
 
     async getCalendarSettings(startDate, endDate) {
         const rows = await this.all(
-            `SELECT date, status FROM calendar_availability WHERE date >= ? AND date <= ?`,
+            `SELECT date, status, capacity, label, noteGu, noteEn, ruleId FROM calendar_availability WHERE date >= ? AND date <= ?`,
             [startDate, endDate]
         );
         return rows;
     }
+
+    /**
+     * Close a date (or set it back to coming_soon) that may still hold active bookings (all or nothing).
+     * policy 'block' refuses while bookings exist, 'move' moves them to moveTo,
+     * 'cancel' cancels them. dryRun only returns the plan.
+     *
+     * @returns {Promise<Object>} { date, policy, affected, target, moved, cancelled }
+     */
+    async closeCalendarDate(date, {
+        status = 'closed', noteGu, noteEn, policy = 'block', moveTo = null, reason = null, actor = 'admin'
+    } = {}, { dryRun = false } = {}) {
+        if (policy === 'move' && (!moveTo || moveTo === date)) {
+            throw createHttpError(HTTP.BAD_REQUEST, 'moveTo must be another date when moving bookings');
+        }
+
+        const plan = async () => {
+            const affected = await this.all(
+                `SELECT * FROM submissions WHERE date(bookingDate) = date(?) AND ${ACTIVE_BOOKING_SQL}
+                 ORDER BY submissionDate ASC`,
+                [date]
+            );
+            const target = policy === 'move' && affected.length > 0
+                ? await this.getMoveTarget(moveTo, affected)
+                : null;
+            return { date, status, policy, affected, target };
+        };
+
+        if (dryRun) {
+            return await plan();
+        }
+
+        return await this.transaction(async () => {
+            const result = { ...await plan(), moved: [], cancelled: [] };
+
+            if (result.affected.length > 0 && policy === 'block') {
+                const error = createHttpError(
+                    HTTP.CONFLICT,
+                    `Date has ${result.affected.length} active bookings. Move or cancel them to close it.`
+                );
+                error.affected = result.affected;
+                throw error;
+            }
+
+            if (result.target && !result.target.fits) {
+                throw createHttpError(HTTP.CONFLICT, `Bookings cannot be moved to ${moveTo}: ${result.target.problem}`);
+            }
+
+            for (const row of result.affected) {
+                if (policy === 'move') {
+                    const after = await this.applySubmissionUpdate(row, { bookingDate: moveTo }, { changedBy: actor, reason });
+                    result.moved.push({ id: row.id, before: row, after });
+                } else {
+                    const after = await this.applySubmissionUpdate(row, { status: 'cancelled' }, { changedBy: actor, reason });
+                    result.cancelled.push({ id: row.id, before: row, after });
+                }
+            }
+
+            await this.setCalendarDateStatus(date, status, { noteGu, noteEn });
+            return result;
+        });
+    }
+
+    /**
+     * Check that a date can take all bookings moved off a closing date
+     * (open, no lottery pending, room on the date and at each booking's shala)
+     * @returns {Promise<Object>} { date, capacity, remaining, needed, fits, problem }
+     */
+    async getMoveTarget(moveTo, bookings) {
+        const needed = bookings.reduce((sum, row) => sum + row.seats, 0);
+        const availability = await this.isDateAvailable(moveTo);
+
+        const neededByShala = {};
+        bookings.filter(row => row.shalaId).forEach(row => {
+            neededByShala[row.shalaId] = (neededByShala[row.shalaId] || 0) + row.seats;
+        });
+        const fullShala = availability.shalas.find(shala => neededByShala[shala.shalaId] > shala.remaining);
+
+        let problem = null;
+        if (moveTo < todayIst()) {
+            problem = 'date is in the past';
+        } else if (await this.getOpenLottery(moveTo)) {
+            problem = 'date is allocated by lottery';
+        } else if (!['open', 'full'].includes(availability.status)) {
+            problem = 'date is not open for booking';
+        } else if (availability.remaining < needed) {
+            problem = `only ${availability.remaining} of ${needed} places free`;
+        } else if (fullShala) {
+            problem = `only ${fullShala.remaining} of ${neededByShala[fullShala.shalaId]} places free at ${fullShala.nameEn}`;
+        }
+
+        return {
+            date: moveTo,
+            capacity: availability.maxBookings,
+            remaining: availability.remaining,
+            needed,
+            fits: !problem,
+            problem
+        };
+    }
+
+    /**
+     * Active bookings on any of the given dates (to show what closing them affects)
+     */
+    async getActiveBookingsOnDates(dates) {
+        if (dates.length === 0) return [];
+
+        return await this.all(
+            `SELECT id, name, whatsappNumber, bookingDate, seats, status FROM submissions
+             WHERE date(bookingDate) IN (${dates.map(() => '?').join(', ')}) AND ${ACTIVE_BOOKING_SQL}
+             ORDER BY bookingDate ASC, submissionDate ASC`,
+            dates
+        );
+    }
+
+    /**
+     * Per-date capacity overrides in a range ({ 'YYYY-MM-DD': capacity })
+     */
+    async getCapacityOverrides(startDate, endDate) {
+        const rows = await this.all(
+            `SELECT date, capacity FROM calendar_availability
+             WHERE date >= ? AND date <= ? AND status = 'open' AND capacity IS NOT NULL`,
+            [startDate, endDate]
+        );
+
+        const capacities = {};
+        rows.forEach(row => {
+            capacities[row.date] = row.capacity;
+        });
+        return capacities;
+    }
+
+    /**
+     * Public availability for every date in a range, in one query.
+     * status is coming_soon, open, full or closed (as in isDateAvailable);
+     * held seats (devotees still filling the form) are not remaining;
+     * bookable means a devotee can book the date right now.
+     */
+    async getAvailabilityRange(startDate, endDate) {
+        const rows = await this.all(
+            `WITH RECURSIVE days(date) AS (
+                SELECT date(?)
+                UNION ALL
+                SELECT date(date, '+1 day') FROM days WHERE date < date(?)
+             ),
+             booked AS (
+                SELECT date(bookingDate) AS date, SUM(seats) AS count FROM submissions
+                WHERE date(bookingDate) >= date(?) AND date(bookingDate) <= date(?) AND ${ACTIVE_BOOKING_SQL}
+                GROUP BY date(bookingDate)
+             ),
+             held AS (
+                SELECT bookingDate AS date, SUM(seats) AS count FROM seat_holds
+                WHERE bookingDate >= ? AND bookingDate <= ? AND expiresAt > ?
+                GROUP BY bookingDate
+             )
+             SELECT d.date, ca.status AS calendarStatus, ca.label, ca.noteGu, ca.noteEn,
+                    COALESCE(ca.capacity, (SELECT CAST(value AS INTEGER) FROM settings WHERE key = 'max_bookings_per_day'), ?) AS capacity,
+                    COALESCE(b.count, 0) AS booked,
+                    COALESCE(h.count, 0) AS held,
+                    l.id AS lotteryId, l.opensAt AS lotteryOpensAt, l.closesAt AS lotteryClosesAt,
+                    d.date < ? AS past
+             FROM days d
+             LEFT JOIN calendar_availability ca ON ca.date = d.date
+             LEFT JOIN booked b ON b.date = d.date
+             LEFT JOIN held h ON h.date = d.date
+             LEFT JOIN lotteries l ON l.bookingDate = d.date AND l.status = 'open'
+             ORDER BY d.date ASC`,
+            [startDate, endDate, startDate, endDate, startDate, endDate, new Date().toISOString(), BOOKING.DEFAULT_MAX_PER_DAY, todayIst()]
+        );
+
+        return rows.map(row => {
+            const open = row.calendarStatus === 'open';
+            const remaining = open ? Math.max(0, row.capacity - row.booked - row.held) : 0;
+            let status = 'coming_soon';
+            if (row.calendarStatus === 'closed') status = 'closed';
+            else if (open) status = remaining > 0 ? 'open' : 'full';
+
+            return {
+                date: row.date,
+                status,
+                label: row.label || null,
+                noteGu: row.noteGu || null,
+                noteEn: row.noteEn || null,
+                capacity: open ? row.capacity : 0,
+                booked: row.booked,
+                held: row.held,
+                remaining,
+                // Seats of a lottery date go to its draw; devotees apply instead
+                lottery: row.lotteryId
+                    ? { id: row.lotteryId, opensAt: row.lotteryOpensAt, closesAt: row.lotteryClosesAt }
+                    : null,
+                bookable: status === 'open' && !row.past && !row.lotteryId
+            };
+        });
+    }
 }
 
 module.exports = new DbService();
@@ -155,6 +155,14 @@ class EmailService {
       Submission ID: ${data.id}
     </div>
 
+    ${data.manageToken ? `
+    <div class="details">
+      <p><strong>મેનેજ ટોકન / Manage Token:</strong> <code>${data.manageToken}</code></p>
+      <p>આ ટોકનથી તમે તમારું બુકિંગ રદ કરી શકો છો અથવા તારીખ બદલી શકો છો. તે કોઈની સાથે શેર કરશો નહીં.<br>
+      Use this token to cancel or reschedule your booking. Do not share it with anyone.</p>
+    </div>
+    ` : ''}
+
     <div class="details">
       <h3>તમારી વિગતો / Your Details:</h3>
 
@@ -166,6 +174,12 @@ class EmailService {
         <span class="detail-label">મોબાઇલ / Mobile:</span> ${data.mobile}
       </div>
 
+      ${data.participants && data.participants.length > 0 ? `
+      <div class="detail-row">
+        <span class="detail-label">સહભાગીઓ / Participants:</span> ${data.participants.join(', ')}
+      </div>
+      ` : ''}
+
       ${data.email ? `
       <div class="detail-row">
         <span class="detail-label">ઈમેલ / Email:</span> ${data.email}
@@ -200,6 +214,223 @@ class EmailService {
     `.trim();
   }
 
+  /**
+   * Send series booking confirmation email (one email for all booked dates)
+   *
+   * @param {Object} data - Devotee data with seriesId, manageToken and bookedDates
+   * @returns {Promise<Object>} Send result
+   */
+  async sendSeriesConfirmation(data) {
+    if (!this.enabled || !data.email) {
+      return {
+        success: false,
+        message: 'Email service is disabled or no email provided'
+      };
+    }
+
+    try {
+      const dateList = data.bookedDates
+        .map(b => `<li>${b.bookingDate} - ${b.id}</li>`)
+        .join('');
+
+      const mailOptions = {
+        from: emailConfig.from,
+        to: data.email,
+        subject: emailConfig.templates.series.gujaratiSubject,
+        html: `
+          <h2>🙏 વિહાર રક્ષા તપ</h2>
+          <p>તમારી શ્રેણી બુકિંગ સફળતાપૂર્વક સબમિટ થઈ છે.</p>
+          <p>Your series booking has been received.</p>
+          <p><strong>Series ID:</strong> ${data.seriesId}</p>
+          <p><strong>નામ / Name:</strong> ${data.name}</p>
+          <p><strong>આયંબિલ શાળા / Ayambil Shala:</strong> ${data.ayambilShalaName}</p>
+          <p><strong>બુકિંગ તારીખો / Booking Dates:</strong></p>
+          <ul>${dateList}</ul>
+          ${data.manageToken ? `<p><strong>મેનેજ ટોકન / Manage Token:</strong> <code>${data.manageToken}</code><br>
+          Use this token with any of the submission IDs above to cancel or reschedule that date. Do not share it with anyone.</p>` : ''}
+          <p>જય જિનેન્દ્ર! 🙏</p>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('Series confirmation email failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Send waitlist promotion email
+   *
+   * @param {Object} data - Promoted waitlist entry with new submission ID
+   * @returns {Promise<Object>} Send result
+   */
+  async sendWaitlistPromotion(data) {
+    if (!this.enabled || !data.email) {
+      return {
+        success: false,
+        message: 'Email service is disabled or no email provided'
+      };
+    }
+
+    try {
+      const mailOptions = {
+        from: emailConfig.from,
+        to: data.email,
+        subject: emailConfig.templates.waitlistPromotion.gujaratiSubject,
+        html: `
+          <h2>🙏 વિહાર રક્ષા તપ</h2>
+          <p>પ્રતીક્ષા યાદીમાંથી તમારું બુકિંગ થઈ ગયું છે!</p>
+          <p>A slot opened up and your waitlisted request has been booked.</p>
+          <p><strong>Submission ID:</strong> ${data.id}</p>
+          <p><strong>નામ / Name:</strong> ${data.name}</p>
+          <p><strong>બુકિંગ તારીખ / Booking Date:</strong> ${data.bookingDate}</p>
+          <p><strong>આયંબિલ શાળા / Ayambil Shala:</strong> ${data.ayambilShalaName}</p>
+          ${data.manageToken ? `<p><strong>મેનેજ ટોકન / Manage Token:</strong> <code>${data.manageToken}</code><br>
+          Use this token to cancel or reschedule your booking. Do not share it with anyone.</p>` : ''}
+          <p>જય જિનેન્દ્ર! 🙏</p>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('Waitlist promotion email failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Tell a devotee their booking date was closed and the booking moved or cancelled
+   *
+   * @param {Object} data - Submission with bookingDate (closed date), newBookingDate (null when cancelled) and reason
+   * @returns {Promise<Object>} Send result
+   */
+  async sendDateClosedNotice(data) {
+    if (!this.enabled || !data.email) {
+      return {
+        success: false,
+        message: 'Email service is disabled or no email provided'
+      };
+    }
+
+    try {
+      const outcome = data.newBookingDate
+        ? `<p>તમારું બુકિંગ <strong>${data.newBookingDate}</strong> પર ખસેડવામાં આવ્યું છે.</p>
+          <p>Your booking has been moved to <strong>${data.newBookingDate}</strong>.</p>`
+        : `<p>તમારું બુકિંગ રદ કરવામાં આવ્યું છે.</p>
+          <p>Your booking has been cancelled.</p>`;
+
+      const mailOptions = {
+        from: emailConfig.from,
+        to: data.email,
+        subject: emailConfig.templates.dateClosed.gujaratiSubject,
+        html: `
+          <h2>🙏 વિહાર રક્ષા તપ</h2>
+          <p>${data.bookingDate} ની તારીખ બુકિંગ માટે બંધ કરવામાં આવી છે.</p>
+          <p>The date ${data.bookingDate} has been closed for booking.</p>
+          ${outcome}
+          ${data.reason ? `<p><strong>કારણ / Reason:</strong> ${data.reason}</p>` : ''}
+          <p><strong>Submission ID:</strong> ${data.id}</p>
+          <p><strong>નામ / Name:</strong> ${data.name}</p>
+          <p><strong>આયંબિલ શાળા / Ayambil Shala:</strong> ${data.ayambilShalaName}</p>
+          <p>અસુવિધા બદલ ક્ષમા. જય જિનેન્દ્ર! 🙏</p>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('Date closed email failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Tell a lottery applicant the outcome of the draw
+   *
+   * @param {Object} data - Entry with status (won, waitlisted, ineligible), drawRank, lotteryId and
+   *   submissionId + manageToken (won), position (waitlisted) or reason (ineligible)
+   * @returns {Promise<Object>} Send result
+   */
+  async sendLotteryResult(data) {
+    if (!this.enabled || !data.email) {
+      return {
+        success: false,
+        message: 'Email service is disabled or no email provided'
+      };
+    }
+
+    try {
+      let outcome;
+      if (data.status === 'won') {
+        outcome = `<p>અભિનંદન! લોટરીમાં તમારું બુકિંગ થઈ ગયું છે.</p>
+          <p>Congratulations! You were drawn and your booking is made.</p>
+          <p><strong>Submission ID:</strong> ${data.submissionId}</p>
+          ${data.manageToken ? `<p><strong>મેનેજ ટોકન / Manage Token:</strong> <code>${data.manageToken}</code><br>
+          Use this token to cancel or reschedule your booking. Do not share it with anyone.</p>` : ''}`;
+      } else if (data.status === 'waitlisted') {
+        outcome = `<p>આ વખતે જગ્યા મળી નથી. તમને પ્રતીક્ષા યાદીમાં ક્રમ ${data.position} પર રાખવામાં આવ્યા છે.</p>
+          <p>You were not drawn for a seat this time. You are number ${data.position} on the waitlist and will be booked automatically if a seat frees up.</p>`;
+      } else {
+        outcome = `<p>તમારી અરજી બુકિંગ નિયમો મુજબ માન્ય ન હતી.</p>
+          <p>Your application could not be booked under the booking rules.</p>
+          ${data.reason ? `<p><strong>કારણ / Reason:</strong> ${data.reason}</p>` : ''}`;
+      }
+
+      const mailOptions = {
+        from: emailConfig.from,
+        to: data.email,
+        subject: emailConfig.templates.lotteryResult.gujaratiSubject,
+        html: `
+          <h2>🙏 વિહાર રક્ષા તપ</h2>
+          <p>${data.bookingDate} ની લોટરીનો ડ્રો થઈ ગયો છે.</p>
+          <p>The lottery for ${data.bookingDate} has been drawn.</p>
+          ${outcome}
+          <p><strong>નામ / Name:</strong> ${data.name}</p>
+          <p><strong>અરજી ID / Entry ID:</strong> ${data.id} (ડ્રો ક્રમ / draw rank ${data.drawRank})</p>
+          <p>The full ranking and seed are published at /api/calendar/lotteries/${data.lotteryId}/result so anyone can check the draw.</p>
+          <p>જય જિનેન્દ્ર! 🙏</p>
+        `
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      console.error('Lottery result email failed:', error.message);
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+  }
+
   /**
    * Send admin notification email
    *
@@ -0,0 +1,89 @@
+const dbService = require('./db.service');
+const { isValidDateFormat, sanitizeInput } = require('../utils/helpers');
+const { FORM_FIELD_DEFAULT_MAX_LENGTH } = require('../config/constants');
+
+class FormFieldService {
+  /**
+   * Validate and clean submitted values against the active form fields.
+   * Unknown keys are dropped; strings are trimmed and sanitized.
+   *
+   * @param {Object} input - Raw customFields object from the request body
+   * @param {Object} [options] - { partial: true } skips required checks for missing keys (admin edits)
+   * @returns {Promise<Object>} { values, errors: [{ field, message }] }
+   */
+  async validateValues(input, { partial = false } = {}) {
+    const fields = await dbService.getFormFields();
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const values = {};
+    const errors = [];
+
+    for (const field of fields) {
+      const label = `${field.labelGu} (${field.labelEn})`;
+      const raw = source[field.key];
+      const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+      if (missing) {
+        if (partial && raw === null) values[field.key] = null; // explicit clear
+        if (field.required && !(partial && raw === undefined)) {
+          errors.push({
+            field: `customFields.${field.key}`,
+            message: `${field.labelGu} જરૂરી છે (${field.labelEn} is required)`
+          });
+        }
+        continue;
+      }
+
+      const result = this.validateValue(field, raw);
+      if (result.error) {
+        errors.push({ field: `customFields.${field.key}`, message: `${label}: ${result.error}` });
+      } else {
+        values[field.key] = result.value;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  /**
+   * Validate one value for its field type
+   * @returns {Object} { value } or { error }
+   */
+  validateValue(field, raw) {
+    switch (field.type) {
+      case 'number': {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isFinite(value)) return { error: 'માન્ય સંખ્યા દાખલ કરો (Enter a valid number)' };
+        return { value };
+      }
+
+      case 'checkbox': {
+        if (typeof raw !== 'boolean') return { error: 'હા અથવા ના પસંદ કરો (Must be true or false)' };
+        if (field.required && raw !== true) return { error: 'આ પસંદ કરવું જરૂરી છે (Must be checked)' };
+        return { value: raw };
+      }
+
+      case 'date': {
+        if (!isValidDateFormat(raw)) return { error: 'માન્ય તારીખ દાખલ કરો (Enter valid date, YYYY-MM-DD)' };
+        return { value: raw };
+      }
+
+      case 'select': {
+        const options = (field.options || []).map(o => o.value);
+        if (!options.includes(raw)) return { error: 'માન્ય વિકલ્પ પસંદ કરો (Select a valid option)' };
+        return { value: raw };
+      }
+
+      default: {
+        if (typeof raw !== 'string') return { error: 'લખાણ દાખલ કરો (Must be text)' };
+        const maxLength = field.maxLength || FORM_FIELD_DEFAULT_MAX_LENGTH[field.type] || 200;
+        const value = sanitizeInput(raw.trim());
+        if (value.length > maxLength) {
+          return { error: `વધુમાં વધુ ${maxLength} અક્ષરો (At most ${maxLength} characters)` };
+        }
+        return { value };
+      }
+    }
+  }
+}
+
+module.exports = new FormFieldService();
@@ -0,0 +1,121 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { SSE } = require('../config/constants');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Live Availability Service
+ * Pushes fresh per-date counts to booking pages subscribed to a month (Server-Sent Events).
+ * Writes call notify(dates); changes are batched for a moment so a bulk action
+ * sends one update per month. Subscribers live in this process only.
+ */
+class LiveAvailabilityService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // one listener per open stream
+    this.pendingDates = new Set();
+    this.pendingAll = false;
+    this.flushTimer = null;
+    this.clientsByIp = new Map();
+  }
+
+  isValidMonth(month) {
+    return typeof month === 'string' && MONTH_PATTERN.test(month);
+  }
+
+  /**
+   * First and last date of a YYYY-MM month
+   */
+  monthRange(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+    return { startDate: `${month}-01`, endDate: `${month}-${String(lastDay).padStart(2, '0')}` };
+  }
+
+  get clientCount() {
+    return this.eventNames().reduce((sum, month) => sum + this.listenerCount(month), 0);
+  }
+
+  /**
+   * Count an open stream of a client
+   * @returns {boolean} false when the client already has SSE.MAX_PER_IP streams open
+   */
+  connect(ip) {
+    const open = this.clientsByIp.get(ip) || 0;
+    if (open >= SSE.MAX_PER_IP) return false;
+    this.clientsByIp.set(ip, open + 1);
+    return true;
+  }
+
+  disconnect(ip) {
+    const open = (this.clientsByIp.get(ip) || 1) - 1;
+    if (open > 0) this.clientsByIp.set(ip, open);
+    else this.clientsByIp.delete(ip);
+  }
+
+  /**
+   * Listen for updates of one month
+   * @returns {Function} unsubscribe
+   */
+  subscribe(month, listener) {
+    this.on(month, listener);
+    return () => this.off(month, listener);
+  }
+
+  /**
+   * Mark dates (YYYY-MM-DD or ISO strings) as changed; no dates refreshes every subscribed month
+   */
+  notify(dates = null) {
+    if (dates === null) {
+      this.pendingAll = true;
+    } else {
+      dates.filter(Boolean).forEach(date => this.pendingDates.add(String(date).split('T')[0]));
+    }
+
+    // Nothing changed, or nobody is watching
+    if ((!this.pendingAll && this.pendingDates.size === 0) || this.clientCount === 0) {
+      this.pendingDates.clear();
+      this.pendingAll = false;
+      return;
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch(error => {
+          logger.error('Live availability push failed', { error: error.message });
+        });
+      }, SSE.BATCH_MS);
+    }
+  }
+
+  async flush() {
+    this.flushTimer = null;
+    const all = this.pendingAll;
+    const dates = [...this.pendingDates].sort();
+    this.pendingDates.clear();
+    this.pendingAll = false;
+
+    const months = all
+      ? this.eventNames().filter(name => this.isValidMonth(name))
+      : [...new Set(dates.map(date => date.slice(0, 7)))];
+
+    // Required here: db.service notifies this service on writes
+    const dbService = require('./db.service');
+
+    // Let the transaction that made the change commit first
+    await dbService.whenIdle();
+
+    for (const month of months) {
+      if (this.listenerCount(month) === 0) continue;
+
+      const changed = dates.filter(date => date.startsWith(month));
+      const range = all ? this.monthRange(month) : { startDate: changed[0], endDate: changed[changed.length - 1] };
+      const rows = await dbService.getAvailabilityRange(range.startDate, range.endDate);
+
+      this.emit(month, all ? rows : rows.filter(row => changed.includes(row.date)));
+    }
+  }
+}
+
+module.exports = new LiveAvailabilityService();
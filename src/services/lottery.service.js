@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const dbService = require('./db.service');
+const bookingRules = require('./bookingRules.service');
+const emailService = require('./email.service');
+const liveAvailability = require('./liveAvailability.service');
+const logger = require('../utils/logger');
+const { generateManageToken, hashToken, createHttpError, istToDate, formatIst, todayIst } = require('../utils/helpers');
+const { HTTP, LOTTERY } = require('../config/constants');
+
+const EDITABLE_FIELDS = ['opensAt', 'closesAt', 'drawAt'];
+
+// insertSubmission errors that mean no seat was left for the entry - it goes to the waitlist
+const NO_SEAT_ERRORS = ['Date is fully booked', 'Ayambil Shala is fully booked on this date'];
+
+// Admins enter times as IST wall-clock time (YYYY-MM-DDTHH:mm)
+const toIso = (value) => {
+  const [date, time] = value.split('T');
+  return istToDate(date, time).toISOString();
+};
+
+// Anyone with the published seed and entry IDs can recompute this
+const drawHash = (seed, entryId) => crypto.createHash('sha256').update(`${seed}:${entryId}`).digest('hex');
+
+const parseLottery = (row) => row && {
+  ...row,
+  opensAtIst: formatIst(row.opensAt),
+  closesAtIst: formatIst(row.closesAt),
+  drawAtIst: row.drawAt ? formatIst(row.drawAt) : null
+};
+
+// Booking / waitlist data of an entry
+const toBooking = (entry, bookingDate) => ({
+  bookingDate,
+  name: entry.name,
+  upiNumber: entry.upiNumber,
+  whatsappNumber: entry.whatsappNumber,
+  ayambilShalaName: entry.ayambilShalaName,
+  shalaId: entry.shalaId,
+  city: entry.city,
+  email: entry.email,
+  customFields: entry.customFields ? JSON.parse(entry.customFields) : null,
+  ipAddress: entry.ipAddress
+});
+
+/**
+ * Lottery Service
+ * A high-demand date can be given out by lottery instead of first come, first served.
+ * Devotees apply during the application window without taking a seat; the draw ranks every
+ * entry by the hash of a recorded seed and its ID, books winners in rank order up to the
+ * date's capacity and puts the rest on the waitlist in the same order.
+ * Once drawn, the date books normally (cancellations go to the waitlist).
+ */
+class LotteryService {
+  async list() {
+    const rows = await dbService.all(
+      `SELECT l.*, COUNT(e.id) AS entries,
+              COALESCE(SUM(e.status = 'won'), 0) AS won,
+              COALESCE(SUM(e.status = 'waitlisted'), 0) AS waitlisted,
+              COALESCE(SUM(e.status = 'ineligible'), 0) AS ineligible
+       FROM lotteries l
+       LEFT JOIN lottery_entries e ON e.lotteryId = l.id
+       GROUP BY l.id
+       ORDER BY l.bookingDate ASC`
+    );
+    return rows.map(parseLottery);
+  }
+
+  async getById(id) {
+    return parseLottery(await dbService.get('SELECT * FROM lotteries WHERE id = ?', [id]));
+  }
+
+  /**
+   * Lotteries devotees can still apply for (or that wait for their draw)
+   */
+  async getUpcoming() {
+    const rows = await dbService.all(
+      `SELECT l.id, l.bookingDate, l.opensAt, l.closesAt, l.drawAt, COUNT(e.id) AS entries
+       FROM lotteries l
+       LEFT JOIN lottery_entries e ON e.lotteryId = l.id
+       WHERE l.status = 'open' AND l.bookingDate >= ?
+       GROUP BY l.id
+       ORDER BY l.bookingDate ASC`,
+      [todayIst()]
+    );
+    return rows.map(parseLottery);
+  }
+
+  /**
+   * Check the application window of a lottery (ISO times)
+   */
+  assertWindow({ bookingDate, opensAt, closesAt, drawAt }) {
+    if (bookingDate <= todayIst()) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'A lottery must be for a future date');
+    }
+    if (opensAt >= closesAt) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'opensAt must be before closesAt');
+    }
+    if (closesAt > istToDate(bookingDate).toISOString()) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'Applications must close before the booking date');
+    }
+    if (drawAt && (drawAt < closesAt || drawAt > istToDate(bookingDate).toISOString())) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'drawAt must be between closesAt and the booking date');
+    }
+  }
+
+  async create(data, actor) {
+    const lottery = {
+      bookingDate: data.bookingDate,
+      opensAt: toIso(data.opensAt),
+      closesAt: toIso(data.closesAt),
+      drawAt: data.drawAt ? toIso(data.drawAt) : null
+    };
+    this.assertWindow(lottery);
+
+    const existing = await dbService.get('SELECT id FROM lotteries WHERE bookingDate = ?', [lottery.bookingDate]);
+    if (existing) {
+      throw createHttpError(HTTP.CONFLICT, 'This date already has a lottery');
+    }
+
+    // The draw decides the waitlist order, so nobody may already be queued ahead of it
+    const waiting = await dbService.get(
+      `SELECT COUNT(*) AS count FROM waitlist WHERE bookingDate = ? AND status = 'waiting'`,
+      [lottery.bookingDate]
+    );
+    if (waiting.count > 0) {
+      throw createHttpError(HTTP.CONFLICT, `${waiting.count} devotees are on the waitlist for this date; a lottery cannot be added`);
+    }
+
+    const now = new Date().toISOString();
+    const result = await dbService.run(
+      `INSERT INTO lotteries (bookingDate, opensAt, closesAt, drawAt, status, createdBy, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, 'open', ?, ?, ?)`,
+      [lottery.bookingDate, lottery.opensAt, lottery.closesAt, lottery.drawAt, actor, now, now]
+    );
+
+    liveAvailability.notify([lottery.bookingDate]);
+    return await this.getById(result.lastID);
+  }
+
+  async update(id, updates) {
+    const existing = await this.getById(id);
+    if (!existing) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Lottery not found');
+    }
+    if (existing.status !== 'open') {
+      throw createHttpError(HTTP.CONFLICT, 'This lottery has already been drawn');
+    }
+
+    const changes = {};
+    for (const key of EDITABLE_FIELDS) {
+      if (updates[key] === undefined) continue;
+      changes[key] = updates[key] === null ? null : toIso(updates[key]);
+    }
+    if (changes.opensAt === null || changes.closesAt === null) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'opensAt and closesAt cannot be removed');
+    }
+
+    this.assertWindow({ ...existing, ...changes });
+
+    const fields = Object.keys(changes);
+    if (fields.length > 0) {
+      // A changed schedule is tried again by runDue
+      await dbService.run(
+        `UPDATE lotteries SET ${fields.map(key => `${key} = ?`).join(', ')}, drawError = NULL, updatedAt = ? WHERE id = ?`,
+        [...fields.map(key => changes[key]), new Date().toISOString(), id]
+      );
+      liveAvailability.notify([existing.bookingDate]);
+    }
+
+    return { before: existing, after: await this.getById(id) };
+  }
+
+  /**
+   * Delete a lottery nobody has applied for; the date goes back to first come, first served
+   */
+  async remove(id) {
+    const existing = await this.getById(id);
+    if (!existing) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Lottery not found');
+    }
+    if (existing.status !== 'open') {
+      throw createHttpError(HTTP.CONFLICT, 'A drawn lottery is kept as the record of its draw');
+    }
+
+    const entries = await dbService.get('SELECT COUNT(*) AS count FROM lottery_entries WHERE lotteryId = ?', [id]);
+    if (entries.count > 0) {
+      throw createHttpError(HTTP.CONFLICT, `${entries.count} devotees have applied; draw the lottery instead`);
+    }
+
+    await dbService.run('DELETE FROM lotteries WHERE id = ?', [id]);
+    liveAvailability.notify([existing.bookingDate]);
+    return existing;
+  }
+
+  /**
+   * Applications of a lottery, in draw order once drawn (Admin)
+   */
+  async listEntries(id) {
+    return await dbService.all(
+      `SELECT * FROM lottery_entries WHERE lotteryId = ?
+       ORDER BY drawRank IS NULL, drawRank ASC, createdAt ASC`,
+      [id]
+    );
+  }
+
+  /**
+   * Apply for the lottery of a date. No seat is taken until the draw.
+   * Booking rules are checked now so a devotee who could never win hears it early;
+   * the draw checks them again.
+   *
+   * @returns {Promise<Object>} { id (entry ID), lotteryId, bookingDate, closesAt, closesAtIst }
+   */
+  async apply(data, now = new Date()) {
+    const bookingDate = new Date(data.bookingDate).toISOString().split('T')[0];
+    const lottery = parseLottery(await dbService.getOpenLottery(bookingDate));
+
+    if (!lottery) {
+      throw createHttpError(HTTP.NOT_FOUND, 'There is no lottery for this date', 'આ તારીખ માટે કોઈ લોટરી નથી');
+    }
+    if (now < new Date(lottery.opensAt)) {
+      throw createHttpError(
+        HTTP.BAD_REQUEST,
+        `Lottery applications open on ${lottery.opensAtIst} IST`,
+        `લોટરી માટે અરજી ${lottery.opensAtIst} (IST) થી શરૂ થશે`
+      );
+    }
+    if (now >= new Date(lottery.closesAt)) {
+      throw createHttpError(
+        HTTP.BAD_REQUEST,
+        'Lottery applications for this date are closed',
+        'આ તારીખની લોટરી માટે અરજી બંધ થઈ ગઈ છે'
+      );
+    }
+    if (data.participants && data.participants.length > 0) {
+      throw createHttpError(
+        HTTP.BAD_REQUEST,
+        'Group applications are not accepted for a lottery. Each person applies separately',
+        'લોટરી માટે જૂથ અરજી સ્વીકાર્ય નથી. દરેક વ્યક્તિએ અલગ અરજી કરવી'
+      );
+    }
+
+    await bookingRules.assertAllowed(bookingDate, data, { timing: false });
+
+    const id = crypto.randomUUID();
+    await dbService.transaction(async () => {
+      const existing = await dbService.get(
+        'SELECT id FROM lottery_entries WHERE lotteryId = ? AND (upiNumber = ? OR whatsappNumber = ?)',
+        [lottery.id, data.upiNumber, data.whatsappNumber]
+      );
+      if (existing) {
+        throw createHttpError(
+          HTTP.CONFLICT,
+          'You have already applied for this lottery with this UPI or WhatsApp number',
+          'આ UPI અથવા WhatsApp નંબરથી તમે આ લોટરી માટે પહેલેથી જ અરજી કરી છે'
+        );
+      }
+
+      await dbService.run(
+        `INSERT INTO lottery_entries (
+            id, lotteryId, name, upiNumber, whatsappNumber, ayambilShalaName, shalaId, city, email,
+            customFields, status, ipAddress, createdAt
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'applied', ?, ?)`,
+        [
+          id, lottery.id, data.name, data.upiNumber, data.whatsappNumber, data.ayambilShalaName,
+          data.shalaId || null, data.city, data.email || null,
+          data.customFields && Object.keys(data.customFields).length > 0 ? JSON.stringify(data.customFields) : null,
+          data.ipAddress || '', now.toISOString()
+        ]
+      );
+    });
+
+    return { id, lotteryId: lottery.id, bookingDate, closesAt: lottery.closesAt, closesAtIst: lottery.closesAtIst };
+  }
+
+  /**
+   * Draw order of entries for a seed: ascending SHA-256 of "<seed>:<entryId>"
+   */
+  rank(seed, entries) {
+    return entries
+      .map(entry => ({ ...entry, drawHash: drawHash(seed, entry.id) }))
+      .sort((a, b) => (a.drawHash < b.drawHash ? -1 : 1))
+      .map((entry, index) => ({ ...entry, drawRank: index + 1 }));
+  }
+
+  /**
+   * Draw a lottery whose applications have closed.
+   * Entries are booked in rank order while the date has seats; entries that find no seat
+   * join the waitlist in rank order, and entries the booking rules no longer allow are
+   * marked ineligible. Everything happens in one transaction, then everyone is emailed.
+   *
+   * @param {number} id - Lottery ID
+   * The seed is always generated here: an admin who could choose it could try seeds
+   * against the known entry IDs until the ranking picks the winners they want.
+   *
+   * @param {Object} options - actor, now
+   * @returns {Promise<Object>} { lottery, won, waitlisted, ineligible, entries }
+   */
+  async draw(id, { actor = 'system', now = new Date() } = {}) {
+    const lottery = await this.getById(id);
+    if (!lottery) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Lottery not found');
+    }
+    if (lottery.status !== 'open') {
+      throw createHttpError(HTTP.CONFLICT, 'This lottery has already been drawn');
+    }
+    if (now < new Date(lottery.closesAt)) {
+      throw createHttpError(HTTP.CONFLICT, `Applications are open until ${lottery.closesAtIst} IST`);
+    }
+
+    const drawSeed = crypto.randomBytes(LOTTERY.SEED_BYTES).toString('hex');
+    const drawnAt = now.toISOString();
+
+    const results = await dbService.transaction(async () => {
+      const calendar = await dbService.get('SELECT status FROM calendar_availability WHERE date = ?', [lottery.bookingDate]);
+      if (!calendar || calendar.status !== 'open') {
+        throw createHttpError(HTTP.CONFLICT, 'Open the date on the calendar before the draw');
+      }
+
+      // Marked drawn first so the bookings below are no longer held back by the lottery
+      const marked = await dbService.run(
+        `UPDATE lotteries SET status = 'drawn', seed = ?, drawnAt = ?, drawnBy = ?, updatedAt = ?
+         WHERE id = ? AND status = 'open'`,
+        [drawSeed, drawnAt, actor, drawnAt, id]
+      );
+      if (marked.changes === 0) {
+        throw createHttpError(HTTP.CONFLICT, 'This lottery has already been drawn');
+      }
+
+      const entries = await dbService.all('SELECT * FROM lottery_entries WHERE lotteryId = ?', [id]);
+      const drawn = [];
+
+      for (const entry of this.rank(drawSeed, entries)) {
+        let outcome;
+        await dbService.run('SAVEPOINT lottery_entry');
+        try {
+          outcome = await this.allocate(entry, lottery.bookingDate, now);
+          await dbService.run('RELEASE lottery_entry');
+        } catch (error) {
+          await dbService.run('ROLLBACK TO lottery_entry');
+          await dbService.run('RELEASE lottery_entry');
+          if (!error.status) throw error;
+          outcome = { status: 'ineligible', reason: error.message };
+        }
+
+        await dbService.run(
+          `UPDATE lottery_entries SET status = ?, drawRank = ?, drawHash = ?, submissionId = ?, waitlistId = ?, reason = ?
+           WHERE id = ?`,
+          [
+            outcome.status, entry.drawRank, entry.drawHash, outcome.submissionId || null,
+            outcome.waitlistId || null, outcome.reason || null, entry.id
+          ]
+        );
+        drawn.push({ ...entry, ...outcome });
+      }
+
+      return drawn;
+    });
+
+    liveAvailability.notify([lottery.bookingDate]);
+    this.notifyResults(lottery, results);
+
+    const count = (status) => results.filter(entry => entry.status === status).length;
+    logger.info('Lottery drawn', {
+      lotteryId: id,
+      bookingDate: lottery.bookingDate,
+      entries: results.length,
+      won: count('won'),
+      waitlisted: count('waitlisted'),
+      drawnBy: actor
+    });
+
+    return {
+      lottery: await this.getById(id),
+      won: count('won'),
+      waitlisted: count('waitlisted'),
+      ineligible: count('ineligible'),
+      entries: results.map(({ manageToken, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Book one ranked entry, or queue it when no seat is left. Call inside the draw transaction.
+   */
+  async allocate(entry, bookingDate, now) {
+    const booking = toBooking(entry, bookingDate);
+    const manageToken = generateManageToken();
+
+    try {
+      const { id } = await dbService.insertSubmission(bookingDate, booking, {
+        actor: 'lottery',
+        manageTokenHash: hashToken(manageToken)
+      });
+      return { status: 'won', submissionId: id, manageToken };
+    } catch (error) {
+      if (!NO_SEAT_ERRORS.includes(error.message)) throw error;
+    }
+
+    // One millisecond per rank keeps the waitlist in draw order
+    const waitlisted = await dbService.addWaitlistEntry(booking, {
+      createdAt: new Date(now.getTime() + entry.drawRank).toISOString()
+    });
+    return { status: 'waitlisted', waitlistId: waitlisted.id, position: waitlisted.position };
+  }
+
+  /**
+   * Published result of a draw: seed and ranking without personal details.
+   * verified recomputes every hash and rank from the stored seed.
+   */
+  async getResult(id) {
+    const lottery = await this.getById(id);
+    if (!lottery) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Lottery not found', 'લોટરી મળી નથી');
+    }
+    if (lottery.status !== 'drawn') {
+      throw createHttpError(
+        HTTP.CONFLICT,
+        `The lottery has not been drawn yet. Applications close on ${lottery.closesAtIst} IST`,
+        `લોટરીનો ડ્રો હજી થયો નથી. અરજી ${lottery.closesAtIst} (IST) સુધી કરી શકાશે`
+      );
+    }
+
+    const entries = await this.listEntries(id);
+    const stored = new Map(entries.map(entry => [entry.id, entry]));
+    const verified = this.rank(lottery.seed, entries).every(entry =>
+      stored.get(entry.id).drawHash === entry.drawHash && stored.get(entry.id).drawRank === entry.drawRank
+    );
+
+    return {
+      id: lottery.id,
+      bookingDate: lottery.bookingDate,
+      seed: lottery.seed,
+      drawnAt: lottery.drawnAt,
+      algorithm: LOTTERY.ALGORITHM,
+      verified,
+      entries: entries.map(entry => ({
+        entryId: entry.id,
+        drawRank: entry.drawRank,
+        drawHash: entry.drawHash,
+        outcome: entry.status
+      }))
+    };
+  }
+
+  /**
+   * Email every applicant their outcome (fire and forget)
+   */
+  notifyResults(lottery, entries) {
+    for (const entry of entries) {
+      if (!entry.email) continue;
+
+      emailService.sendLotteryResult({ ...entry, bookingDate: lottery.bookingDate, lotteryId: lottery.id })
+        .then(emailResult => {
+          if (!emailResult.success) {
+            logger.warn('Lottery result email failed', { entryId: entry.id, error: emailResult.message });
+          }
+        })
+        .catch(err => {
+          logger.error('Lottery result email error', { entryId: entry.id, error: err.message });
+        });
+    }
+  }
+
+  /**
+   * Draw lotteries whose scheduled draw time has passed.
+   * A draw refused for a reason an admin has to fix (e.g. the date is not open) is recorded
+   * in drawError and not retried until the lottery is updated or drawn by hand.
+   *
+   * @returns {Promise<Array>} [{ lotteryId, won, waitlisted, ineligible } | { lotteryId, error }]
+   */
+  async runDue(now = new Date()) {
+    const due = await dbService.all(
+      `SELECT id FROM lotteries
+       WHERE status = 'open' AND drawAt IS NOT NULL AND drawAt <= ? AND drawError IS NULL`,
+      [now.toISOString()]
+    );
+
+    const results = [];
+    for (const { id } of due) {
+      try {
+        const { won, waitlisted, ineligible } = await this.draw(id, { actor: 'system', now });
+        results.push({ lotteryId: id, won, waitlisted, ineligible });
+      } catch (error) {
+        // Anything else (e.g. a busy database) is tried again next minute
+        if (error.status) {
+          await dbService.run(
+            'UPDATE lotteries SET drawError = ?, updatedAt = ? WHERE id = ?',
+            [error.message, now.toISOString(), id]
+          );
+        }
+        logger.error('Scheduled lottery draw failed', { lotteryId: id, error: error.message, retried: !error.status });
+        results.push({ lotteryId: id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Check for due draws every minute (and once at startup to catch up)
+   */
+  scheduleDraws() {
+    const run = () => this.runDue().catch(error => {
+      logger.error('Scheduled lottery draws failed', { error: error.message });
+    });
+
+    cron.schedule('* * * * *', run);
+    run();
+
+    logger.info('Lottery draw job scheduled: every minute');
+  }
+}
+
+module.exports = new LotteryService();
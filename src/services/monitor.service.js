@@ -133,6 +133,7 @@ class MonitorService {
       const worksheet = workbook.addWorksheet('Archived Submissions');
 
       // Define columns
+      const customExport = await dbService.getCustomFieldExport();
       worksheet.columns = [
         { header: 'ID', key: 'id', width: 25 },
         { header: 'Submission Date', key: 'submissionDate', width: 20 },
@@ -143,7 +144,8 @@ class MonitorService {
         { header: 'Ayambil Shala Name', key: 'ayambilShalaName', width: 40 },
         { header: 'City', key: 'city', width: 20 },
         { header: 'Status', key: 'status', width: 15 },
-        { header: 'IP Address', key: 'ipAddress', width: 20 }
+        { header: 'IP Address', key: 'ipAddress', width: 20 },
+        ...customExport.columns
       ];
 
       worksheet.getRow(1).font = { bold: true };
@@ -151,6 +153,7 @@ class MonitorService {
       submissions.forEach(s => {
         worksheet.addRow({
           ...s,
+          ...customExport.toRow(s),
           submissionDate: new Date(s.submissionDate),
           bookingDate: new Date(s.bookingDate)
         });
@@ -0,0 +1,208 @@
+const cron = require('node-cron');
+const dbService = require('./db.service');
+const liveAvailability = require('./liveAvailability.service');
+const logger = require('../utils/logger');
+const { createHttpError, istToDate, formatIst, todayIst } = require('../utils/helpers');
+const { HTTP } = require('../config/constants');
+
+const EDITABLE_FIELDS = ['daysAhead', 'releaseTime', 'month', 'releaseAt', 'weekdays', 'capacity', 'label', 'active'];
+
+// Calendar dates are plain YYYY-MM-DD strings, walked in UTC so DST never skips a day
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const lastDayOfMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).toISOString().split('T')[0];
+};
+
+const parseSchedule = (row) => row && {
+  ...row,
+  weekdays: row.weekdays ? JSON.parse(row.weekdays) : null,
+  active: Boolean(row.active),
+  releaseAtIst: row.releaseAt ? formatIst(row.releaseAt) : null
+};
+
+// Admins enter the month release time as IST wall-clock time (YYYY-MM-DDTHH:mm)
+const toReleaseAt = (value) => {
+  const [date, time] = value.split('T');
+  return istToDate(date, time).toISOString();
+};
+
+class ReleaseService {
+  async list() {
+    const rows = await dbService.all('SELECT * FROM release_schedules ORDER BY type ASC, month ASC, id ASC');
+    return rows.map(parseSchedule);
+  }
+
+  async getById(id) {
+    return parseSchedule(await dbService.get('SELECT * FROM release_schedules WHERE id = ?', [id]));
+  }
+
+  /**
+   * Upcoming releases for devotees: months with their opening time and rolling windows
+   */
+  async getUpcoming() {
+    const rows = await dbService.all(
+      `SELECT * FROM release_schedules
+       WHERE active = 1 AND (type = 'rolling' OR releasedAt IS NULL)
+       ORDER BY releaseAt ASC, id ASC`
+    );
+
+    return rows.map(row => row.type === 'month'
+      ? { type: 'month', month: row.month, opensAt: row.releaseAt, opensAtIst: formatIst(row.releaseAt), label: row.label }
+      : { type: 'rolling', daysAhead: row.daysAhead, releaseTime: row.releaseTime, label: row.label });
+  }
+
+  async create(data, actor) {
+    const now = new Date().toISOString();
+    const result = await dbService.run(
+      `INSERT INTO release_schedules
+         (type, daysAhead, releaseTime, month, releaseAt, weekdays, capacity, label, active, createdBy, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)`,
+      [
+        data.type,
+        data.type === 'rolling' ? data.daysAhead : null,
+        data.type === 'rolling' ? data.releaseTime || '00:00' : null,
+        data.type === 'month' ? data.month : null,
+        data.type === 'month' ? toReleaseAt(data.releaseAt) : null,
+        data.weekdays ? JSON.stringify(data.weekdays) : null,
+        data.capacity ?? null,
+        data.label || null,
+        actor, now, now
+      ]
+    );
+    return await this.getById(result.lastID);
+  }
+
+  async update(id, updates) {
+    const existing = await this.getById(id);
+    if (!existing) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Release schedule not found');
+    }
+
+    if (existing.releasedAt && (updates.month !== undefined || updates.releaseAt !== undefined)) {
+      throw createHttpError(HTTP.BAD_REQUEST, 'This month has already been released');
+    }
+
+    const fields = [];
+    const params = [];
+
+    for (const key of EDITABLE_FIELDS) {
+      if (updates[key] === undefined) continue;
+
+      let value = updates[key];
+      if (key === 'releaseAt') value = toReleaseAt(value);
+      if (key === 'weekdays') value = value ? JSON.stringify(value) : null;
+      if (key === 'active') value = value ? 1 : 0;
+
+      fields.push(`${key} = ?`);
+      params.push(value);
+    }
+
+    if (fields.length > 0) {
+      fields.push('updatedAt = ?');
+      params.push(new Date().toISOString(), id);
+      await dbService.run(`UPDATE release_schedules SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    return { before: existing, after: await this.getById(id) };
+  }
+
+  async remove(id) {
+    const existing = await this.getById(id);
+    if (!existing) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Release schedule not found');
+    }
+
+    // Dates it already opened stay open
+    await dbService.run('DELETE FROM release_schedules WHERE id = ?', [id]);
+    return existing;
+  }
+
+  /**
+   * Dates a schedule should have opened by `now`, after what it already released
+   * @returns {{ from: string, through: string }|null}
+   */
+  dueRange(schedule, now) {
+    const today = todayIst();
+
+    if (schedule.type === 'month') {
+      if (schedule.releasedAt || new Date(schedule.releaseAt) > now) return null;
+      const first = `${schedule.month}-01`;
+      return { from: first > today ? first : today, through: lastDayOfMonth(schedule.month) };
+    }
+
+    // Today's next date opens once releaseTime has passed
+    const releasedToday = istToDate(today, schedule.releaseTime) <= now;
+    const through = addDays(today, releasedToday ? schedule.daysAhead : schedule.daysAhead - 1);
+    const from = schedule.releasedThrough && schedule.releasedThrough >= today
+      ? addDays(schedule.releasedThrough, 1)
+      : today;
+
+    return from <= through ? { from, through } : null;
+  }
+
+  /**
+   * Open every date that is due across active schedules.
+   * Dates already on the calendar (opened by hand or by a rule) are left alone,
+   * and a date is only released once, so closing it later sticks.
+   *
+   * @returns {Promise<Array>} [{ scheduleId, opened: [dates] }]
+   */
+  async runDue(now = new Date()) {
+    const schedules = (await dbService.all('SELECT * FROM release_schedules WHERE active = 1')).map(parseSchedule);
+    const results = [];
+
+    for (const schedule of schedules) {
+      const range = this.dueRange(schedule, now);
+      if (!range) continue;
+
+      const opened = await dbService.transaction(async () => {
+        const dates = [];
+        for (let date = range.from; date <= range.through; date = addDays(date, 1)) {
+          const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+          if (schedule.weekdays && !schedule.weekdays.includes(weekday)) continue;
+
+          const result = await dbService.run(
+            `INSERT INTO calendar_availability (date, status, capacity, label) VALUES (?, 'open', ?, ?)
+             ON CONFLICT(date) DO NOTHING`,
+            [date, schedule.capacity, schedule.label]
+          );
+          if (result.changes > 0) dates.push(date);
+        }
+
+        await dbService.run(
+          'UPDATE release_schedules SET releasedThrough = ?, releasedAt = ? WHERE id = ?',
+          [range.through, schedule.type === 'month' ? now.toISOString() : schedule.releasedAt, schedule.id]
+        );
+        return dates;
+      });
+
+      liveAvailability.notify(opened);
+      logger.info('Dates released', { scheduleId: schedule.id, type: schedule.type, opened: opened.length });
+      results.push({ scheduleId: schedule.id, opened });
+    }
+
+    return results;
+  }
+
+  /**
+   * Check for due releases every minute (and once at startup to catch up)
+   */
+  scheduleReleases() {
+    const run = () => this.runDue().catch(error => {
+      logger.error('Scheduled release failed', { error: error.message });
+    });
+
+    cron.schedule('* * * * *', run);
+    run();
+
+    logger.info('Date release job scheduled: every minute');
+  }
+}
+
+module.exports = new ReleaseService();
@@ -0,0 +1,166 @@
+const cron = require('node-cron');
+const dbService = require('./db.service');
+const waitlistService = require('./waitlist.service');
+const liveAvailability = require('./liveAvailability.service');
+const logger = require('../utils/logger');
+const { generateManageToken, hashToken, createHttpError } = require('../utils/helpers');
+const { HTTP, SEAT_HOLD } = require('../config/constants');
+
+/**
+ * Seat Hold Service
+ * A devotee who picks a date holds its seats for a few minutes while filling the form.
+ * Held seats count as taken until the booking made with the hold token uses them up,
+ * the devotee releases them, or the hold expires and is swept.
+ */
+class SeatHoldService {
+  /**
+   * Hold seats on a date. A previous hold of the same devotee (holdToken) is released,
+   * so picking another date moves the hold.
+   *
+   * @returns {Promise<Object>} { holdToken, id, bookingDate, seats, shalaId, expiresAt }
+   */
+  async create({ bookingDate, seats = 1, shalaId = null, holdToken = null, ipAddress = '' }) {
+    const now = new Date();
+    const token = generateManageToken();
+
+    const { hold, released } = await dbService.transaction(async () => {
+      const previous = holdToken
+        ? await dbService.get('SELECT * FROM seat_holds WHERE tokenHash = ?', [hashToken(holdToken)])
+        : null;
+      if (previous) {
+        await dbService.run('DELETE FROM seat_holds WHERE id = ?', [previous.id]);
+      }
+
+      if (ipAddress) {
+        const active = await dbService.get(
+          'SELECT COUNT(*) as count FROM seat_holds WHERE ipAddress = ? AND expiresAt > ?',
+          [ipAddress, now.toISOString()]
+        );
+        if (active.count >= SEAT_HOLD.MAX_PER_IP) {
+          throw createHttpError(
+            HTTP.TOO_MANY_REQUESTS,
+            'You are already holding seats. Finish that booking or release the hold first',
+            'તમે પહેલેથી જ બેઠકો રોકી રાખી છે. પહેલા તે બુકિંગ પૂર્ણ કરો અથવા હોલ્ડ છોડો'
+          );
+        }
+      }
+
+      await dbService.assertDateHasCapacity(bookingDate, null, seats, shalaId);
+
+      const expiresAt = new Date(now.getTime() + SEAT_HOLD.TTL_MS).toISOString();
+      const result = await dbService.run(
+        `INSERT INTO seat_holds (tokenHash, bookingDate, seats, shalaId, ipAddress, createdAt, expiresAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [hashToken(token), bookingDate, seats, shalaId, ipAddress, now.toISOString(), expiresAt]
+      );
+
+      return {
+        hold: { id: result.lastID, bookingDate, seats, shalaId, expiresAt },
+        released: previous
+      };
+    });
+
+    liveAvailability.notify([bookingDate, released && released.bookingDate]);
+    if (released && released.bookingDate !== bookingDate) {
+      this.promoteWaitlist([released.bookingDate]);
+    }
+
+    return { holdToken: token, ...hold };
+  }
+
+  /**
+   * Give held seats back before the hold expires
+   * @returns {Promise<Object>} The released hold
+   */
+  async release(holdToken) {
+    const hold = await dbService.get('SELECT * FROM seat_holds WHERE tokenHash = ?', [hashToken(holdToken)]);
+    if (!hold) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Seat hold not found or already used', 'બેઠક હોલ્ડ મળ્યો નથી અથવા વપરાઈ ગયો છે');
+    }
+
+    await dbService.run('DELETE FROM seat_holds WHERE id = ?', [hold.id]);
+    liveAvailability.notify([hold.bookingDate]);
+    this.promoteWaitlist([hold.bookingDate]);
+
+    return { id: hold.id, bookingDate: hold.bookingDate, seats: hold.seats };
+  }
+
+  /**
+   * Unexpired holds (for one date, or all upcoming) with held seats per date
+   */
+  async listActive(date = null) {
+    const params = [new Date().toISOString()];
+    let dateSql = '';
+    if (date) {
+      dateSql = 'AND h.bookingDate = ?';
+      params.push(date);
+    }
+
+    const holds = await dbService.all(
+      `SELECT h.id, h.bookingDate, h.seats, h.shalaId, s.nameEn AS shalaName, h.ipAddress, h.createdAt, h.expiresAt
+       FROM seat_holds h
+       LEFT JOIN shalas s ON s.id = h.shalaId
+       WHERE h.expiresAt > ? ${dateSql}
+       ORDER BY h.bookingDate ASC, h.expiresAt ASC`,
+      params
+    );
+
+    const byDate = {};
+    holds.forEach(hold => {
+      byDate[hold.bookingDate] = (byDate[hold.bookingDate] || 0) + hold.seats;
+    });
+
+    return { holds, byDate };
+  }
+
+  /**
+   * Delete expired holds and let their dates' waitlists take the freed seats
+   * @returns {Promise<number>} Holds removed
+   */
+  async sweep(now = new Date()) {
+    const expired = await dbService.all('SELECT id, bookingDate FROM seat_holds WHERE expiresAt <= ?', [now.toISOString()]);
+    if (expired.length === 0) return 0;
+
+    await dbService.run(
+      `DELETE FROM seat_holds WHERE id IN (${expired.map(() => '?').join(', ')})`,
+      expired.map(hold => hold.id)
+    );
+
+    const dates = [...new Set(expired.map(hold => hold.bookingDate))];
+    liveAvailability.notify(dates);
+    this.promoteWaitlist(dates);
+
+    logger.info('Expired seat holds swept', { count: expired.length });
+    return expired.length;
+  }
+
+  /**
+   * Waitlisted devotees may take seats a hold gave back (runs in the background)
+   */
+  promoteWaitlist(dates) {
+    for (const date of dates) {
+      waitlistService.promote(date)
+        .then(promoted => {
+          if (promoted.length > 0) {
+            logger.info('Waitlist promoted after seat hold ended', { date, count: promoted.length });
+          }
+        })
+        .catch(error => {
+          logger.error('Waitlist promotion error', { date, error: error.message });
+        });
+    }
+  }
+
+  /**
+   * Sweep expired holds every minute
+   */
+  scheduleSweep() {
+    cron.schedule('* * * * *', () => {
+      this.sweep().catch(error => {
+        logger.error('Seat hold sweep failed', { error: error.message });
+      });
+    });
+  }
+}
+
+module.exports = new SeatHoldService();
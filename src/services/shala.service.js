@@ -0,0 +1,188 @@
+const dbService = require('./db.service');
+const { createHttpError } = require('../utils/helpers');
+const { HTTP } = require('../config/constants');
+
+// Free-text names are matched trimmed and case-insensitively (same as SQL lower(trim(...)))
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const EDITABLE_FIELDS = ['nameGu', 'nameEn', 'city', 'address', 'contactName', 'contactPhone', 'maxBookingsPerDay', 'active'];
+
+class ShalaService {
+  /**
+   * List registry shalas with their active booking counts
+   */
+  async list({ includeInactive = false } = {}) {
+    const rows = await dbService.all(
+      `SELECT s.*,
+              (SELECT COUNT(*) FROM submissions sub
+               WHERE sub.shalaId = s.id AND sub.deletedAt IS NULL
+               AND sub.status NOT IN ('archived', 'rejected', 'cancelled')) AS activeBookings
+       FROM shalas s
+       ${includeInactive ? '' : 'WHERE s.active = 1'}
+       ORDER BY s.nameEn ASC`
+    );
+    return rows.map(row => ({ ...row, active: Boolean(row.active) }));
+  }
+
+  /**
+   * Get a shala with its aliases
+   */
+  async getById(id) {
+    const row = await dbService.get('SELECT * FROM shalas WHERE id = ?', [id]);
+    if (!row) return null;
+
+    const aliases = await dbService.all('SELECT alias FROM shala_aliases WHERE shalaId = ? ORDER BY alias ASC', [id]);
+    return { ...row, active: Boolean(row.active), aliases: aliases.map(a => a.alias) };
+  }
+
+  /**
+   * Create a registry shala
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const result = await dbService.run(
+      `INSERT INTO shalas (nameGu, nameEn, city, address, contactName, contactPhone, maxBookingsPerDay, active, createdAt, updatedAt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+      [
+        data.nameGu, data.nameEn, data.city, data.address || null,
+        data.contactName || null, data.contactPhone || null, data.maxBookingsPerDay || null, now, now
+      ]
+    );
+    return await this.getById(result.lastID);
+  }
+
+  /**
+   * Update a registry shala
+   */
+  async update(id, updates) {
+    const fields = [];
+    const params = [];
+
+    for (const key of EDITABLE_FIELDS) {
+      if (updates[key] === undefined) continue;
+      fields.push(`${key} = ?`);
+      params.push(key === 'active' ? (updates[key] ? 1 : 0) : updates[key]);
+    }
+
+    if (fields.length > 0) {
+      fields.push('updatedAt = ?');
+      params.push(new Date().toISOString(), id);
+      await dbService.run(`UPDATE shalas SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Public autocomplete over names, aliases and city (active shalas only)
+   */
+  async autocomplete(query, limit = 10) {
+    const term = `%${query.trim()}%`;
+    return await dbService.all(
+      `SELECT id, nameGu, nameEn, city FROM shalas
+       WHERE active = 1 AND (
+         nameGu LIKE ? OR nameEn LIKE ? OR city LIKE ?
+         OR id IN (SELECT shalaId FROM shala_aliases WHERE alias LIKE ?)
+       )
+       ORDER BY nameEn ASC
+       LIMIT ?`,
+      [term, term, term, term.toLowerCase(), limit]
+    );
+  }
+
+  /**
+   * Work out the registry shala for a submission.
+   * An explicit shalaId must be an active shala; otherwise the free-text name is
+   * matched against registry names and merged aliases. Unknown names stay free text.
+   *
+   * @param {Object} data - { shalaId, ayambilShalaName }
+   * @returns {Promise<Object>} { shalaId, ayambilShalaName }
+   */
+  async resolve({ shalaId, ayambilShalaName }) {
+    if (shalaId) {
+      const shala = await dbService.get('SELECT * FROM shalas WHERE id = ? AND active = 1', [shalaId]);
+      if (!shala) {
+        throw createHttpError(HTTP.BAD_REQUEST, 'Selected Ayambil Shala was not found', 'પસંદ કરેલ આયંબિલ શાળા મળી નથી');
+      }
+      return { shalaId: shala.id, ayambilShalaName: shala.nameEn };
+    }
+
+    const name = normalizeName(ayambilShalaName);
+    const match = await dbService.get(
+      `SELECT id, nameEn FROM shalas
+       WHERE active = 1 AND (
+         lower(trim(nameEn)) = ? OR lower(trim(nameGu)) = ?
+         OR id IN (SELECT shalaId FROM shala_aliases WHERE alias = ?)
+       )
+       LIMIT 1`,
+      [name, name, name]
+    );
+
+    return match
+      ? { shalaId: match.id, ayambilShalaName: match.nameEn }
+      : { shalaId: null, ayambilShalaName };
+  }
+
+  /**
+   * Free-text shala names not linked to the registry, most used first
+   */
+  async getUnmatchedNames() {
+    return await dbService.all(
+      `SELECT lower(trim(ayambilShalaName)) AS normalizedName,
+              MIN(ayambilShalaName) AS example,
+              GROUP_CONCAT(DISTINCT city) AS cities,
+              COUNT(*) AS count
+       FROM submissions
+       WHERE shalaId IS NULL AND deletedAt IS NULL
+       GROUP BY lower(trim(ayambilShalaName))
+       ORDER BY count DESC`
+    );
+  }
+
+  /**
+   * Merge free-text names into a registry shala: link matching submissions and
+   * waiting waitlist entries, and remember the names as aliases for new submissions.
+   *
+   * @returns {Promise<Object>} { aliases, linkedSubmissions, linkedWaitlist }
+   */
+  async merge(id, names, actor) {
+    const shala = await this.getById(id);
+    if (!shala) {
+      throw createHttpError(HTTP.NOT_FOUND, 'Shala not found');
+    }
+
+    const aliases = [...new Set(names.map(normalizeName).filter(Boolean))];
+    const now = new Date().toISOString();
+
+    return await dbService.transaction(async () => {
+      let linkedSubmissions = 0;
+      let linkedWaitlist = 0;
+
+      for (const alias of aliases) {
+        await dbService.run(
+          `INSERT INTO shala_aliases (alias, shalaId, createdBy, createdAt) VALUES (?, ?, ?, ?)
+           ON CONFLICT(alias) DO UPDATE SET shalaId = excluded.shalaId, createdBy = excluded.createdBy, createdAt = excluded.createdAt`,
+          [alias, id, actor, now]
+        );
+
+        const submissions = await dbService.run(
+          `UPDATE submissions SET shalaId = ?, ayambilShalaName = ?
+           WHERE shalaId IS NULL AND lower(trim(ayambilShalaName)) = ?`,
+          [id, shala.nameEn, alias]
+        );
+        const waitlist = await dbService.run(
+          `UPDATE waitlist SET shalaId = ?, ayambilShalaName = ?
+           WHERE shalaId IS NULL AND status = 'waiting' AND lower(trim(ayambilShalaName)) = ?`,
+          [id, shala.nameEn, alias]
+        );
+
+        linkedSubmissions += submissions.changes;
+        linkedWaitlist += waitlist.changes;
+      }
+
+      return { aliases, linkedSubmissions, linkedWaitlist };
+    });
+  }
+}
+
+module.exports = new ShalaService();
@@ -0,0 +1,142 @@
+const dbService = require('./db.service');
+const emailService = require('./email.service');
+const logger = require('../utils/logger');
+const { generateManageToken, hashToken, todayIst } = require('../utils/helpers');
+
+// insertSubmission errors that mean the date itself cannot take another booking
+const DATE_UNAVAILABLE_ERRORS = [
+  'Date is fully booked',
+  'This date is not available for booking yet',
+  'This date is closed for booking',
+  'This date is allocated by lottery. Please apply for the lottery instead'
+];
+
+// The entry's own shala is full - later entries for other shalas may still fit
+const SHALA_FULL_ERROR = 'Ayambil Shala is fully booked on this date';
+
+class WaitlistService {
+  /**
+   * Promote waiting entries for a date into pending submissions
+   * while the date still has free slots.
+   * Each entry is read, booked and marked in one transaction, so callers promoting
+   * the same date at once never book one entry twice. A group at the head of the
+   * queue waits until the date has seats for all of its participants.
+   *
+   * @param {string} date - Booking date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Promoted entries with their new submission IDs
+   */
+  async promote(date) {
+    if (!date || date < todayIst()) {
+      return [];
+    }
+
+    const promoted = [];
+    const heldBack = [];
+
+    while (true) {
+      const step = await dbService.transaction(() => this.promoteNext(date, heldBack));
+      if (!step || step.outcome === 'unavailable') break;
+
+      const { entry, outcome } = step;
+
+      // Stays on the waitlist for when a place at its shala frees up
+      if (outcome === 'shala_full') {
+        heldBack.push(entry.id);
+        continue;
+      }
+
+      // This person cannot take the slot (e.g. monthly limit) - the queue moved on
+      if (outcome === 'skipped') {
+        logger.warn('Waitlist entry skipped', { waitlistId: entry.id, date, error: step.error });
+        continue;
+      }
+
+      promoted.push({ waitlistId: entry.id, submissionId: step.submissionId });
+
+      logger.info('Waitlist entry promoted', { waitlistId: entry.id, submissionId: step.submissionId, date });
+      this.notifyPromotion(entry, step.submissionId, step.manageToken);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Book the oldest waiting entry of a date and mark it. Call inside a transaction.
+   * @returns {Promise<Object|null>} { entry, outcome: promoted | shala_full | skipped | unavailable, ... }
+   */
+  async promoteNext(date, heldBack) {
+    const entry = await dbService.getNextWaitlistEntry(date, heldBack);
+    if (!entry) return null;
+
+    const manageToken = generateManageToken();
+
+    await dbService.run('SAVEPOINT waitlist_entry');
+    try {
+      const { id } = await dbService.insertSubmission(entry.bookingDate, {
+        bookingDate: entry.bookingDate,
+        name: entry.name,
+        upiNumber: entry.upiNumber,
+        whatsappNumber: entry.whatsappNumber,
+        ayambilShalaName: entry.ayambilShalaName,
+        shalaId: entry.shalaId,
+        city: entry.city,
+        email: entry.email,
+        customFields: entry.customFields ? JSON.parse(entry.customFields) : null,
+        seats: entry.seats,
+        participants: entry.participants ? JSON.parse(entry.participants) : undefined,
+        ipAddress: entry.ipAddress
+      }, { actor: 'waitlist', manageTokenHash: hashToken(manageToken) });
+      await dbService.run('RELEASE waitlist_entry');
+
+      await dbService.setWaitlistEntryStatus(entry.id, 'promoted', id);
+      return { entry, outcome: 'promoted', submissionId: id, manageToken };
+    } catch (error) {
+      await dbService.run('ROLLBACK TO waitlist_entry');
+      await dbService.run('RELEASE waitlist_entry');
+
+      if (DATE_UNAVAILABLE_ERRORS.includes(error.message)) return { entry, outcome: 'unavailable' };
+      if (error.message === SHALA_FULL_ERROR) return { entry, outcome: 'shala_full' };
+
+      // Only a refusal of this devotee skips them; anything else (e.g. SQLITE_BUSY) leaves them waiting
+      if (!error.status) throw error;
+
+      await dbService.setWaitlistEntryStatus(entry.id, 'skipped');
+      return { entry, outcome: 'skipped', error: error.message };
+    }
+  }
+
+  /**
+   * Promote waiting entries on every upcoming date
+   * (used when the daily booking limit is raised)
+   *
+   * @returns {Promise<Array>} Promoted entries across all dates
+   */
+  async promoteAll() {
+    const dates = await dbService.getWaitlistedDates(todayIst());
+
+    const promoted = [];
+    for (const date of dates) {
+      promoted.push(...await this.promote(date));
+    }
+    return promoted;
+  }
+
+  /**
+   * Email the promoted devotee (fire and forget)
+   */
+  notifyPromotion(entry, submissionId, manageToken) {
+    if (!entry.email) return;
+
+    emailService.sendWaitlistPromotion({ ...entry, id: submissionId, manageToken })
+      .then(emailResult => {
+        if (!emailResult.success) {
+          logger.warn('Waitlist promotion email failed', { submissionId, error: emailResult.message });
+        }
+      })
+      .catch(err => {
+        logger.error('Waitlist promotion email error', { submissionId, error: err.message });
+      });
+  }
+}
+
+module.exports = new WaitlistService();
@@ -13,6 +13,52 @@ function generateSubmissionId() {
   return `VRT-${timestamp}-${random}`;
 }
 
+/**
+ * Generate unique series ID (groups the bookings of one multi-date submission)
+ *
+ * @returns {string} Unique series ID
+ */
+function generateSeriesId() {
+  const timestamp = Date.now();
+  const random = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `SER-${timestamp}-${random}`;
+}
+
+/**
+ * Generate secret token that lets a devotee manage their own booking
+ *
+ * @returns {string} Random 48 character hex token
+ */
+function generateManageToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Hash a secret token for storage (only hashes are kept in the database)
+ *
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Create an error that carries an HTTP status and an optional Gujarati message,
+ * so services can report client errors that controllers pass straight through
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - English message
+ * @param {string} [messageGu] - Gujarati message
+ * @returns {Error} Error with status (and messageGu)
+ */
+function createHttpError(status, message, messageGu = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (messageGu) error.messageGu = messageGu;
+  return error;
+}
+
 /**
  * Format date to Indian standard (DD/MM/YYYY HH:mm:ss)
  *
@@ -31,6 +77,39 @@ function formatDate(date) {
   return `${day}/${month}/${year} ${hours}:${minutes}:${seconds}`;
 }
 
+// India Standard Time has no daylight saving: always UTC+05:30
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+/**
+ * Convert an IST wall-clock date and time to a Date
+ *
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} [timeStr] - HH:mm (defaults to midnight)
+ * @returns {Date} The same instant
+ */
+function istToDate(dateStr, timeStr = '00:00') {
+  return new Date(new Date(`${dateStr}T${timeStr}:00Z`).getTime() - IST_OFFSET_MS);
+}
+
+/**
+ * Format an instant as IST (DD/MM/YYYY HH:mm)
+ *
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted IST date and time
+ */
+function formatIst(date) {
+  const [day, time] = new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().split('T');
+  const [year, month, dayOfMonth] = day.split('-');
+  return `${dayOfMonth}/${month}/${year} ${time.substring(0, 5)}`;
+}
+
+/**
+ * Today's date in IST (YYYY-MM-DD)
+ */
+function todayIst() {
+  return new Date(Date.now() + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
 /**
  * Sanitize user input to prevent XSS
  * Uses xss library for proper sanitization
@@ -160,14 +239,40 @@ function validateDateRange(startDate, endDate, maxDays = 365) {
   return { valid: true, diffDays };
 }
 
+/**
+ * Parse a tag list from a query string ("a,b") or array
+ * Tags are trimmed and lowercased so "Called" and "called " are the same tag.
+ *
+ * @param {string|Array} input - Comma separated string or array of tags
+ * @returns {Array<string>} Unique, normalized tags
+ */
+function parseTags(input) {
+  if (!input) return [];
+
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  const tags = list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag.length > 0);
+
+  return [...new Set(tags)];
+}
+
 module.exports = {
   generateSubmissionId,
+  generateSeriesId,
+  generateManageToken,
+  hashToken,
+  createHttpError,
   formatDate,
+  istToDate,
+  formatIst,
+  todayIst,
   sanitizeInput,
   isValidMobile,
   isValidEmail,
   getClientIp,
   paginate,
   isValidDateFormat,
-  validateDateRange
+  validateDateRange,
+  parseTags
 };
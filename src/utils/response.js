@@ -83,6 +83,19 @@ const sendUnauthorized = (res, message = 'Unauthorized') => {
   return sendError(res, message, HTTP.UNAUTHORIZED);
 };
 
+/**
+ * Send error created with createHttpError (includes Gujarati message when present)
+ */
+const sendHttpError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    messageGu: error.messageGu,
+    ...(error.violations && { violations: error.violations }),
+    timestamp: new Date().toISOString()
+  });
+};
+
 module.exports = {
   sendSuccess,
   sendError,
@@ -90,5 +103,6 @@ module.exports = {
   sendCreated,
   sendNotFound,
   sendBadRequest,
-  sendUnauthorized
+  sendUnauthorized,
+  sendHttpError
 };
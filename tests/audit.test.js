@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, countBookings } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const auditService = require('../src/services/audit.service');
+const backupService = require('../src/services/backup.service');
+
+const req = { user: { username: 'admin' }, id: 'test-request' };
+
+const auditActions = async () => (await dbService.all('SELECT action FROM audit_log ORDER BY id ASC')).map(row => row.action);
+
+describe('Audit log', () => {
+  const backupDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-backups-'));
+
+  beforeAll(async () => {
+    await setupDatabase();
+    backupService.backupDir = backupDir;
+  });
+
+  afterAll(async () => {
+    await teardownDatabase();
+    fs.rmSync(backupDir, { recursive: true, force: true });
+  });
+
+  it('keeps the entries written after a backup when that backup is restored', async () => {
+    const date = daysFromToday(50);
+    await openDate(date, 5);
+    await auditService.record(req, { action: 'before.backup', entityType: 'test' });
+    const backupPath = await backupService.createBackup();
+
+    await dbService.addSubmission({ bookingDate: date, ...devotee(1) });
+    await auditService.record(req, { action: 'after.backup', entityType: 'test' });
+
+    const result = await backupService.restoreFromBackup(path.basename(backupPath));
+    await auditService.record(req, { action: 'backup.restore', entityType: 'backup' });
+
+    expect(result.auditEntriesCarried).toBe(1);
+    expect(await countBookings(date)).toBe(0);
+    expect(await auditActions()).toEqual(['before.backup', 'after.backup', 'backup.restore']);
+  });
+
+  it('keeps an entry written while another transaction that rolls back is open', async () => {
+    let begun;
+    const open = new Promise(resolve => { begun = resolve; });
+    const failing = dbService.transaction(async () => {
+      await dbService.run(`INSERT INTO settings (key, value) VALUES ('rolled_back', '1')`);
+      begun();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      throw new Error('rolled back');
+    });
+
+    await open;
+    const recorded = auditService.record(req, { action: 'during.transaction', entityType: 'test' });
+
+    await expect(failing).rejects.toThrow('rolled back');
+    await recorded;
+
+    expect(await auditActions()).toContain('during.transaction');
+    expect(await dbService.get(`SELECT value FROM settings WHERE key = 'rolled_back'`)).toBeUndefined();
+  });
+});
@@ -0,0 +1,53 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, serve } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const calendarRoutes = require('../src/routes/calendar.routes');
+
+describe('Public availability', () => {
+  const date = daysFromToday(40);
+  let api;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    await openDate(date, 5);
+    api = await serve('/api/calendar', calendarRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await teardownDatabase();
+  });
+
+  // fetch adds Cache-Control: no-cache to conditional requests unless one is given; browsers revalidate with max-age=0
+  const getAvailability = (headers = {}) => fetch(`${api.url}/availability?startDate=${date}&endDate=${date}`, {
+    headers: { 'Cache-Control': 'max-age=0', ...headers }
+  });
+
+  it('is cached by ETag alone', async () => {
+    const response = await getAvailability();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('etag')).toBeTruthy();
+    expect(response.headers.get('last-modified')).toBeNull();
+    expect((await getAvailability({ 'If-None-Match': response.headers.get('etag') })).status).toBe(304);
+  });
+
+  it('answers with the current seats after a booking', async () => {
+    const before = await getAvailability();
+    const etag = before.headers.get('etag');
+    await dbService.addSubmission({ bookingDate: date, ...devotee(1) });
+
+    const after = await getAvailability({ 'If-None-Match': etag, 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() });
+    const { data } = await after.json();
+
+    expect(after.status).toBe(200);
+    expect(after.headers.get('etag')).not.toBe(etag);
+    expect(data.dates[0].remaining).toBe(4);
+  });
+
+  it('does not answer 304 to If-Modified-Since alone', async () => {
+    const response = await getAvailability({ 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() });
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,78 @@
+const { setupDatabase, teardownDatabase, setClock, openDate, devotee } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const bookingRules = require('../src/services/bookingRules.service');
+
+const ruleNames = (violations) => violations.map(v => v.rule);
+
+describe('Booking rules', () => {
+  beforeAll(setupDatabase);
+  afterEach(() => jest.useRealTimers());
+  afterAll(teardownDatabase);
+
+  describe('same-day cutoff', () => {
+    beforeAll(() => bookingRules.updateRules({ sameDayCutoff: '10:00' }));
+    afterAll(() => bookingRules.updateRules({ sameDayCutoff: null }));
+
+    it('takes today from the IST date', async () => {
+      // 00:30 IST on 2 June, still 1 June in UTC
+      setClock('2031-06-01T19:00:00Z');
+
+      expect(ruleNames(await bookingRules.evaluate('2031-06-01'))).toEqual(['past']);
+      expect(await bookingRules.evaluate('2031-06-02')).toEqual([]);
+    });
+
+    it('closes today at the cutoff time in IST', async () => {
+      setClock('2031-06-02T04:29:00Z'); // 09:59 IST
+      expect(await bookingRules.evaluate('2031-06-02')).toEqual([]);
+
+      setClock('2031-06-02T04:30:00Z'); // 10:00 IST
+      expect(ruleNames(await bookingRules.evaluate('2031-06-02'))).toEqual(['sameDayCutoff']);
+      expect(await bookingRules.evaluate('2031-06-03')).toEqual([]);
+    });
+  });
+
+  describe('per-person rules', () => {
+    const person = devotee(1);
+
+    beforeAll(async () => {
+      await bookingRules.updateRules({ minGapDays: 3, maxDaysInAdvance: 30 });
+      setClock('2031-07-01T06:00:00Z');
+      for (const date of ['2031-07-10', '2031-07-12']) {
+        await openDate(date, 5);
+      }
+      await dbService.addSubmission({ bookingDate: '2031-07-10', ...person });
+      jest.useRealTimers();
+    });
+
+    afterAll(() => bookingRules.updateRules({ minGapDays: null, maxDaysInAdvance: null }));
+
+    it('refuses a booking too close to another one of the same person', async () => {
+      setClock('2031-07-01T06:00:00Z');
+
+      await expect(dbService.addSubmission({ bookingDate: '2031-07-12', ...devotee(2, { whatsappNumber: person.whatsappNumber }) }))
+        .rejects.toMatchObject({ status: 400, message: expect.stringContaining('you have one on 2031-07-10') });
+      expect(await bookingRules.evaluate('2031-07-13', person)).toEqual([]);
+      expect(await bookingRules.evaluate('2031-07-12', devotee(3))).toEqual([]);
+    });
+
+    it('does not count the booking being moved against itself', async () => {
+      setClock('2031-07-01T06:00:00Z');
+      const { id } = await dbService.get('SELECT id FROM submissions WHERE bookingDate = ?', ['2031-07-10']);
+
+      expect(await bookingRules.evaluate('2031-07-12', person, { excludeId: id })).toEqual([]);
+    });
+
+    it('reports every broken rule at once', async () => {
+      setClock('2031-06-11T06:00:00Z'); // 31 days ahead
+
+      await expect(bookingRules.assertAllowed('2031-07-12', person)).rejects.toMatchObject({
+        status: 400,
+        violations: [
+          expect.objectContaining({ rule: 'maxDaysInAdvance', limit: 30 }),
+          expect.objectContaining({ rule: 'minGapDays', limit: 3 })
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { setupDatabase, teardownDatabase, setClock } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const calendarRuleService = require('../src/services/calendarRule.service');
+
+// 00:30 IST on 3 May 2031 is still 2 May in UTC
+const PAST_MIDNIGHT_IST = '2031-05-02T19:00:00Z';
+
+const openDates = async () => (await dbService.all(
+  `SELECT date FROM calendar_availability WHERE status = 'open' AND date BETWEEN '2031-05-01' AND '2031-05-31' ORDER BY date`
+)).map(row => row.date);
+
+describe('Calendar rules around the IST day boundary', () => {
+  beforeAll(setupDatabase);
+  afterEach(() => jest.useRealTimers());
+  afterAll(teardownDatabase);
+
+  it('opens only dates from the IST today onwards', async () => {
+    setClock(PAST_MIDNIGHT_IST);
+
+    const { rule } = await calendarRuleService.create({ name: 'Early May', startDate: '2031-05-01', endDate: '2031-05-05' }, 'admin');
+
+    expect(await openDates()).toEqual(['2031-05-03', '2031-05-04', '2031-05-05']);
+    await calendarRuleService.remove(rule.id);
+  });
+
+  it('keeps the dates that have passed in IST open when the rule is deleted', async () => {
+    setClock('2031-04-20T06:00:00Z');
+    const { rule } = await calendarRuleService.create({ name: 'Mid May', startDate: '2031-05-10', endDate: '2031-05-12' }, 'admin');
+
+    // 00:30 IST on 12 May
+    setClock('2031-05-11T19:00:00Z');
+    await calendarRuleService.remove(rule.id);
+
+    expect(await openDates()).toEqual(['2031-05-10', '2031-05-11']);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Shared setup for the behaviour tests
+ * Jest loads the modules of every test file afresh, so each file gets its own
+ * empty database. Require this file before any service.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the services at a temporary database before any of them is loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vrt-test-'));
+require('../src/config/db.config').dbPath = path.join(tempDir, 'database.sqlite');
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-test-secret-test-secret';
+
+const express = require('express');
+const logger = require('../src/utils/logger');
+const dbService = require('../src/services/db.service');
+const { todayIst } = require('../src/utils/helpers');
+
+// Expected rejections are logged as errors; the test report is enough
+logger.silent = true;
+
+/**
+ * Create the schema of the temporary database
+ */
+const setupDatabase = () => dbService.initializeDatabase();
+
+/**
+ * Close the database and delete its directory
+ */
+const teardownDatabase = async () => {
+  await dbService.whenIdle();
+  await new Promise((resolve, reject) => dbService.db.close(err => (err ? reject(err) : resolve())));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+};
+
+/**
+ * IST date n days from today (YYYY-MM-DD)
+ */
+const daysFromToday = (days) => {
+  const date = new Date(`${todayIst()}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Freeze the clock (Date only - timers keep running for the database) at an ISO time.
+ * Undo with jest.useRealTimers().
+ */
+const setClock = (time) => {
+  jest.useFakeTimers({
+    doNotFake: [
+      'nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'
+    ]
+  });
+  jest.setSystemTime(new Date(time));
+};
+
+/**
+ * Open a date on the calendar with a fixed capacity
+ */
+const openDate = (date, capacity) => dbService.setCalendarDateStatus(date, 'open', { capacity });
+
+/**
+ * Booking details of a devotee; n keeps the UPI / WhatsApp numbers apart
+ */
+const devotee = (n, overrides = {}) => ({
+  name: `Devotee ${n}`,
+  upiNumber: `98${String(n).padStart(8, '0')}`,
+  whatsappNumber: `98${String(n).padStart(8, '0')}`,
+  ayambilShalaName: 'Shala A',
+  city: 'Surat',
+  ...overrides
+});
+
+/**
+ * Active (pending / confirmed) bookings of a date
+ */
+const countBookings = async (date) => {
+  const row = await dbService.get(
+    `SELECT COUNT(*) as count FROM submissions WHERE bookingDate = ? AND status IN ('pending', 'confirmed')`,
+    [date]
+  );
+  return row.count;
+};
+
+/**
+ * Poll until check() returns a truthy value (for work the services start in the background)
+ */
+const waitFor = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeoutMs) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for the condition');
+};
+
+/**
+ * Serve a router on a random local port
+ * @returns {Promise<Object>} { url, close }
+ */
+const serve = async (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  setupDatabase,
+  teardownDatabase,
+  daysFromToday,
+  setClock,
+  openDate,
+  devotee,
+  countBookings,
+  waitFor,
+  serve
+};
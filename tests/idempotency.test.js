@@ -0,0 +1,102 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, countBookings, serve } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const backupService = require('../src/services/backup.service');
+const submissionRoutes = require('../src/routes/submission.routes');
+
+describe('Idempotent submission', () => {
+  // The submission rate limit (10 per window) covers every request in this file
+  let api;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    // Backups copy the database into data/backups
+    jest.spyOn(backupService, 'createBackup').mockResolvedValue(null);
+    api = await serve('/api/submissions', submissionRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await teardownDatabase();
+  });
+
+  const submit = async (body, headers = {}) => {
+    const response = await fetch(api.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  it('replays a retry with the same Idempotency-Key without booking again', async () => {
+    const date = daysFromToday(10);
+    await openDate(date, 5);
+    const body = { bookingDate: date, ...devotee(1) };
+
+    const first = await submit(body, { 'Idempotency-Key': 'retry-1' });
+    const retry = await submit(body, { 'Idempotency-Key': 'retry-1' });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+    expect(retry.body.id).toBe(first.body.id);
+    expect(await countBookings(date)).toBe(1);
+
+    // Personal details and the manage token are not stored for a replay
+    expect(first.body.manageToken).toBeTruthy();
+    expect(retry.body.manageToken).toBeUndefined();
+    expect(retry.body.data).toEqual({ id: first.body.id, bookingDate: date, status: 'pending' });
+    expect(JSON.stringify(retry.body)).not.toContain(body.upiNumber);
+  });
+
+  it('rejects an Idempotency-Key reused for a different submission', async () => {
+    const date = daysFromToday(12);
+    await openDate(date, 5);
+
+    await submit({ bookingDate: date, ...devotee(3) }, { 'Idempotency-Key': 'retry-3' });
+    const reused = await submit({ bookingDate: date, ...devotee(4) }, { 'Idempotency-Key': 'retry-3' });
+
+    expect(reused.status).toBe(422);
+    expect(await countBookings(date)).toBe(1);
+  });
+
+  it('replays an identical retry without a key by its fingerprint', async () => {
+    const date = daysFromToday(13);
+    await openDate(date, 5);
+    const body = { bookingDate: date, ...devotee(5) };
+
+    const first = await submit(body);
+    const retry = await submit(body);
+
+    expect(retry.headers.get('idempotent-replayed')).toBe('true');
+    expect(retry.body.id).toBe(first.body.id);
+    expect(await countBookings(date)).toBe(1);
+  });
+
+  it('leaves another person sharing the WhatsApp number, date and shala to the duplicate policy', async () => {
+    const date = daysFromToday(14);
+    await openDate(date, 5);
+    await submit({ bookingDate: date, ...devotee(6) });
+    const relative = await submit({ bookingDate: date, ...devotee(6, { name: 'Relative 6', upiNumber: '9700000006' }) });
+
+    expect(relative.headers.get('idempotent-replayed')).toBeNull();
+    expect(relative.status).toBe(409);
+    expect(await countBookings(date)).toBe(1);
+  });
+
+  it('books once when the same request arrives twice at the same time', async () => {
+    const date = daysFromToday(15);
+    await openDate(date, 5);
+    const body = { bookingDate: date, ...devotee(7) };
+
+    const responses = await Promise.all([
+      submit(body, { 'Idempotency-Key': 'retry-7' }),
+      submit(body, { 'Idempotency-Key': 'retry-7' })
+    ]);
+
+    expect(responses.map(r => r.status).sort()).toEqual([201, 409]);
+    await dbService.whenIdle();
+    expect(await countBookings(date)).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, waitFor, serve } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const liveAvailability = require('../src/services/liveAvailability.service');
+const calendarRoutes = require('../src/routes/calendar.routes');
+const { SSE } = require('../src/config/constants');
+
+describe('Live availability stream', () => {
+  const date = daysFromToday(40);
+  const month = date.slice(0, 7);
+  let api;
+  const streams = [];
+
+  beforeAll(async () => {
+    await setupDatabase();
+    await openDate(date, 5);
+    api = await serve('/api/calendar', calendarRoutes);
+  });
+
+  afterEach(async () => {
+    streams.splice(0).forEach(stream => stream.close());
+    await waitFor(() => liveAvailability.clientCount === 0);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await teardownDatabase();
+  });
+
+  /**
+   * Open a stream and collect its availability events
+   */
+  const open = async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${api.url}/stream?month=${month}`, { signal: controller.signal });
+    const stream = { status: response.status, events: [], close: () => controller.abort() };
+    streams.push(stream);
+
+    if (response.ok) {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      (async () => {
+        for await (const chunk of response.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          messages.filter(message => message.startsWith('event: availability'))
+            .forEach(message => stream.events.push(JSON.parse(message.split('data: ')[1])));
+        }
+      })().catch(() => {}); // aborted
+    }
+    return stream;
+  };
+
+  it('sends the month first and then the dates a booking changes', async () => {
+    const stream = await open();
+    const [first] = await waitFor(() => stream.events.length === 1 && stream.events);
+    expect(first.dates.find(row => row.date === date)).toMatchObject({ remaining: 5 });
+
+    await dbService.addSubmission({ bookingDate: date, ...devotee(1) });
+    const [, update] = await waitFor(() => stream.events.length === 2 && stream.events);
+
+    expect(update).toEqual({ month, dates: [expect.objectContaining({ date, remaining: 4 })] });
+  });
+
+  it('limits the streams one client may hold open', async () => {
+    const allowed = [];
+    for (let i = 0; i < SSE.MAX_PER_IP; i++) allowed.push(await open());
+    const refused = await open();
+
+    expect(allowed.map(stream => stream.status)).toEqual(Array(SSE.MAX_PER_IP).fill(200));
+    expect(refused.status).toBe(429);
+
+    // Closing a tab frees its place
+    allowed[0].close();
+    await waitFor(() => liveAvailability.clientCount === SSE.MAX_PER_IP - 1);
+    expect((await open()).status).toBe(200);
+  });
+
+  it('rejects a malformed month', async () => {
+    const response = await fetch(`${api.url}/stream?month=2026-13`);
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,65 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, serve } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const submissionRoutes = require('../src/routes/submission.routes');
+
+describe('Booking lookup', () => {
+  const date = daysFromToday(30);
+  let api;
+  let booking;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    await openDate(date, 5);
+    booking = await dbService.addSubmission({ bookingDate: date, ...devotee(1), email: 'devotee@example.com' });
+    api = await serve('/api/submissions', submissionRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await teardownDatabase();
+  });
+
+  const lookup = async (body) => {
+    const response = await fetch(`${api.url}/lookup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('shows the status of a booking without the devotee\'s details', async () => {
+    const { status, body } = await lookup({ submissionId: booking.id.toLowerCase(), whatsappNumber: devotee(1).whatsappNumber });
+
+    expect(status).toBe(200);
+    expect(body.data).toEqual({
+      id: booking.id,
+      bookingDate: date,
+      status: 'pending',
+      statusLabel: expect.objectContaining({ en: expect.any(String), gu: expect.any(String) }),
+      ayambilShalaName: 'Shala A',
+      city: 'Surat'
+    });
+    expect(JSON.stringify(body)).not.toMatch(/Devotee 1|devotee@example.com/);
+  });
+
+  it('answers a wrong WhatsApp number exactly like an unknown ID', async () => {
+    const wrongNumber = await lookup({ submissionId: booking.id, whatsappNumber: '9799999999' });
+    const unknownId = await lookup({ submissionId: 'VRT-1-ABCDEF12', whatsappNumber: devotee(1).whatsappNumber });
+
+    expect(wrongNumber.status).toBe(404);
+    expect(wrongNumber.body).toEqual(unknownId.body);
+  });
+
+  it('does not find a booking in the trash', async () => {
+    const trashed = await dbService.addSubmission({ bookingDate: date, ...devotee(2) });
+    await dbService.deleteSubmission(trashed.id);
+
+    expect((await lookup({ submissionId: trashed.id, whatsappNumber: devotee(2).whatsappNumber })).status).toBe(404);
+  });
+
+  it('rejects a malformed submission ID', async () => {
+    expect((await lookup({ submissionId: 'not-an-id', whatsappNumber: devotee(1).whatsappNumber })).status).toBe(400);
+  });
+});
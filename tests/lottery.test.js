@@ -0,0 +1,105 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, countBookings } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const lotteryService = require('../src/services/lottery.service');
+
+const afterClose = () => new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+
+/**
+ * An open date with a lottery taking applications until tomorrow
+ */
+const createLottery = async (bookingDate, capacity, schedule = {}) => {
+  await openDate(bookingDate, capacity);
+  return lotteryService.create({
+    bookingDate,
+    opensAt: `${daysFromToday(-1)}T09:00`,
+    closesAt: `${daysFromToday(1)}T09:00`,
+    ...schedule
+  }, 'admin');
+};
+
+describe('Lottery draw', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  it('books winners in rank order and waitlists the rest in the same order', async () => {
+    const date = daysFromToday(40);
+    const lottery = await createLottery(date, 2);
+    for (const n of [1, 2, 3, 4]) {
+      await lotteryService.apply({ bookingDate: date, ...devotee(n) });
+    }
+
+    const result = await lotteryService.draw(lottery.id, { now: afterClose() });
+
+    expect(result.won).toBe(2);
+    expect(result.waitlisted).toBe(2);
+    expect(await countBookings(date)).toBe(2);
+
+    const byRank = [...result.entries].sort((a, b) => a.drawRank - b.drawRank);
+    expect(byRank.map(entry => entry.status)).toEqual(['won', 'won', 'waitlisted', 'waitlisted']);
+
+    const waitlist = await dbService.getWaitlistByDate(date);
+    expect(waitlist.map(entry => entry.upiNumber)).toEqual(byRank.slice(2).map(entry => entry.upiNumber));
+  });
+
+  it('publishes a ranking anyone can recompute from the seed', async () => {
+    const date = daysFromToday(41);
+    const lottery = await createLottery(date, 1);
+    for (const n of [5, 6, 7]) {
+      await lotteryService.apply({ bookingDate: date, ...devotee(n) });
+    }
+    await lotteryService.draw(lottery.id, { now: afterClose() });
+    const published = await lotteryService.getResult(lottery.id);
+
+    const entries = await dbService.all('SELECT * FROM lottery_entries WHERE lotteryId = ?', [lottery.id]);
+    const expected = lotteryService.rank(published.seed, entries).map(entry => entry.id);
+
+    // Generated by the draw, never chosen by an admin
+    expect(published.seed).toMatch(/^[0-9a-f]{32}$/);
+    expect(published.verified).toBe(true);
+    expect([...published.entries].sort((a, b) => a.drawRank - b.drawRank).map(entry => entry.entryId)).toEqual(expected);
+  });
+
+  it('keeps the date out of normal booking until the draw, and draws only once', async () => {
+    const date = daysFromToday(42);
+    const lottery = await createLottery(date, 2);
+    await lotteryService.apply({ bookingDate: date, ...devotee(8) });
+
+    await expect(dbService.addSubmission({ bookingDate: date, ...devotee(9) }))
+      .rejects.toMatchObject({ message: 'This date is allocated by lottery. Please apply for the lottery instead' });
+    await expect(lotteryService.draw(lottery.id))
+      .rejects.toMatchObject({ status: 409 });
+
+    await lotteryService.draw(lottery.id, { now: afterClose() });
+    await expect(lotteryService.draw(lottery.id, { now: afterClose() }))
+      .rejects.toMatchObject({ message: 'This lottery has already been drawn' });
+
+    // Once drawn the date books first come, first served
+    await dbService.addSubmission({ bookingDate: date, ...devotee(9) });
+    expect(await countBookings(date)).toBe(2);
+  });
+
+  it('stops retrying a scheduled draw the date cannot take until the lottery is updated', async () => {
+    const date = daysFromToday(44);
+    const lottery = await createLottery(date, 2, { drawAt: `${daysFromToday(2)}T09:00` });
+    await dbService.setCalendarDateStatus(date, 'closed');
+
+    const [failed] = await lotteryService.runDue(afterClose());
+    expect(failed).toMatchObject({ lotteryId: lottery.id, error: 'Open the date on the calendar before the draw' });
+    expect((await lotteryService.getById(lottery.id)).drawError).toBe(failed.error);
+    expect(await lotteryService.runDue(afterClose())).toEqual([]);
+
+    await openDate(date, 2);
+    await lotteryService.update(lottery.id, { drawAt: `${daysFromToday(2)}T10:00` });
+    const [drawn] = await lotteryService.runDue(afterClose());
+    expect(drawn).toMatchObject({ lotteryId: lottery.id, won: 0 });
+  });
+
+  it('refuses a lottery on a date that already has a waitlist', async () => {
+    const date = daysFromToday(43);
+    await openDate(date, 1);
+    await dbService.addWaitlistEntry({ bookingDate: date, ...devotee(10) });
+
+    await expect(createLottery(date, 1)).rejects.toMatchObject({ status: 409 });
+  });
+});
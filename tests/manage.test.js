@@ -0,0 +1,36 @@
+const { setupDatabase, teardownDatabase, setClock, openDate, devotee } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+
+describe('Self-service changes with the manage token', () => {
+  beforeAll(async () => {
+    await setupDatabase();
+    await openDate('2031-04-01', 5);
+    await openDate('2031-04-02', 5);
+  });
+
+  afterEach(() => jest.useRealTimers());
+  afterAll(teardownDatabase);
+
+  it('refuses to change a booking whose date has passed in IST', async () => {
+    setClock('2031-03-30T06:00:00Z');
+    const booking = await dbService.addSubmission({ bookingDate: '2031-04-01', ...devotee(1) });
+
+    // 00:30 IST on 2 April, still 1 April in UTC
+    setClock('2031-04-01T19:00:00Z');
+
+    await expect(dbService.cancelSubmissionSelfService(booking.id, booking.manageToken, '127.0.0.1'))
+      .rejects.toMatchObject({ message: 'Past bookings cannot be changed' });
+    await expect(dbService.rescheduleSubmissionSelfService(booking.id, booking.manageToken, '2031-04-02', '127.0.0.1'))
+      .rejects.toMatchObject({ message: 'Past bookings cannot be changed' });
+  });
+
+  it('cancels an upcoming booking', async () => {
+    setClock('2031-03-30T06:00:00Z');
+    const booking = await dbService.addSubmission({ bookingDate: '2031-04-02', ...devotee(2) });
+
+    const result = await dbService.cancelSubmissionSelfService(booking.id, booking.manageToken, '127.0.0.1');
+
+    expect(result.data.status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,106 @@
+const { setupDatabase, teardownDatabase, daysFromToday, setClock, openDate, devotee } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const lotteryService = require('../src/services/lottery.service');
+
+const bookingDateOf = async (id) => (await dbService.get('SELECT bookingDate FROM submissions WHERE id = ?', [id])).bookingDate;
+
+/**
+ * A date held for a lottery that is still taking applications
+ */
+const lotteryDate = async (date) => {
+  await openDate(date, 5);
+  await lotteryService.create({
+    bookingDate: date,
+    opensAt: `${daysFromToday(-1)}T09:00`,
+    closesAt: `${daysFromToday(1)}T09:00`
+  }, 'admin');
+};
+
+describe('Moving bookings to another date', () => {
+  beforeAll(setupDatabase);
+  afterEach(() => jest.useRealTimers());
+  afterAll(teardownDatabase);
+
+  describe('bulk move', () => {
+    const from = daysFromToday(60);
+    let booking;
+
+    beforeAll(async () => {
+      await openDate(from, 5);
+      booking = await dbService.addSubmission({ bookingDate: from, ...devotee(1) });
+    });
+
+    const move = (bookingDate) => dbService.bulkUpdateSubmissions([booking.id], {}, { action: 'move', bookingDate }, 'admin');
+
+    it.each([
+      ['a closed date', 61, (date) => dbService.setCalendarDateStatus(date, 'closed'), 'This date is closed for booking'],
+      ['a date that is not released yet', 62, async () => null, 'This date is not available for booking yet'],
+      ['a date with an open lottery', 63, lotteryDate, 'This date is allocated by lottery. Please apply for the lottery instead']
+    ])('refuses %s', async (label, days, prepare, error) => {
+      const target = daysFromToday(days);
+      await prepare(target);
+
+      const result = await move(target);
+
+      expect(result.updated).toEqual([]);
+      expect(result.errors).toEqual([{ id: booking.id, error }]);
+      expect(await bookingDateOf(booking.id)).toBe(from);
+    });
+
+    it('moves onto an open date', async () => {
+      const target = daysFromToday(65);
+      await openDate(target, 5);
+
+      const result = await move(target);
+
+      expect(result.errors).toEqual([]);
+      expect(await bookingDateOf(booking.id)).toBe(target);
+    });
+  });
+
+  describe('closing a date and moving its bookings', () => {
+    it('refuses a target date with an open lottery', async () => {
+      const date = daysFromToday(70);
+      const target = daysFromToday(71);
+      await openDate(date, 5);
+      const booking = await dbService.addSubmission({ bookingDate: date, ...devotee(2) });
+      await lotteryDate(target);
+
+      await expect(dbService.closeCalendarDate(date, { policy: 'move', moveTo: target }))
+        .rejects.toMatchObject({ message: `Bookings cannot be moved to ${target}: date is allocated by lottery` });
+      expect(await bookingDateOf(booking.id)).toBe(date);
+    });
+
+    it('refuses a target date whose shala has no room for the bookings', async () => {
+      const date = daysFromToday(72);
+      const target = daysFromToday(73);
+      const now = new Date().toISOString();
+      const { lastID: shalaId } = await dbService.run(
+        `INSERT INTO shalas (nameGu, nameEn, city, maxBookingsPerDay, createdAt, updatedAt) VALUES ('શાળા', 'Small Shala', 'Surat', 1, ?, ?)`,
+        [now, now]
+      );
+      await openDate(date, 5);
+      await openDate(target, 5);
+      await dbService.addSubmission({ bookingDate: date, ...devotee(3), shalaId });
+      await dbService.addSubmission({ bookingDate: target, ...devotee(4), shalaId });
+
+      const plan = await dbService.closeCalendarDate(date, { policy: 'move', moveTo: target }, { dryRun: true });
+
+      expect(plan.target).toMatchObject({ fits: false, problem: 'only 0 of 1 places free at Small Shala' });
+    });
+
+    it('refuses a target date that has passed in IST', async () => {
+      await openDate('2031-06-01', 5);
+      await openDate('2031-06-03', 5);
+      setClock('2031-05-30T06:00:00Z');
+      await dbService.addSubmission({ bookingDate: '2031-06-03', ...devotee(5) });
+
+      // 00:30 IST on 2 June, still 1 June in UTC
+      setClock('2031-06-01T19:00:00Z');
+      const plan = await dbService.closeCalendarDate('2031-06-03', { policy: 'move', moveTo: '2031-06-01' }, { dryRun: true });
+
+      expect(plan.target).toMatchObject({ fits: false, problem: 'date is in the past' });
+    });
+  });
+});
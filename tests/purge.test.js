@@ -0,0 +1,92 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, serve } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const backupService = require('../src/services/backup.service');
+const submissionRoutes = require('../src/routes/submission.routes');
+const { generateToken } = require('../src/middleware/auth.middleware');
+
+const DEPENDENT_TABLES = [
+  'submission_notes', 'submission_tags', 'submission_participants', 'submission_status_history', 'self_service_changes'
+];
+
+const countRows = async (id) => {
+  const counts = {};
+  for (const table of ['submissions', ...DEPENDENT_TABLES]) {
+    const column = table === 'submissions' ? 'id' : 'submissionId';
+    counts[table] = (await dbService.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`, [id])).count;
+  }
+  return counts;
+};
+
+/**
+ * A trashed group booking with a note, a tag, status history and a devotee's reschedule
+ */
+const trashedSubmission = async (n) => {
+  const date = daysFromToday(30 + n);
+  await openDate(date, 5);
+  const { data: submission } = await dbService.addSubmission({ bookingDate: date, ...devotee(n, { participants: ['A', 'B'] }), ipAddress: '203.0.113.9' });
+  await dbService.addSubmissionNote(submission.id, 'admin', 'Called the devotee');
+  await dbService.addSubmissionTags(submission.id, ['vip'], 'admin');
+  await dbService.updateSubmission(submission.id, { status: 'confirmed' });
+  await dbService.logSelfServiceChange(submission.id, 'reschedule', date, date, '203.0.113.9');
+  await dbService.deleteSubmission(submission.id);
+  return submission;
+};
+
+describe('Purging a trashed submission', () => {
+  let api;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    // Backups copy the database into data/backups
+    jest.spyOn(backupService, 'createBackup').mockResolvedValue(null);
+    api = await serve('/api/submissions', submissionRoutes);
+  });
+
+  afterAll(async () => {
+    await api.close();
+    await teardownDatabase();
+  });
+
+  const purge = (id) => fetch(`${api.url}/${id}/purge`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${generateToken({ username: 'admin' })}` }
+  });
+
+  it('deletes the submission and every row recorded against it', async () => {
+    const submission = await trashedSubmission(1);
+    const other = await trashedSubmission(2);
+
+    const response = await purge(submission.id);
+
+    expect(response.status).toBe(200);
+    expect(Object.values(await countRows(submission.id))).toEqual([0, 0, 0, 0, 0, 0]);
+    expect(Object.values(await countRows(other.id))).toEqual([1, 1, 1, 2, 2, 1]);
+  });
+
+  it('leaves the devotee\'s personal details out of the audit entry', async () => {
+    const submission = await trashedSubmission(3);
+
+    await purge(submission.id);
+    await dbService.whenIdle();
+    const entry = await dbService.get(`SELECT changes FROM audit_log WHERE action = 'submission.purge' AND entityId = ?`, [submission.id]);
+
+    expect(JSON.parse(entry.changes).bookingDate.before).toBe(submission.bookingDate);
+    for (const detail of [submission.name, submission.upiNumber, submission.whatsappNumber, '203.0.113.9']) {
+      expect(entry.changes).not.toContain(detail);
+    }
+  });
+
+  it('keeps everything when part of the purge fails', async () => {
+    const submission = await trashedSubmission(4);
+    const run = dbService.run.bind(dbService);
+    const failing = jest.spyOn(dbService, 'run').mockImplementation((sql, params) => (
+      sql.startsWith('DELETE FROM self_service_changes') ? Promise.reject(new Error('SQLITE_IOERR')) : run(sql, params)
+    ));
+
+    await expect(dbService.purgeSubmission(submission.id)).rejects.toThrow('SQLITE_IOERR');
+    failing.mockRestore();
+
+    expect(Object.values(await countRows(submission.id))).toEqual([1, 1, 1, 2, 2, 1]);
+  });
+});
@@ -0,0 +1,53 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, countBookings, waitFor } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const seatHoldService = require('../src/services/seatHold.service');
+const { SEAT_HOLD } = require('../src/config/constants');
+
+const afterExpiry = () => new Date(Date.now() + SEAT_HOLD.TTL_MS + 1000);
+
+describe('Seat holds', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  it('counts held seats as taken for everyone but the holder', async () => {
+    const date = daysFromToday(30);
+    await openDate(date, 1);
+    const { holdToken } = await seatHoldService.create({ bookingDate: date });
+
+    await expect(dbService.addSubmission({ bookingDate: date, ...devotee(1) }))
+      .rejects.toMatchObject({ message: 'Date is fully booked' });
+
+    await dbService.addSubmission({ bookingDate: date, ...devotee(2), holdToken });
+    expect(await countBookings(date)).toBe(1);
+    expect(await dbService.get('SELECT id FROM seat_holds WHERE bookingDate = ?', [date])).toBeUndefined();
+  });
+
+  it('gives the seats back once the hold expires and is swept', async () => {
+    const date = daysFromToday(31);
+    await openDate(date, 1);
+    await seatHoldService.create({ bookingDate: date });
+
+    expect(await seatHoldService.sweep()).toBe(0);
+    expect(await seatHoldService.sweep(afterExpiry())).toBe(1);
+
+    await dbService.addSubmission({ bookingDate: date, ...devotee(3) });
+    expect(await countBookings(date)).toBe(1);
+  });
+
+  it('promotes the waitlist into the seats of a swept hold', async () => {
+    const date = daysFromToday(32);
+    await openDate(date, 1);
+    await seatHoldService.create({ bookingDate: date });
+    const entry = await dbService.addWaitlistEntry({ bookingDate: date, ...devotee(4) });
+
+    await seatHoldService.sweep(afterExpiry());
+
+    // Promotion runs in the background after the sweep
+    await waitFor(async () => {
+      const row = await dbService.get('SELECT status FROM waitlist WHERE id = ?', [entry.id]);
+      return row.status === 'promoted';
+    });
+    expect(await countBookings(date)).toBe(1);
+  });
+});
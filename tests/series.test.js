@@ -0,0 +1,39 @@
+const { setupDatabase, teardownDatabase, setClock, openDate, devotee } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+
+// 00:30 IST on 10 March 2031 is still 9 March in UTC
+const PAST_MIDNIGHT_IST = '2031-03-09T19:00:00Z';
+
+describe('Series bookings around the IST day boundary', () => {
+  beforeAll(async () => {
+    await setupDatabase();
+    for (const date of ['2031-03-09', '2031-03-10', '2031-03-11']) {
+      await openDate(date, 5);
+    }
+  });
+
+  afterEach(() => jest.useRealTimers());
+  afterAll(teardownDatabase);
+
+  it('does not book the IST yesterday of a series after midnight IST', async () => {
+    setClock(PAST_MIDNIGHT_IST);
+
+    const result = await dbService.addSubmissionSeries(devotee(1), ['2031-03-09', '2031-03-10'], 'available');
+
+    expect(result.results.map(r => [r.bookingDate, r.success])).toEqual([
+      ['2031-03-09', false],
+      ['2031-03-10', true]
+    ]);
+  });
+
+  it('leaves bookings from the IST yesterday alone when the series is cancelled', async () => {
+    setClock('2031-03-08T06:00:00Z');
+    const { seriesId } = await dbService.addSubmissionSeries(devotee(2), ['2031-03-09', '2031-03-11'], 'all');
+
+    setClock(PAST_MIDNIGHT_IST);
+    const cancelled = await dbService.cancelSeries(seriesId, { changedBy: 'admin' });
+
+    expect(cancelled.map(c => c.before.bookingDate)).toEqual(['2031-03-11']);
+  });
+});
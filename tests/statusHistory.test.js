@@ -0,0 +1,65 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+
+const history = async (id) => (await dbService.getStatusHistory(id))
+  .map(({ oldStatus, newStatus, changedBy, reason }) => ({ oldStatus, newStatus, changedBy, reason }));
+
+describe('Submission status changes', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  it('records every status a booking goes through', async () => {
+    const date = daysFromToday(30);
+    await openDate(date, 5);
+    const { id } = await dbService.addSubmission({ bookingDate: date, ...devotee(1) });
+
+    await dbService.updateSubmission(id, { status: 'reviewed' }, { changedBy: 'admin1' });
+    await dbService.updateSubmission(id, { status: 'confirmed' }, { changedBy: 'admin2' });
+
+    expect(await history(id)).toEqual([
+      { oldStatus: null, newStatus: 'pending', changedBy: 'devotee', reason: null },
+      { oldStatus: 'pending', newStatus: 'reviewed', changedBy: 'admin1', reason: null },
+      { oldStatus: 'reviewed', newStatus: 'confirmed', changedBy: 'admin2', reason: null }
+    ]);
+  });
+
+  it('refuses a change the transitions do not allow', async () => {
+    const date = daysFromToday(31);
+    await openDate(date, 5);
+    const { id } = await dbService.addSubmission({ bookingDate: date, ...devotee(2) });
+    await dbService.updateSubmission(id, { status: 'cancelled' });
+
+    await expect(dbService.updateSubmission(id, { status: 'rejected', name: 'Renamed' }, { reason: 'Mistake' }))
+      .rejects.toMatchObject({ status: 400, message: 'Cannot change status from cancelled to rejected' });
+
+    const row = await dbService.get('SELECT status, name FROM submissions WHERE id = ?', [id]);
+    expect(row).toEqual({ status: 'cancelled', name: 'Devotee 2' });
+    expect(await history(id)).toHaveLength(2);
+  });
+
+  it('needs a reason to bring back a rejected booking', async () => {
+    const date = daysFromToday(32);
+    await openDate(date, 5);
+    const { id } = await dbService.addSubmission({ bookingDate: date, ...devotee(3) });
+    await dbService.updateSubmission(id, { status: 'rejected' });
+
+    await expect(dbService.updateSubmission(id, { status: 'confirmed' }, { reason: '  ' }))
+      .rejects.toMatchObject({ status: 400, message: 'A reason is required to change status from rejected to confirmed' });
+
+    await dbService.updateSubmission(id, { status: 'confirmed' }, { reason: 'Payment found' });
+    expect((await history(id)).pop()).toEqual({ oldStatus: 'rejected', newStatus: 'confirmed', changedBy: 'admin', reason: 'Payment found' });
+  });
+
+  it('does not bring back a cancelled booking onto a date that has filled up since', async () => {
+    const date = daysFromToday(33);
+    await openDate(date, 1);
+    const { id } = await dbService.addSubmission({ bookingDate: date, ...devotee(4) });
+    await dbService.updateSubmission(id, { status: 'cancelled' });
+    await dbService.addSubmission({ bookingDate: date, ...devotee(5) });
+
+    await expect(dbService.updateSubmission(id, { status: 'pending' }, { reason: 'Cancelled by mistake' }))
+      .rejects.toMatchObject({ status: 409 });
+    expect((await dbService.get('SELECT status FROM submissions WHERE id = ?', [id])).status).toBe('cancelled');
+  });
+});
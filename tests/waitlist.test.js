@@ -0,0 +1,109 @@
+const { setupDatabase, teardownDatabase, daysFromToday, openDate, devotee, countBookings } = require('./helpers');
+
+const dbService = require('../src/services/db.service');
+const waitlistService = require('../src/services/waitlist.service');
+
+/**
+ * A full date with the given devotees waiting, in this order
+ */
+const fullDateWithWaitlist = async (date, waiting) => {
+  await openDate(date, 1);
+  await dbService.addSubmission({ bookingDate: date, ...devotee(100) });
+
+  const entries = [];
+  for (const [index, data] of waiting.entries()) {
+    // One second apart keeps the queue order explicit
+    const createdAt = new Date(Date.now() + index * 1000).toISOString();
+    entries.push(await dbService.addWaitlistEntry({ bookingDate: date, ...data }, { createdAt }));
+  }
+  return entries;
+};
+
+const entryStatus = async (id) => (await dbService.get('SELECT status FROM waitlist WHERE id = ?', [id])).status;
+
+describe('Waitlist promotion', () => {
+  beforeAll(setupDatabase);
+  afterAll(teardownDatabase);
+
+  it('books the oldest waiting entry when a seat frees up', async () => {
+    const date = daysFromToday(20);
+    const [first, second] = await fullDateWithWaitlist(date, [devotee(1), devotee(2)]);
+
+    expect(await waitlistService.promote(date)).toEqual([]);
+
+    await openDate(date, 2);
+    const promoted = await waitlistService.promote(date);
+
+    expect(promoted).toHaveLength(1);
+    expect(promoted[0].waitlistId).toBe(first.id);
+    expect(await entryStatus(first.id)).toBe('promoted');
+    expect(await entryStatus(second.id)).toBe('waiting');
+    expect(await countBookings(date)).toBe(2);
+  });
+
+  it('fills a freed seat once when promotions for the date run at the same time', async () => {
+    const date = daysFromToday(21);
+    const entries = await fullDateWithWaitlist(date, [devotee(3), devotee(4), devotee(5)]);
+
+    await openDate(date, 2);
+    const results = await Promise.all([
+      waitlistService.promote(date),
+      waitlistService.promote(date),
+      waitlistService.promote(date)
+    ]);
+
+    expect(results.flat().map(p => p.waitlistId)).toEqual([entries[0].id]);
+    expect(await countBookings(date)).toBe(2);
+    expect(await entryStatus(entries[1].id)).toBe('waiting');
+  });
+
+  it('skips an entry who can no longer book the date and promotes the next one', async () => {
+    const date = daysFromToday(22);
+    const [booked, next] = await fullDateWithWaitlist(date, [devotee(6), devotee(7)]);
+
+    // The first devotee booked the date another way while waiting
+    await openDate(date, 3);
+    await dbService.addSubmission({ bookingDate: date, ...devotee(6) });
+
+    const promoted = await waitlistService.promote(date);
+
+    expect(promoted.map(p => p.waitlistId)).toEqual([next.id]);
+    expect(await entryStatus(booked.id)).toBe('skipped');
+    expect(await countBookings(date)).toBe(3);
+  });
+
+  it('books a waiting group with all of its seats once they are free', async () => {
+    const date = daysFromToday(23);
+    const [group] = await fullDateWithWaitlist(date, [devotee(8, { participants: ['A', 'B', 'C'] })]);
+    expect(group.data.seats).toBe(3);
+
+    await openDate(date, 3);
+    expect(await waitlistService.promote(date)).toEqual([]);
+    expect(await entryStatus(group.id)).toBe('waiting');
+
+    await openDate(date, 4);
+    const [promoted] = await waitlistService.promote(date);
+    const booking = await dbService.get('SELECT seats FROM submissions WHERE id = ?', [promoted.submissionId]);
+    const participants = await dbService.all('SELECT name FROM submission_participants WHERE submissionId = ? ORDER BY position', [promoted.submissionId]);
+
+    expect(booking.seats).toBe(3);
+    expect(participants.map(p => p.name)).toEqual(['A', 'B', 'C']);
+  });
+
+  it('keeps an entry waiting when its promotion fails for a reason other than a refusal', async () => {
+    const date = daysFromToday(24);
+    const [entry] = await fullDateWithWaitlist(date, [devotee(9)]);
+    await openDate(date, 2);
+
+    const busy = jest.spyOn(dbService, 'insertSubmission').mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+    await expect(waitlistService.promote(date)).rejects.toThrow('SQLITE_BUSY');
+    busy.mockRestore();
+
+    expect(await entryStatus(entry.id)).toBe('waiting');
+    expect(await waitlistService.promote(date)).toHaveLength(1);
+  });
+
+  it('does not promote on a past date', async () => {
+    expect(await waitlistService.promote(daysFromToday(-1))).toEqual([]);
+  });
+});